@@ -0,0 +1,71 @@
+/**
+ * Resamples received audio to this AudioContext's rate, off the main thread.
+ * Frames arrive over the port as { id, stream, samples, fromRate } and go back
+ * as { id, samples }. Each stream keeps its interpolation state between frames
+ * so consecutive frames join without clicks.
+ */
+class ResamplerProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.streams = new Map(); // stream -> { fromRate, position, history }
+
+        this.port.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === 'reset') {
+                this.streams.delete(message.stream);
+                return;
+            }
+
+            const samples = this.resample(message.stream, message.samples, message.fromRate);
+            this.port.postMessage({ id: message.id, samples }, [samples.buffer]);
+        };
+    }
+
+    /**
+     * 4-point Hermite interpolation - cheap, and clean enough for voice
+     */
+    interpolate(x, y0, y1, y2, y3) {
+        const c1 = 0.5 * (y2 - y0);
+        const c2 = y0 - 2.5 * y1 + 2 * y2 - 0.5 * y3;
+        const c3 = 0.5 * (y3 - y0) + 1.5 * (y1 - y2);
+        return ((c3 * x + c2) * x + c1) * x + y1;
+    }
+
+    resample(stream, input, fromRate) {
+        let state = this.streams.get(stream);
+        if (!state || state.fromRate !== fromRate) {
+            // Position is in "extended" coordinates: 3 samples of history, then the input
+            state = { fromRate, position: 3, history: new Float32Array(3) };
+            this.streams.set(stream, state);
+        }
+
+        const extended = new Float32Array(input.length + 3);
+        extended.set(state.history, 0);
+        extended.set(input, 3);
+
+        const step = fromRate / sampleRate;
+        const output = new Float32Array(Math.ceil((extended.length - state.position) / step) + 1);
+        let written = 0;
+        let position = state.position;
+
+        while (Math.floor(position) + 2 < extended.length) {
+            const i = Math.floor(position);
+            output[written++] = this.interpolate(
+                position - i,
+                extended[i - 1], extended[i], extended[i + 1], extended[i + 2]
+            );
+            position += step;
+        }
+
+        state.position = position - input.length;
+        state.history = extended.slice(extended.length - 3);
+        return output.slice(0, written);
+    }
+
+    process() {
+        // Produces no audio - kept alive only to serve the port
+        return true;
+    }
+}
+
+registerProcessor('resampler', ResamplerProcessor);
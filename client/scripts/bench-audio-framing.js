@@ -0,0 +1,122 @@
+/**
+ * Benchmark: JSON vs binary framing for encrypted audio frames
+ *
+ * Encrypts one worklet buffer (2048 Float32 samples at 48 kHz) per frame like
+ * voiceEngine does, then frames it both ways and parses it back on the
+ * "receiving" side. Reports bytes on the wire and CPU time per frame.
+ *
+ * Run with: npm run bench:framing
+ */
+import { encodeAudioFrame, decodeAudioFrame, getHeaderAad } from '../src/services/wireFormat.js';
+
+const SAMPLE_RATE = 48000;
+const FRAME_SAMPLES = 2048;
+const FRAMES_PER_SECOND = SAMPLE_RATE / FRAME_SAMPLES;
+const WARMUP_FRAMES = 200;
+const FRAMES = 2000;
+
+const protocol = { version: 1, suite: 1 };
+// Raw Float32 frames are framed as-is - the payload codec doesn't change framing cost
+const CODEC = 0;
+const { subtle } = globalThis.crypto;
+
+const getAad = (keyId, seq) => {
+    const aad = new Uint8Array(11);
+    aad.set(getHeaderAad(protocol), 0);
+    const view = new DataView(aad.buffer);
+    view.setUint32(2, keyId);
+    view.setUint32(6, seq);
+    view.setUint8(10, CODEC);
+    return aad;
+};
+
+const encrypt = async (key, samples, aad) => {
+    const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await subtle.encrypt({ name: 'AES-GCM', iv, additionalData: aad }, key, samples);
+    const result = new Uint8Array(iv.length + ciphertext.byteLength);
+    result.set(iv, 0);
+    result.set(new Uint8Array(ciphertext), iv.length);
+    return result.buffer;
+};
+
+const decrypt = (key, payload, aad) => {
+    const bytes = new Uint8Array(payload);
+    return subtle.decrypt({ name: 'AES-GCM', iv: bytes.slice(0, 12), additionalData: aad }, key, bytes.slice(12));
+};
+
+// Previous format: header fields plus IV and ciphertext as JSON number arrays
+const json = {
+    encode: (keyId, seq, encrypted) => {
+        const fullBuffer = new Uint8Array(encrypted);
+        return JSON.stringify({
+            v: protocol.version,
+            cs: protocol.suite,
+            kid: keyId,
+            type: 'audio',
+            seq,
+            iv: Array.from(fullBuffer.slice(0, 12)),
+            data: Array.from(fullBuffer.slice(12))
+        });
+    },
+    decode: (message) => {
+        const msg = JSON.parse(message);
+        const combined = new Uint8Array([...msg.iv, ...msg.data]);
+        return { keyId: msg.kid, seq: msg.seq, payload: combined.buffer };
+    },
+    size: (message) => new TextEncoder().encode(message).byteLength
+};
+
+const binary = {
+    encode: (keyId, seq, encrypted) => encodeAudioFrame(protocol, CODEC, keyId, seq, encrypted),
+    decode: (frame) => decodeAudioFrame(frame),
+    size: (frame) => frame.byteLength
+};
+
+const run = async (format, key, samples, frames) => {
+    let bytes = 0;
+    let sendMs = 0;
+    let receiveMs = 0;
+
+    for (let seq = 0; seq < frames; seq++) {
+        let start = performance.now();
+        const message = format.encode(0, seq, await encrypt(key, samples, getAad(0, seq)));
+        sendMs += performance.now() - start;
+        bytes += format.size(message);
+
+        start = performance.now();
+        const msg = format.decode(message);
+        await decrypt(key, msg.payload, getAad(msg.keyId, msg.seq));
+        receiveMs += performance.now() - start;
+    }
+
+    return {
+        bytesPerFrame: Math.round(bytes / frames),
+        kbPerSecond: Math.round((bytes / frames) * FRAMES_PER_SECOND / 1024),
+        sendMsPerFrame: Number((sendMs / frames).toFixed(3)),
+        receiveMsPerFrame: Number((receiveMs / frames).toFixed(3))
+    };
+};
+
+const main = async () => {
+    const key = await subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    const samples = new Float32Array(FRAME_SAMPLES);
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = Math.sin(i / 10) * 0.5 + (Math.random() - 0.5) * 0.05;
+    }
+
+    await run(json, key, samples, WARMUP_FRAMES);
+    await run(binary, key, samples, WARMUP_FRAMES);
+
+    const results = {
+        json: await run(json, key, samples, FRAMES),
+        binary: await run(binary, key, samples, FRAMES)
+    };
+    console.table(results);
+
+    const saved = 1 - results.binary.bytesPerFrame / results.json.bytesPerFrame;
+    const cpu = (results.binary.sendMsPerFrame + results.binary.receiveMsPerFrame)
+        / (results.json.sendMsPerFrame + results.json.receiveMsPerFrame);
+    console.log(`Binary framing: ${(saved * 100).toFixed(1)}% fewer bytes, ${(cpu * 100).toFixed(1)}% of the JSON CPU time per frame`);
+};
+
+main();
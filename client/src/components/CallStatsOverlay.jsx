@@ -0,0 +1,90 @@
+import { Activity, X } from 'lucide-react';
+
+const CANDIDATE_LABELS = {
+    host: 'Direct (LAN)',
+    srflx: 'Direct (NAT)',
+    prflx: 'Direct (NAT)',
+    relay: 'TURN relay'
+};
+
+const formatBytes = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const formatKbps = (kbps) => (kbps === null ? '-' : `${kbps} kbps`);
+
+/**
+ * How audio reaches the peer: the selected ICE candidate pair, or the server relay fallback
+ */
+const formatPath = (peer) => {
+    if (peer.serverRelayed) return 'Server relay (Socket.io)';
+    if (!peer.localCandidateType) return '-';
+    const label = CANDIDATE_LABELS[peer.localCandidateType] || peer.localCandidateType;
+    const protocol = peer.relayProtocol ? ` (${peer.relayProtocol})` : '';
+    return `${label} · ${peer.localCandidateType} ↔ ${peer.remoteCandidateType}${protocol}`;
+};
+
+/**
+ * One label/value line of a peer's card
+ */
+const StatRow = ({ label, value, warn = false }) => (
+    <div className="flex items-center justify-between">
+        <span className="text-gray-500">{label}</span>
+        <span className={warn ? 'text-orange-400' : 'text-gray-300'}>{value}</span>
+    </div>
+);
+
+/**
+ * Detailed per-peer call quality, refreshed from voiceEngine.onQualityStats
+ */
+const CallStatsOverlay = ({ isOpen, onClose, peers = [] }) => {
+    if (!isOpen) return null;
+
+    return (
+        <div className="fixed bottom-4 left-4 z-50 w-80 animate-fade-in">
+            <div className="bg-[#1e1f22] border border-[#2d2f34] rounded-lg shadow-2xl overflow-hidden">
+                <div className="flex items-center justify-between px-4 py-3 bg-[#232428] border-b border-[#2d2f34]">
+                    <div className="flex items-center gap-2">
+                        <Activity className="w-4 h-4 text-cyan-400" />
+                        <span className="font-semibold text-white text-sm">Call Quality</span>
+                    </div>
+                    <button
+                        onClick={onClose}
+                        className="p-1 hover:bg-[#36393f] rounded text-gray-400 hover:text-white transition-colors"
+                    >
+                        <X className="w-4 h-4" />
+                    </button>
+                </div>
+
+                <div className="p-4 space-y-2 max-h-96 overflow-y-auto">
+                    {peers.length === 0 && (
+                        <p className="text-xs text-gray-500 text-center py-4">No peers connected</p>
+                    )}
+                    {peers.map(peer => (
+                        <div key={peer.peerId} className="p-2 rounded bg-[#232428] font-mono text-[10px] space-y-0.5">
+                            <div className="flex items-center justify-between mb-1 font-sans">
+                                <span className="text-xs font-medium text-white truncate">{peer.username}</span>
+                                <span className="text-[10px] uppercase tracking-wide text-gray-400">{peer.connectionState}</span>
+                            </div>
+                            <StatRow label="RTT" value={peer.rttMs !== null ? `${peer.rttMs} ms` : '-'} warn={peer.rttMs > 300} />
+                            <StatRow label="Path" value={formatPath(peer)} />
+                            <StatRow label="Sent" value={`${formatBytes(peer.bytesSent)} · ${peer.messagesSent} msgs · ${formatKbps(peer.sendKbps)}`} />
+                            <StatRow label="Received" value={`${formatBytes(peer.bytesReceived)} · ${peer.messagesReceived} msgs · ${formatKbps(peer.receiveKbps)}`} />
+                            <StatRow label="Loss" value={`${peer.lossPercent}%`} warn={peer.lossPercent > 5} />
+                            <StatRow label="Dropped frames" value={peer.droppedFrames} warn={peer.droppedFrames > 0} />
+                            <StatRow label="Decrypt failures" value={peer.decryptFailures} warn={peer.decryptFailures > 0} />
+                            <StatRow
+                                label="Jitter buffer"
+                                value={peer.depthMs !== null ? `${peer.depthMs} ms (target ${peer.targetMs} ms)` : '-'}
+                            />
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CallStatsOverlay;
@@ -1,5 +1,5 @@
 import { useState, useEffect, useRef } from 'react';
-import { MicOff, WifiOff, ShieldAlert, RefreshCw, X, AlertTriangle, Info } from 'lucide-react';
+import { MicOff, WifiOff, ShieldAlert, RefreshCw, X, AlertTriangle, Info, Headphones, Ban } from 'lucide-react';
 
 const ErrorOverlay = ({ error, onDismiss, onRetry }) => {
     const [isVisible, setIsVisible] = useState(true);
@@ -55,6 +55,44 @@ const ErrorOverlay = ({ error, onDismiss, onRetry }) => {
                         'This will generate new encryption keys'
                     ]
                 };
+            case 'auth-failed':
+                return {
+                    icon: <ShieldAlert className="w-12 h-12 text-red-400" />,
+                    title: 'Authentication Failed',
+                    message: error.message || 'The voice server rejected your session.',
+                    color: 'red',
+                    showRetry: false,
+                    instructions: [
+                        'Your session may have expired',
+                        'Log out and log back in',
+                        'Then rejoin the voice channel'
+                    ]
+                };
+            case 'join-failed':
+                return {
+                    icon: <Ban className="w-12 h-12 text-red-400" />,
+                    title: 'Not Allowed in This Channel',
+                    message: error.message || 'You are not allowed to join this voice channel.',
+                    color: 'red',
+                    showRetry: false,
+                    instructions: [
+                        'Ask the channel owner for its join code',
+                        'Join with the code from "Join Meeting"',
+                        'If the channel was deleted, pick another one'
+                    ]
+                };
+            case 'audio-device':
+                return {
+                    icon: <Headphones className="w-12 h-12 text-orange-400" />,
+                    title: 'Audio Device Problem',
+                    message: error.message || 'Could not switch to the selected audio device.',
+                    color: 'orange',
+                    showRetry: false,
+                    instructions: [
+                        'Check the device is plugged in and not used by another app',
+                        'Pick another device in Settings'
+                    ]
+                };
             case 'peer-disconnected':
                 return {
                     icon: <WifiOff className="w-12 h-12 text-orange-400" />,
@@ -0,0 +1,127 @@
+import { useState, useEffect } from 'react';
+import { ShieldAlert, History, Check, PhoneOff } from 'lucide-react';
+import { friendsAPI } from '../services/api';
+import { cryptoService } from '../services/cryptoService';
+
+/**
+ * Blocking confirmation shown when a contact's identity key differs from the pinned one
+ * Audio to that contact stays withheld until the user accepts or rejects the new key
+ */
+const KeyChangeDialog = ({ change, onAccept, onReject, rejectLabel = 'Disconnect' }) => {
+    const [history, setHistory] = useState(null);
+
+    // Load when and how often the key changed (only available for friends)
+    useEffect(() => {
+        if (!change?.userId) return;
+        let cancelled = false;
+
+        const loadHistory = async () => {
+            try {
+                const response = await friendsAPI.getKeyHistory(change.userId);
+                const entries = await Promise.all(response.data.history.map(async (entry) => ({
+                    fingerprint: await cryptoService.getKeyFingerprint(entry.publicKey),
+                    createdAt: entry.createdAt
+                })));
+                if (!cancelled) {
+                    setHistory({ changeCount: response.data.changeCount, entries: entries.reverse() });
+                }
+            } catch (error) {
+                console.log('[KeyChange] Key history unavailable:', error.response?.status || error.message);
+            }
+        };
+
+        loadHistory();
+        return () => {
+            cancelled = true;
+        };
+    }, [change?.userId]);
+
+    if (!change) return null;
+
+    return (
+        <div className="fixed inset-0 z-[110] flex items-center justify-center p-4 bg-black/80 backdrop-blur-sm animate-fade-in">
+            <div className="bg-[#1e1f22] rounded-xl shadow-2xl max-w-md w-full overflow-hidden border border-red-500/50">
+                {/* Header */}
+                <div className="p-6 bg-red-500/10 flex flex-col items-center text-center">
+                    <div className="mb-4 p-4 rounded-full bg-[#232428]">
+                        <ShieldAlert className="w-12 h-12 text-red-400" />
+                    </div>
+                    <h2 className="text-xl font-bold text-white mb-2">
+                        {change.newDevice
+                            ? `${change.username} is using a new device`
+                            : `${change.username}'s identity key changed`}
+                    </h2>
+                    <p className="text-sm text-gray-400">
+                        {change.newDevice
+                            ? 'This device has a key you haven\'t seen before. Make sure they really added it - a device you don\'t recognise can mean someone is intercepting the call.'
+                            : change.wasVerified
+                                ? 'You had verified this contact. A changed key can mean someone is intercepting the call.'
+                                : 'This is not the key you saw the first time. They may have a new device - or someone may be intercepting the call.'}
+                        {' '}No audio will be sent until you decide.
+                    </p>
+                </div>
+
+                {/* Fingerprints */}
+                <div className="p-6 border-t border-[#2d2f34] space-y-3">
+                    <div>
+                        <p className="text-[10px] uppercase tracking-wide text-gray-500 mb-1">
+                            {change.newDevice ? 'Pinned for another device' : 'Previously pinned'}
+                        </p>
+                        <p className={`font-mono text-xs text-gray-400 ${change.newDevice ? '' : 'line-through'}`}>
+                            {change.previousFingerprint}
+                        </p>
+                    </div>
+                    <div>
+                        <p className="text-[10px] uppercase tracking-wide text-gray-500 mb-1">Now presented</p>
+                        <p className="font-mono text-xs text-red-300">{change.fingerprint}</p>
+                    </div>
+                    {change.safetyNumber && (
+                        <div>
+                            <p className="text-[10px] uppercase tracking-wide text-gray-500 mb-1">New safety number</p>
+                            <p className="font-mono text-xs text-cyan-300 break-words">{change.safetyNumber}</p>
+                        </div>
+                    )}
+
+                    {history && (
+                        <div className="pt-2">
+                            <div className="flex items-center gap-2 mb-2">
+                                <History className="w-4 h-4 text-blue-400" />
+                                <span className="text-sm font-medium text-white">
+                                    Key changed {history.changeCount} time{history.changeCount !== 1 ? 's' : ''}
+                                </span>
+                            </div>
+                            <ul className="space-y-1 max-h-28 overflow-y-auto">
+                                {history.entries.map((entry, index) => (
+                                    <li key={index} className="flex justify-between text-[11px] text-gray-400">
+                                        <span className="font-mono">{entry.fingerprint.slice(0, 19)}</span>
+                                        <span>{new Date(entry.createdAt).toLocaleString()}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                </div>
+
+                {/* Actions */}
+                <div className="p-4 bg-[#232428] flex gap-3">
+                    <button
+                        onClick={onReject}
+                        className="flex-1 py-2.5 rounded-lg bg-[#36393f] hover:bg-[#404249] text-white font-medium transition-colors flex items-center justify-center gap-2"
+                    >
+                        <PhoneOff className="w-4 h-4" />
+                        {rejectLabel}
+                    </button>
+                    <button
+                        onClick={onAccept}
+                        className="flex-1 py-2.5 rounded-lg bg-red-500 hover:bg-red-600 text-white font-medium transition-colors flex items-center justify-center gap-2"
+                    >
+                        <Check className="w-4 h-4" />
+                        Accept new key
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default KeyChangeDialog;
@@ -0,0 +1,115 @@
+import { useState } from 'react';
+import { KeyRound, Lock, RotateCcw, Loader2 } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * Shown after login on a device without the user's identity key when a server backup exists
+ * Unlocking restores the same identity (and pinned contacts) instead of silently creating a new one
+ */
+const KeyRestoreDialog = () => {
+    const { pendingKeyBackup, restoreKeyBackup, skipKeyRestore } = useAuth();
+    const [passphrase, setPassphrase] = useState('');
+    const [error, setError] = useState(null);
+    const [isRestoring, setIsRestoring] = useState(false);
+    const [confirmSkip, setConfirmSkip] = useState(false);
+
+    if (!pendingKeyBackup) return null;
+
+    const handleRestore = async (e) => {
+        e.preventDefault();
+        if (!passphrase) return;
+
+        setIsRestoring(true);
+        setError(null);
+        const result = await restoreKeyBackup(passphrase);
+        setIsRestoring(false);
+
+        if (result.success) {
+            setPassphrase('');
+        } else {
+            setError(result.error);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-[120] flex items-center justify-center p-4 bg-black/80 backdrop-blur-sm animate-fade-in">
+            <div className="bg-[#1e1f22] rounded-xl shadow-2xl max-w-md w-full overflow-hidden border border-[#2d2f34]">
+                {/* Header */}
+                <div className="p-6 bg-blue-500/10 flex flex-col items-center text-center">
+                    <div className="mb-4 p-4 rounded-full bg-[#232428]">
+                        <KeyRound className="w-12 h-12 text-blue-400" />
+                    </div>
+                    <h2 className="text-xl font-bold text-white mb-2">Restore your identity key</h2>
+                    <p className="text-sm text-gray-400">
+                        This device doesn't have your encryption key yet. Enter your backup passphrase to
+                        keep the same identity and your verified contacts.
+                    </p>
+                    {pendingKeyBackup.updatedAt && (
+                        <p className="text-[11px] text-gray-500 mt-2">
+                            Backup from {new Date(pendingKeyBackup.updatedAt).toLocaleString()}
+                        </p>
+                    )}
+                </div>
+
+                {/* Passphrase */}
+                <form onSubmit={handleRestore} className="p-6 border-t border-[#2d2f34] space-y-3">
+                    <div className="relative">
+                        <Lock className="w-4 h-4 text-gray-500 absolute left-3 top-1/2 -translate-y-1/2" />
+                        <input
+                            type="password"
+                            autoFocus
+                            value={passphrase}
+                            onChange={(e) => setPassphrase(e.target.value)}
+                            placeholder="Backup passphrase"
+                            className="w-full pl-9 pr-3 py-2.5 rounded-lg bg-[#111214] border border-[#2d2f34] text-white text-sm focus:outline-none focus:border-blue-500"
+                        />
+                    </div>
+                    {error && <p className="text-xs text-red-400">{error}</p>}
+                    <button
+                        type="submit"
+                        disabled={!passphrase || isRestoring}
+                        className="w-full py-2.5 rounded-lg bg-blue-500 hover:bg-blue-600 disabled:opacity-50 text-white font-medium transition-colors flex items-center justify-center gap-2"
+                    >
+                        {isRestoring ? <Loader2 className="w-4 h-4 animate-spin" /> : <KeyRound className="w-4 h-4" />}
+                        {isRestoring ? 'Unlocking...' : 'Restore key'}
+                    </button>
+                </form>
+
+                {/* Start fresh */}
+                <div className="p-4 bg-[#232428]">
+                    {confirmSkip ? (
+                        <div className="space-y-2">
+                            <p className="text-xs text-yellow-400">
+                                A new key means every contact sees a key change warning and has to re-verify you.
+                            </p>
+                            <div className="flex gap-2">
+                                <button
+                                    onClick={() => setConfirmSkip(false)}
+                                    className="flex-1 py-2 rounded-lg bg-[#36393f] hover:bg-[#404249] text-white text-sm transition-colors"
+                                >
+                                    Cancel
+                                </button>
+                                <button
+                                    onClick={skipKeyRestore}
+                                    className="flex-1 py-2 rounded-lg bg-yellow-600 hover:bg-yellow-500 text-white text-sm transition-colors"
+                                >
+                                    Create new key
+                                </button>
+                            </div>
+                        </div>
+                    ) : (
+                        <button
+                            onClick={() => setConfirmSkip(true)}
+                            className="w-full py-2 text-sm text-gray-400 hover:text-white transition-colors flex items-center justify-center gap-2"
+                        >
+                            <RotateCcw className="w-4 h-4" />
+                            Forgot passphrase? Start with a new key
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default KeyRestoreDialog;
@@ -0,0 +1,110 @@
+import { useState } from 'react';
+import { LockKeyhole, Lock, RotateCcw, Loader2 } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * Shown after login when this device's identity key is protected by an unlock PIN
+ * The key stays wrapped in IndexedDB until the PIN is entered
+ */
+const KeyUnlockDialog = () => {
+    const { keyLocked, unlockKeys, resetLockedKeys } = useAuth();
+    const [pin, setPin] = useState('');
+    const [error, setError] = useState(null);
+    const [isUnlocking, setIsUnlocking] = useState(false);
+    const [confirmReset, setConfirmReset] = useState(false);
+
+    if (!keyLocked) return null;
+
+    const handleUnlock = async (e) => {
+        e.preventDefault();
+        if (!pin) return;
+
+        setIsUnlocking(true);
+        setError(null);
+        const result = await unlockKeys(pin);
+        setIsUnlocking(false);
+
+        if (result.success) {
+            setPin('');
+        } else {
+            setError(result.error);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-[120] flex items-center justify-center p-4 bg-black/80 backdrop-blur-sm animate-fade-in">
+            <div className="bg-[#1e1f22] rounded-xl shadow-2xl max-w-md w-full overflow-hidden border border-[#2d2f34]">
+                {/* Header */}
+                <div className="p-6 bg-blue-500/10 flex flex-col items-center text-center">
+                    <div className="mb-4 p-4 rounded-full bg-[#232428]">
+                        <LockKeyhole className="w-12 h-12 text-blue-400" />
+                    </div>
+                    <h2 className="text-xl font-bold text-white mb-2">Unlock your identity key</h2>
+                    <p className="text-sm text-gray-400">
+                        The encryption key on this device is protected by a PIN. Enter it to start calling.
+                    </p>
+                </div>
+
+                {/* PIN */}
+                <form onSubmit={handleUnlock} className="p-6 border-t border-[#2d2f34] space-y-3">
+                    <div className="relative">
+                        <Lock className="w-4 h-4 text-gray-500 absolute left-3 top-1/2 -translate-y-1/2" />
+                        <input
+                            type="password"
+                            autoFocus
+                            value={pin}
+                            onChange={(e) => setPin(e.target.value)}
+                            placeholder="Unlock PIN"
+                            className="w-full pl-9 pr-3 py-2.5 rounded-lg bg-[#111214] border border-[#2d2f34] text-white text-sm focus:outline-none focus:border-blue-500"
+                        />
+                    </div>
+                    {error && <p className="text-xs text-red-400">{error}</p>}
+                    <button
+                        type="submit"
+                        disabled={!pin || isUnlocking}
+                        className="w-full py-2.5 rounded-lg bg-blue-500 hover:bg-blue-600 disabled:opacity-50 text-white font-medium transition-colors flex items-center justify-center gap-2"
+                    >
+                        {isUnlocking ? <Loader2 className="w-4 h-4 animate-spin" /> : <LockKeyhole className="w-4 h-4" />}
+                        {isUnlocking ? 'Unlocking...' : 'Unlock'}
+                    </button>
+                </form>
+
+                {/* Forgot PIN */}
+                <div className="p-4 bg-[#232428]">
+                    {confirmReset ? (
+                        <div className="space-y-2">
+                            <p className="text-xs text-yellow-400">
+                                The locked key is deleted from this device. You can restore it from a passphrase
+                                backup if you made one - otherwise contacts will see a key change warning.
+                            </p>
+                            <div className="flex gap-2">
+                                <button
+                                    onClick={() => setConfirmReset(false)}
+                                    className="flex-1 py-2 rounded-lg bg-[#36393f] hover:bg-[#404249] text-white text-sm transition-colors"
+                                >
+                                    Cancel
+                                </button>
+                                <button
+                                    onClick={resetLockedKeys}
+                                    className="flex-1 py-2 rounded-lg bg-yellow-600 hover:bg-yellow-500 text-white text-sm transition-colors"
+                                >
+                                    Delete key
+                                </button>
+                            </div>
+                        </div>
+                    ) : (
+                        <button
+                            onClick={() => setConfirmReset(true)}
+                            className="w-full py-2 text-sm text-gray-400 hover:text-white transition-colors flex items-center justify-center gap-2"
+                        >
+                            <RotateCcw className="w-4 h-4" />
+                            Forgot PIN?
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default KeyUnlockDialog;
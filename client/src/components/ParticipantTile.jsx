@@ -1,12 +1,31 @@
 import { useState, useEffect, useRef } from 'react';
-import { Mic, MicOff, Lock } from 'lucide-react';
+import { Mic, MicOff, Lock, ShieldCheck, ShieldAlert, Volume2, VolumeX, RefreshCw, Server, WifiOff } from 'lucide-react';
+
+const getQualityColor = (level) => {
+    if (level >= 3) return 'bg-green-400';
+    if (level === 2) return 'bg-yellow-400';
+    return 'bg-red-400';
+};
+
+const getQualityTitle = (quality) => {
+    if (quality.level === 0) return `Connection ${quality.connectionState}`;
+    const rtt = quality.rttMs !== null ? `${quality.rttMs} ms` : 'RTT unknown';
+    return `${rtt} · ${quality.lossPercent}% loss · ${quality.relayed ? 'relayed' : 'direct'} - click for details`;
+};
 
 const ParticipantTile = ({
     participant,
     isCurrentUser = false,
     isMuted = false,
     isSpeaking = false,
-    isEncrypted = true
+    isEncrypted = true,
+    verification = null, // { status: 'verified' | 'unverified' | 'changed', safetyNumber }
+    audioSettings = null, // { volume, muted } - how this peer plays for us
+    onVolumeChange,
+    onToggleLocalMute,
+    quality = null, // { level (0-4), rttMs, relayed, lossPercent, ... } from voiceEngine.onQualityStats
+    onShowQuality,
+    connectionState = null // 'reconnecting' while ICE restarts, 'relayed' once audio goes through the server, 'failed' once given up
 }) => {
     const [speakingAnimation, setSpeakingAnimation] = useState(false);
 
@@ -27,7 +46,7 @@ const ParticipantTile = ({
     return (
         <div
             className={`
-                relative w-full aspect-video rounded-2xl overflow-hidden glass-card transition-all duration-300
+                group relative w-full aspect-video rounded-2xl overflow-hidden glass-card transition-all duration-300
                 ${speakingAnimation ? 'ring-2 ring-[var(--primary)] shadow-[0_0_20px_var(--primary-glow)]' : 'ring-1 ring-[var(--border-subtle)]'}
             `}
         >
@@ -36,10 +55,57 @@ const ParticipantTile = ({
                 className={`absolute inset-0 bg-gradient-to-b from-transparent to-[var(--bg-surface)] opacity-0 transition-opacity duration-300 ${speakingAnimation ? 'opacity-30' : ''}`}
             />
 
-            {/* Encryption Lock */}
-            {isEncrypted && (
-                <div className="absolute top-3 right-3 z-10 p-1.5 rounded-full bg-[var(--bg-overlay)] backdrop-blur-md">
-                    <Lock className="w-3 h-3 text-[var(--status-online)]" />
+            <div className="absolute top-3 right-3 z-10 flex items-center gap-1.5">
+                {/* Server Relay */}
+                {connectionState === 'relayed' && (
+                    <div
+                        className="h-6 px-2 rounded-full bg-[var(--bg-overlay)] backdrop-blur-md flex items-center gap-1 text-[10px] text-yellow-400"
+                        title="No peer-to-peer path - audio is relayed by the server, still end-to-end encrypted"
+                    >
+                        <Server className="w-3 h-3" /> Relayed
+                    </div>
+                )}
+
+                {/* Signal Strength */}
+                {quality && (
+                    <button
+                        onClick={() => onShowQuality?.()}
+                        className="h-6 px-1.5 rounded-full bg-[var(--bg-overlay)] backdrop-blur-md flex items-end gap-[2px] pb-1.5 hover:bg-white/20 transition-colors"
+                        title={getQualityTitle(quality)}
+                    >
+                        {[1, 2, 3, 4].map(bar => (
+                            <span
+                                key={bar}
+                                className={`w-[3px] rounded-sm ${bar <= quality.level ? getQualityColor(quality.level) : 'bg-white/20'}`}
+                                style={{ height: `${bar * 3}px` }}
+                            />
+                        ))}
+                    </button>
+                )}
+
+                {/* Encryption Lock */}
+                {isEncrypted && (
+                    <div className="p-1.5 rounded-full bg-[var(--bg-overlay)] backdrop-blur-md">
+                        <Lock className="w-3 h-3 text-[var(--status-online)]" />
+                    </div>
+                )}
+            </div>
+
+            {/* Identity Verification Badge */}
+            {verification?.status === 'verified' && (
+                <div
+                    className="absolute top-3 left-3 z-10 px-2 py-1 rounded-full bg-[var(--bg-overlay)] backdrop-blur-md flex items-center gap-1 text-[10px] text-green-400"
+                    title={`Verified - safety number ${verification.safetyNumber}`}
+                >
+                    <ShieldCheck className="w-3 h-3" /> Verified
+                </div>
+            )}
+            {verification?.status === 'changed' && (
+                <div
+                    className="absolute top-3 left-3 z-10 px-2 py-1 rounded-full bg-[var(--danger)] flex items-center gap-1 text-[10px] font-semibold text-white animate-pulse"
+                    title="This contact's identity key changed since you verified it"
+                >
+                    <ShieldAlert className="w-3 h-3" /> Key changed
                 </div>
             )}
 
@@ -65,6 +131,20 @@ const ParticipantTile = ({
                 </div>
             </div>
 
+            {/* Connection Recovery */}
+            {connectionState === 'reconnecting' && (
+                <div className="absolute inset-0 z-[5] flex flex-col items-center justify-center gap-2 bg-black/60 backdrop-blur-sm">
+                    <RefreshCw className="w-6 h-6 text-yellow-400 animate-spin" />
+                    <span className="text-xs font-medium text-yellow-400 uppercase tracking-wider">Reconnecting...</span>
+                </div>
+            )}
+            {connectionState === 'failed' && (
+                <div className="absolute inset-0 z-[5] flex flex-col items-center justify-center gap-2 bg-black/60 backdrop-blur-sm">
+                    <WifiOff className="w-6 h-6 text-[var(--danger)]" />
+                    <span className="text-xs font-medium text-[var(--danger)] uppercase tracking-wider">Connection lost</span>
+                </div>
+            )}
+
             {/* Bottom Info Bar */}
             <div className="absolute bottom-0 left-0 right-0 p-4 flex items-center justify-between z-10 bg-gradient-to-t from-black/80 to-transparent">
                 <div className="flex flex-col">
@@ -74,6 +154,30 @@ const ParticipantTile = ({
                     {isCurrentUser && <span className="text-[10px] text-[var(--text-secondary)] uppercase tracking-wider">You</span>}
                 </div>
 
+                {/* Playback controls - only affect what we hear */}
+                {!isCurrentUser && audioSettings && (
+                    <div className="ml-auto mr-2 flex items-center gap-2">
+                        <input
+                            type="range"
+                            min="0"
+                            max="200"
+                            step="5"
+                            value={Math.round(audioSettings.volume * 100)}
+                            onChange={(e) => onVolumeChange?.(Number(e.target.value) / 100)}
+                            disabled={audioSettings.muted}
+                            className="w-20 accent-[var(--primary)] opacity-0 group-hover:opacity-100 focus:opacity-100 transition-opacity disabled:opacity-30"
+                            title={`Volume ${Math.round(audioSettings.volume * 100)}%`}
+                        />
+                        <button
+                            onClick={() => onToggleLocalMute?.()}
+                            className={`p-2 rounded-full backdrop-blur-md shadow-sm transition-colors ${audioSettings.muted ? 'bg-[var(--danger)] text-white' : 'bg-[var(--bg-overlay)] text-white hover:bg-white/20'}`}
+                            title={audioSettings.muted ? 'Unmute for me' : 'Mute for me'}
+                        >
+                            {audioSettings.muted ? <VolumeX className="w-4 h-4" /> : <Volume2 className="w-4 h-4" />}
+                        </button>
+                    </div>
+                )}
+
                 {/* Mic Status */}
                 <div className={`p-2 rounded-full backdrop-blur-md shadow-sm transition-colors ${isMuted ? 'bg-[var(--danger)] text-white' : 'bg-[var(--bg-overlay)] text-white'}`}>
                     {isMuted ? <MicOff className="w-4 h-4" /> : <Mic className="w-4 h-4" />}
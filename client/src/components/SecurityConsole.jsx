@@ -1,5 +1,62 @@
 import { useState, useEffect } from 'react';
-import { Shield, ShieldCheck, Key, Lock, Unlock, RefreshCw, CheckCircle, AlertCircle, X, ChevronDown, ChevronUp } from 'lucide-react';
+import QRCode from 'qrcode';
+import { Shield, ShieldCheck, ShieldAlert, Key, Lock, Unlock, RefreshCw, CheckCircle, AlertCircle, Ban, X, ChevronDown, ChevronUp, QrCode } from 'lucide-react';
+
+/**
+ * One peer's safety number with QR code and verify toggle
+ */
+const PeerVerificationRow = ({ peerId, info, onVerifyPeer }) => {
+    const [showQr, setShowQr] = useState(false);
+    const [qrDataUrl, setQrDataUrl] = useState(null);
+
+    useEffect(() => {
+        if (!showQr || !info.safetyNumber) return;
+        QRCode.toDataURL(info.safetyNumber.replace(/ /g, ''), { margin: 1, width: 160 })
+            .then(setQrDataUrl)
+            .catch(err => console.error('QR generation failed:', err));
+    }, [showQr, info.safetyNumber]);
+
+    const statusClass = info.status === 'verified'
+        ? 'text-green-400'
+        : info.status === 'changed' ? 'text-red-400' : 'text-gray-400';
+
+    return (
+        <div className={`p-2 rounded bg-[#232428] ${info.status === 'changed' ? 'ring-1 ring-red-500' : ''}`}>
+            <div className="flex items-center justify-between mb-1">
+                <span className="text-xs font-medium text-white truncate">{info.username}</span>
+                <span className={`text-[10px] uppercase tracking-wide ${statusClass}`}>
+                    {info.status === 'changed' ? 'Key changed!' : info.status}
+                </span>
+            </div>
+            <p className="font-mono text-[11px] text-cyan-300 leading-relaxed break-words">
+                {info.safetyNumber}
+            </p>
+            <p className="font-mono text-[10px] text-gray-500 mt-0.5">Key {info.fingerprint}</p>
+
+            {showQr && qrDataUrl && (
+                <img src={qrDataUrl} alt="Safety number QR code" className="mx-auto my-2 rounded bg-white p-1" />
+            )}
+
+            <div className="flex items-center gap-2 mt-2">
+                <button
+                    onClick={() => setShowQr(!showQr)}
+                    className="flex items-center gap-1 px-2 py-1 rounded text-[10px] bg-[#36393f] text-gray-300 hover:text-white transition-colors"
+                >
+                    <QrCode className="w-3 h-3" /> {showQr ? 'Hide QR' : 'QR'}
+                </button>
+                <button
+                    onClick={() => onVerifyPeer?.(peerId, info.status !== 'verified')}
+                    className={`flex-1 px-2 py-1 rounded text-[10px] font-medium transition-colors ${info.status === 'verified'
+                        ? 'bg-[#36393f] text-gray-300 hover:text-white'
+                        : 'bg-green-600 text-white hover:bg-green-500'
+                        }`}
+                >
+                    {info.status === 'verified' ? 'Unverify' : 'Mark as verified'}
+                </button>
+            </div>
+        </div>
+    );
+};
 
 const SecurityConsole = ({
     isOpen,
@@ -7,7 +64,11 @@ const SecurityConsole = ({
     events = [],
     cryptoReady,
     isConnected,
-    connectedPeers = 0
+    connectedPeers = 0,
+    peerVerification = new Map(),
+    onVerifyPeer,
+    frameMetrics = null,
+    playbackStats = null
 }) => {
     const [isMinimized, setIsMinimized] = useState(false);
 
@@ -23,6 +84,16 @@ const SecurityConsole = ({
                 return <Lock className="w-4 h-4 text-purple-400" />;
             case 'handshake-complete':
                 return <CheckCircle className="w-4 h-4 text-green-400" />;
+            case 'peer-verified':
+                return <ShieldCheck className="w-4 h-4 text-green-400" />;
+            case 'key-changed':
+                return <ShieldAlert className="w-4 h-4 text-red-400" />;
+            case 'rekey':
+                return <RefreshCw className="w-4 h-4 text-cyan-400" />;
+            case 'frame-dropped':
+                return <ShieldAlert className="w-4 h-4 text-orange-400" />;
+            case 'incompatible-client':
+                return <Ban className="w-4 h-4 text-red-400" />;
             case 'error':
                 return <AlertCircle className="w-4 h-4 text-red-400" />;
             default:
@@ -34,10 +105,17 @@ const SecurityConsole = ({
         switch (type) {
             case 'rsa-complete':
             case 'handshake-complete':
+            case 'peer-verified':
                 return 'text-green-400';
             case 'rsa-ready':
                 return 'text-purple-400';
+            case 'rekey':
+                return 'text-cyan-400';
+            case 'frame-dropped':
+                return 'text-orange-400';
             case 'error':
+            case 'key-changed':
+            case 'incompatible-client':
                 return 'text-red-400';
             default:
                 return 'text-gray-400';
@@ -93,7 +171,7 @@ const SecurityConsole = ({
                                         <Lock className="w-4 h-4 text-cyan-400" />
                                         <span className="text-xs text-gray-400">Algorithm</span>
                                     </div>
-                                    <p className="text-sm font-semibold text-cyan-400">RSA-OAEP</p>
+                                    <p className="text-sm font-semibold text-cyan-400">X25519 + AES-GCM</p>
                                 </div>
 
                                 <div className="bg-[#232428] rounded-lg p-3">
@@ -106,6 +184,86 @@ const SecurityConsole = ({
                             </div>
                         </div>
 
+                        {/* Peer Verification */}
+                        {peerVerification.size > 0 && (
+                            <div className="p-4 border-b border-[#2d2f34]">
+                                <h4 className="text-xs font-semibold text-gray-400 uppercase tracking-wide mb-1">
+                                    Safety Numbers
+                                </h4>
+                                <p className="text-[10px] text-gray-500 mb-3">
+                                    Compare aloud or scan the QR code. The numbers must match on both devices.
+                                </p>
+                                <div className="space-y-2 max-h-64 overflow-y-auto">
+                                    {Array.from(peerVerification.entries()).map(([peerId, info]) => (
+                                        <PeerVerificationRow
+                                            key={peerId}
+                                            peerId={peerId}
+                                            info={info}
+                                            onVerifyPeer={onVerifyPeer}
+                                        />
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+
+                        {/* Frame Integrity - audio frames dropped by the replay window or tag check */}
+                        {frameMetrics && frameMetrics.peers.length > 0 && (
+                            <div className="p-4 border-b border-[#2d2f34]">
+                                <h4 className="text-xs font-semibold text-gray-400 uppercase tracking-wide mb-3">
+                                    Dropped Frames
+                                </h4>
+                                <div className="grid grid-cols-4 gap-2 text-center">
+                                    {[
+                                        ['Replayed', frameMetrics.totals.replayed],
+                                        ['Too old', frameMetrics.totals.tooOld],
+                                        ['Forged', frameMetrics.totals.forged],
+                                        ['Malformed', frameMetrics.totals.invalid]
+                                    ].map(([label, count]) => (
+                                        <div key={label} className="bg-[#232428] rounded-lg p-2">
+                                            <p className={`text-sm font-semibold ${count > 0 ? 'text-orange-400' : 'text-gray-400'}`}>{count}</p>
+                                            <p className="text-[10px] text-gray-500">{label}</p>
+                                        </div>
+                                    ))}
+                                </div>
+                                <div className="mt-2 space-y-1">
+                                    {frameMetrics.peers.map(peer => (
+                                        <p key={peer.peerId} className="text-[10px] text-gray-500">
+                                            {peer.username}: {peer.replayed} replayed · {peer.tooOld} too old · {peer.forged} forged · {peer.invalid} malformed
+                                        </p>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+
+                        {/* Playback - jitter buffer depth, packet loss and how it was concealed */}
+                        {playbackStats && playbackStats.peers.length > 0 && (
+                            <div className="p-4 border-b border-[#2d2f34]">
+                                <h4 className="text-xs font-semibold text-gray-400 uppercase tracking-wide mb-3">
+                                    Playback Buffer
+                                </h4>
+                                <div className="space-y-1">
+                                    {playbackStats.peers.map(peer => (
+                                        <div key={peer.peerId} className="text-[10px]">
+                                            <div className="flex items-center justify-between">
+                                                <span className="text-gray-400 truncate">{peer.username}</span>
+                                                <span className={peer.underruns > 0 ? 'text-orange-400' : 'text-gray-500'}>
+                                                    {peer.depthMs}/{peer.targetMs} ms · {peer.underruns} underruns · {peer.late} late
+                                                </span>
+                                            </div>
+                                            <div className={`text-right ${peer.lossPercent >= 5 ? 'text-orange-400' : 'text-gray-500'}`}>
+                                                {peer.lost} lost ({peer.lossPercent}%) · {peer.concealed} repeated · {peer.codecConcealed} Opus PLC
+                                            </div>
+                                            {peer.sampleRate && peer.sampleRate !== peer.outputRate && (
+                                                <div className="text-right text-yellow-400">
+                                                    Resampling {peer.sampleRate / 1000} → {peer.outputRate / 1000} kHz
+                                                </div>
+                                            )}
+                                        </div>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+
                         {/* Event Log */}
                         <div className="p-4">
                             <h4 className="text-xs font-semibold text-gray-400 uppercase tracking-wide mb-3">
@@ -0,0 +1,683 @@
+import { useState, useEffect } from 'react';
+import { X, Settings, CloudUpload, Trash2, Loader2, CheckCircle, MonitorSmartphone, LockKeyhole, Mic, Volume2 } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
+import { cryptoService } from '../services/cryptoService';
+import { voiceEngine } from '../services/voiceEngine';
+
+const MIN_PASSPHRASE_LENGTH = 12;
+const MIN_PIN_LENGTH = 4;
+
+// Voice activity threshold slider range, in dBFS of input RMS
+const MIN_VAD_DB = -60;
+const MAX_VAD_DB = -20;
+const LEVEL_POLL_MS = 100;
+
+const toDb = (level) => (level > 0 ? 20 * Math.log10(level) : -Infinity);
+
+/**
+ * Microphone and speaker pickers - applied immediately, even mid-call, and remembered for this account
+ */
+const AudioDevicesSection = () => {
+    const [devices, setDevices] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        const loadDevices = async () => {
+            try {
+                const result = await voiceEngine.listAudioDevices();
+                if (!cancelled) setDevices(result);
+            } catch (err) {
+                console.error('Failed to list audio devices:', err);
+                if (!cancelled) setError(err.message);
+            }
+        };
+
+        loadDevices();
+        // Headsets plugged in or removed while the modal is open
+        voiceEngine.onAudioDevicesChange = (result) => setDevices(result);
+        return () => {
+            cancelled = true;
+            voiceEngine.onAudioDevicesChange = null;
+        };
+    }, []);
+
+    const handleChange = async (setDevice, deviceId) => {
+        setError(null);
+        try {
+            setDevices(await setDevice(deviceId || null));
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const selectClassName = 'w-full px-3 py-2 rounded-lg bg-[#111214] border border-[#2d2f34] text-white text-sm focus:outline-none focus:border-blue-500 disabled:opacity-50';
+
+    return (
+        <div className="p-4 rounded-lg bg-[#232428]">
+            <h4 className="text-sm font-semibold text-white mb-1">Audio devices</h4>
+            <p className="text-xs text-gray-400 mb-3">
+                Changes apply straight away, even during a call. If a chosen device is unplugged the system default is used until it's back.
+            </p>
+
+            {!devices && !error && <Loader2 className="w-4 h-4 text-gray-500 animate-spin" />}
+            {error && <p className="text-xs text-red-400 mb-2">{error}</p>}
+
+            {devices && (
+                <div className="space-y-3">
+                    <label className="block">
+                        <span className="flex items-center gap-1 text-xs text-gray-400 mb-1">
+                            <Mic className="w-3 h-3" /> Microphone
+                        </span>
+                        <select
+                            value={devices.inputId ?? ''}
+                            onChange={(e) => handleChange((id) => voiceEngine.setInputDevice(id), e.target.value)}
+                            className={selectClassName}
+                        >
+                            <option value="">System default</option>
+                            {devices.inputs.map(device => (
+                                <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+                            ))}
+                        </select>
+                    </label>
+
+                    <label className="block">
+                        <span className="flex items-center gap-1 text-xs text-gray-400 mb-1">
+                            <Volume2 className="w-3 h-3" /> Speaker
+                        </span>
+                        <select
+                            value={devices.outputId ?? ''}
+                            onChange={(e) => handleChange((id) => voiceEngine.setOutputDevice(id), e.target.value)}
+                            disabled={!devices.canSelectOutput}
+                            className={selectClassName}
+                        >
+                            <option value="">System default</option>
+                            {devices.outputs.map(device => (
+                                <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+                            ))}
+                        </select>
+                        {!devices.canSelectOutput && (
+                            <span className="block text-[11px] text-gray-500 mt-1">This browser can't choose an output device.</span>
+                        )}
+                    </label>
+
+                    {devices.inputs.length === 0 && (
+                        <p className="text-[11px] text-gray-500">Devices show up once microphone access has been allowed.</p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Open mic (optionally voice-activated) or push-to-talk, and the key that talks
+ */
+const InputModeSection = () => {
+    const [settings, setSettings] = useState(() => voiceEngine.getInputSettings());
+    const [isRecordingKey, setIsRecordingKey] = useState(false);
+
+    // Next key pressed becomes the push-to-talk key; Escape cancels
+    useEffect(() => {
+        if (!isRecordingKey) return;
+
+        const handleKeyDown = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            if (e.code !== 'Escape') {
+                voiceEngine.setPushToTalkKey(e.code);
+                setSettings(voiceEngine.getInputSettings());
+            }
+            setIsRecordingKey(false);
+        };
+
+        window.addEventListener('keydown', handleKeyDown, true);
+        return () => window.removeEventListener('keydown', handleKeyDown, true);
+    }, [isRecordingKey]);
+
+    const handleModeChange = (pushToTalk) => {
+        voiceEngine.setPushToTalk(pushToTalk);
+        setSettings(voiceEngine.getInputSettings());
+    };
+
+    const handleChange = (update) => {
+        update();
+        setSettings(voiceEngine.getInputSettings());
+    };
+
+    return (
+        <div className="p-4 rounded-lg bg-[#232428]">
+            <h4 className="text-sm font-semibold text-white mb-1">Input mode</h4>
+            <p className="text-xs text-gray-400 mb-3">
+                With push-to-talk nothing is sent unless the key or the on-screen button is held.
+                An open mic can still stay quiet between words.
+            </p>
+
+            <div className="flex gap-2 mb-3">
+                {[
+                    { value: false, label: 'Open mic' },
+                    { value: true, label: 'Push to talk' }
+                ].map(option => (
+                    <button
+                        key={option.label}
+                        onClick={() => handleModeChange(option.value)}
+                        className={`flex-1 py-2 rounded-lg text-sm font-medium transition-colors ${settings.pushToTalk === option.value
+                            ? 'bg-blue-500 text-white'
+                            : 'bg-[#111214] text-gray-400 hover:text-white border border-[#2d2f34]'
+                            }`}
+                    >
+                        {option.label}
+                    </button>
+                ))}
+            </div>
+
+            {settings.pushToTalk && (
+                <div className="flex items-center justify-between">
+                    <span className="text-xs text-gray-400">Talk key</span>
+                    <button
+                        onClick={() => setIsRecordingKey(true)}
+                        className="px-3 py-1.5 rounded-lg bg-[#111214] border border-[#2d2f34] text-white text-sm font-mono hover:border-blue-500 transition-colors"
+                    >
+                        {isRecordingKey ? 'Press a key...' : settings.pttKeyLabel}
+                    </button>
+                </div>
+            )}
+
+            {!settings.pushToTalk && <VoiceActivitySection settings={settings} onChange={handleChange} />}
+        </div>
+    );
+};
+
+/**
+ * Voice activity gate: whether an open mic only sends while speaking, and how loud counts as speaking
+ */
+const VoiceActivitySection = ({ settings, onChange }) => {
+    const [level, setLevel] = useState(0);
+
+    // Live input level while in a call, to set the threshold against
+    useEffect(() => {
+        const timer = setInterval(() => setLevel(voiceEngine.getInputLevel()), LEVEL_POLL_MS);
+        return () => clearInterval(timer);
+    }, []);
+
+    const thresholdDb = Math.round(toDb(settings.vadThreshold));
+    const toPercent = (db) => Math.min(100, Math.max(0, ((db - MIN_VAD_DB) / (MAX_VAD_DB - MIN_VAD_DB)) * 100));
+    const levelDb = toDb(level);
+
+    return (
+        <div className="mt-3 pt-3 border-t border-[#2d2f34] space-y-2">
+            <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                    type="checkbox"
+                    checked={settings.vadEnabled}
+                    onChange={(e) => onChange(() => voiceEngine.setVoiceActivityGate(e.target.checked))}
+                    className="accent-blue-500"
+                />
+                <span className="text-sm text-white">Only send while speaking</span>
+            </label>
+
+            <div className={settings.vadEnabled ? '' : 'opacity-50'}>
+                <div className="flex items-center justify-between text-xs text-gray-400 mb-1">
+                    <span>Sensitivity threshold</span>
+                    <span className="font-mono">{thresholdDb} dB</span>
+                </div>
+                <input
+                    type="range"
+                    min={MIN_VAD_DB}
+                    max={MAX_VAD_DB}
+                    step="1"
+                    value={thresholdDb}
+                    onChange={(e) => onChange(() => voiceEngine.setVoiceActivityThreshold(10 ** (Number(e.target.value) / 20)))}
+                    className="w-full accent-blue-500"
+                />
+                {/* Input meter - green when above the threshold */}
+                <div className="relative h-1.5 rounded-full bg-[#111214] overflow-hidden">
+                    <div
+                        className={`absolute inset-y-0 left-0 transition-[width] duration-100 ${levelDb >= thresholdDb ? 'bg-green-500' : 'bg-gray-500'}`}
+                        style={{ width: `${toPercent(levelDb)}%` }}
+                    />
+                    <div className="absolute inset-y-0 w-0.5 bg-white/70" style={{ left: `${toPercent(thresholdDb)}%` }} />
+                </div>
+                <p className="text-[11px] text-gray-500 mt-1">
+                    Speak normally in a call and set the marker just below your voice. Listeners hear soft background noise in the pauses.
+                </p>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Playback options that apply to every participant
+ */
+const PlaybackSection = () => {
+    const [normalize, setNormalize] = useState(() => voiceEngine.isLoudnessNormalizationEnabled());
+
+    const handleToggle = (e) => {
+        voiceEngine.setLoudnessNormalization(e.target.checked);
+        setNormalize(e.target.checked);
+    };
+
+    return (
+        <div className="p-4 rounded-lg bg-[#232428]">
+            <label className="flex items-start gap-3 cursor-pointer">
+                <input
+                    type="checkbox"
+                    checked={normalize}
+                    onChange={handleToggle}
+                    className="mt-0.5 accent-blue-500"
+                />
+                <span>
+                    <span className="block text-sm font-semibold text-white">Normalize loudness</span>
+                    <span className="block text-xs text-gray-400">
+                        Evens out loud and quiet speakers. Per-person volume and "mute for me" are on each participant's tile.
+                    </span>
+                </span>
+            </label>
+        </div>
+    );
+};
+
+/**
+ * Identity key backup: wrap the private key with a passphrase and store it on the server
+ */
+const KeyBackupSection = () => {
+    const { backupKeys, cryptoReady } = useAuth();
+    const [lastBackup, setLastBackup] = useState(null);
+    const [passphrase, setPassphrase] = useState('');
+    const [confirmPassphrase, setConfirmPassphrase] = useState('');
+    const [status, setStatus] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        const loadBackupInfo = async () => {
+            try {
+                const response = await authAPI.getKeyBackup();
+                if (!cancelled) setLastBackup(response.data.updatedAt);
+            } catch (error) {
+                if (error.response?.status !== 404) {
+                    console.error('Failed to load key backup info:', error);
+                }
+            }
+        };
+
+        loadBackupInfo();
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    const handleBackup = async (e) => {
+        e.preventDefault();
+        if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            setStatus({ type: 'error', message: `Use at least ${MIN_PASSPHRASE_LENGTH} characters` });
+            return;
+        }
+        if (passphrase !== confirmPassphrase) {
+            setStatus({ type: 'error', message: 'Passphrases do not match' });
+            return;
+        }
+
+        setIsSaving(true);
+        setStatus(null);
+        const result = await backupKeys(passphrase);
+        setIsSaving(false);
+
+        if (result.success) {
+            setLastBackup(result.updatedAt);
+            setPassphrase('');
+            setConfirmPassphrase('');
+            setStatus({ type: 'success', message: 'Backup saved' });
+        } else {
+            setStatus({ type: 'error', message: result.error });
+        }
+    };
+
+    const handleDelete = async () => {
+        try {
+            await authAPI.deleteKeyBackup();
+            setLastBackup(null);
+            setStatus({ type: 'success', message: 'Backup deleted' });
+        } catch (error) {
+            setStatus({ type: 'error', message: error.response?.data?.message || error.message });
+        }
+    };
+
+    return (
+        <div className="p-4 rounded-lg bg-[#232428]">
+            <div className="flex items-center justify-between mb-1">
+                <h4 className="text-sm font-semibold text-white">Identity key backup</h4>
+                {lastBackup && (
+                    <button
+                        onClick={handleDelete}
+                        className="p-1 rounded text-gray-500 hover:text-red-400 transition-colors"
+                        title="Delete backup"
+                    >
+                        <Trash2 className="w-4 h-4" />
+                    </button>
+                )}
+            </div>
+            <p className="text-xs text-gray-400 mb-3">
+                {lastBackup
+                    ? `Last backed up ${new Date(lastBackup).toLocaleString()}.`
+                    : 'Not backed up. Clearing site data or signing in elsewhere would create a new identity.'}
+                {' '}The passphrase never leaves this device and cannot be recovered.
+            </p>
+
+            <form onSubmit={handleBackup} className="space-y-2">
+                <input
+                    type="password"
+                    value={passphrase}
+                    onChange={(e) => setPassphrase(e.target.value)}
+                    placeholder="Backup passphrase"
+                    className="w-full px-3 py-2 rounded-lg bg-[#111214] border border-[#2d2f34] text-white text-sm focus:outline-none focus:border-blue-500"
+                />
+                <input
+                    type="password"
+                    value={confirmPassphrase}
+                    onChange={(e) => setConfirmPassphrase(e.target.value)}
+                    placeholder="Confirm passphrase"
+                    className="w-full px-3 py-2 rounded-lg bg-[#111214] border border-[#2d2f34] text-white text-sm focus:outline-none focus:border-blue-500"
+                />
+                {status && (
+                    <p className={`text-xs flex items-center gap-1 ${status.type === 'error' ? 'text-red-400' : 'text-green-400'}`}>
+                        {status.type === 'success' && <CheckCircle className="w-3 h-3" />}
+                        {status.message}
+                    </p>
+                )}
+                <button
+                    type="submit"
+                    disabled={!cryptoReady || !passphrase || isSaving}
+                    className="w-full py-2 rounded-lg bg-blue-500 hover:bg-blue-600 disabled:opacity-50 text-white text-sm font-medium transition-colors flex items-center justify-center gap-2"
+                >
+                    {isSaving ? <Loader2 className="w-4 h-4 animate-spin" /> : <CloudUpload className="w-4 h-4" />}
+                    {isSaving ? 'Encrypting...' : lastBackup ? 'Update backup' : 'Back up key'}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+/**
+ * Local unlock PIN: the stored private key is wrapped with a key derived from it
+ */
+const UnlockPinSection = () => {
+    const { cryptoReady } = useAuth();
+    const [hasPin, setHasPin] = useState(false);
+    const [pin, setPin] = useState('');
+    const [confirmPin, setConfirmPin] = useState('');
+    const [status, setStatus] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        const loadPinState = async () => {
+            const result = await cryptoService.hasUnlockPin();
+            if (cancelled) return;
+            setHasPin(result);
+            if (cryptoService.takeUnlockPinCleared()) {
+                setStatus({ type: 'error', message: 'Your unlock PIN was removed when your identity key was replaced - set a new one' });
+            }
+        };
+
+        loadPinState();
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    const handleSetPin = async (e) => {
+        e.preventDefault();
+        if (pin.length < MIN_PIN_LENGTH) {
+            setStatus({ type: 'error', message: `Use at least ${MIN_PIN_LENGTH} characters` });
+            return;
+        }
+        if (pin !== confirmPin) {
+            setStatus({ type: 'error', message: 'PINs do not match' });
+            return;
+        }
+
+        setIsSaving(true);
+        setStatus(null);
+        try {
+            await cryptoService.setUnlockPin(pin);
+            setHasPin(true);
+            setPin('');
+            setConfirmPin('');
+            setStatus({ type: 'success', message: 'PIN set - you will be asked for it after signing in' });
+        } catch (error) {
+            setStatus({ type: 'error', message: error.message });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleRemovePin = async () => {
+        try {
+            await cryptoService.removeUnlockPin();
+            setHasPin(false);
+            setStatus({ type: 'success', message: 'PIN removed' });
+        } catch (error) {
+            setStatus({ type: 'error', message: error.message });
+        }
+    };
+
+    if (!cryptoService.useNative) {
+        return (
+            <div className="p-4 rounded-lg bg-[#232428]">
+                <h4 className="text-sm font-semibold text-white mb-1">Unlock PIN</h4>
+                <p className="text-xs text-gray-400">
+                    Not available over an insecure (HTTP) connection - the key can't be kept non-extractable there.
+                </p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="p-4 rounded-lg bg-[#232428]">
+            <div className="flex items-center justify-between mb-1">
+                <h4 className="text-sm font-semibold text-white">Unlock PIN</h4>
+                {hasPin && (
+                    <button
+                        onClick={handleRemovePin}
+                        className="p-1 rounded text-gray-500 hover:text-red-400 transition-colors"
+                        title="Remove PIN"
+                    >
+                        <Trash2 className="w-4 h-4" />
+                    </button>
+                )}
+            </div>
+            <p className="text-xs text-gray-400 mb-3">
+                {hasPin
+                    ? 'Your identity key on this device is locked with a PIN.'
+                    : 'Your identity key is stored encrypted with a key only this browser can use.'}
+                {' '}A PIN also protects it if someone copies this browser's data.
+            </p>
+
+            <form onSubmit={handleSetPin} className="space-y-2">
+                <input
+                    type="password"
+                    value={pin}
+                    onChange={(e) => setPin(e.target.value)}
+                    placeholder={hasPin ? 'New PIN' : 'PIN'}
+                    className="w-full px-3 py-2 rounded-lg bg-[#111214] border border-[#2d2f34] text-white text-sm focus:outline-none focus:border-blue-500"
+                />
+                <input
+                    type="password"
+                    value={confirmPin}
+                    onChange={(e) => setConfirmPin(e.target.value)}
+                    placeholder="Confirm PIN"
+                    className="w-full px-3 py-2 rounded-lg bg-[#111214] border border-[#2d2f34] text-white text-sm focus:outline-none focus:border-blue-500"
+                />
+                {status && (
+                    <p className={`text-xs flex items-center gap-1 ${status.type === 'error' ? 'text-red-400' : 'text-green-400'}`}>
+                        {status.type === 'success' && <CheckCircle className="w-3 h-3" />}
+                        {status.message}
+                    </p>
+                )}
+                <button
+                    type="submit"
+                    disabled={!cryptoReady || !pin || isSaving}
+                    className="w-full py-2 rounded-lg bg-blue-500 hover:bg-blue-600 disabled:opacity-50 text-white text-sm font-medium transition-colors flex items-center justify-center gap-2"
+                >
+                    {isSaving ? <Loader2 className="w-4 h-4 animate-spin" /> : <LockKeyhole className="w-4 h-4" />}
+                    {isSaving ? 'Encrypting...' : hasPin ? 'Change PIN' : 'Set PIN'}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+/**
+ * Browsers holding an identity key for this account
+ * Revoking one stops the server from handing its key to contacts and drops its connection
+ */
+const DevicesSection = () => {
+    const [devices, setDevices] = useState(null);
+    const [currentDeviceId, setCurrentDeviceId] = useState(null);
+    const [confirmRevoke, setConfirmRevoke] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        const loadDevices = async () => {
+            try {
+                const deviceId = await cryptoService.getDeviceId();
+                const response = await authAPI.getDevices();
+                const withFingerprints = await Promise.all(response.data.devices.map(async (device) => ({
+                    ...device,
+                    fingerprint: device.publicKey ? await cryptoService.getKeyFingerprint(device.publicKey) : null
+                })));
+                if (!cancelled) {
+                    setCurrentDeviceId(deviceId);
+                    setDevices(withFingerprints);
+                }
+            } catch (err) {
+                console.error('Failed to load devices:', err);
+                if (!cancelled) setError(err.response?.data?.message || err.message);
+            }
+        };
+
+        loadDevices();
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    const handleRevoke = async (deviceId) => {
+        setConfirmRevoke(null);
+        try {
+            await authAPI.revokeDevice(deviceId);
+            setDevices(prev => prev.filter(d => d.deviceId !== deviceId));
+        } catch (err) {
+            setError(err.response?.data?.message || err.message);
+        }
+    };
+
+    return (
+        <div className="p-4 rounded-lg bg-[#232428]">
+            <h4 className="text-sm font-semibold text-white mb-1">Devices</h4>
+            <p className="text-xs text-gray-400 mb-3">
+                Each browser you sign in from has its own identity key. Revoke any you don't recognise.
+            </p>
+
+            {!devices && !error && <Loader2 className="w-4 h-4 text-gray-500 animate-spin" />}
+            {error && <p className="text-xs text-red-400 mb-2">{error}</p>}
+
+            <ul className="space-y-2">
+                {devices?.map(device => (
+                    <li key={device.deviceId} className="p-2 rounded-lg bg-[#111214] flex items-start gap-3">
+                        <MonitorSmartphone className="w-4 h-4 text-gray-400 mt-0.5 shrink-0" />
+                        <div className="flex-1 min-w-0">
+                            <div className="flex items-center gap-2">
+                                <span className="text-sm text-white truncate">{device.name || 'Unnamed device'}</span>
+                                {device.deviceId === currentDeviceId && (
+                                    <span className="text-[10px] px-1.5 py-0.5 rounded bg-blue-500/20 text-blue-300">This device</span>
+                                )}
+                            </div>
+                            {device.fingerprint && (
+                                <p className="font-mono text-[11px] text-gray-500">{device.fingerprint.slice(0, 19)}</p>
+                            )}
+                            <p className="text-[11px] text-gray-500">
+                                Added {new Date(device.createdAt).toLocaleDateString()}
+                                {' - '}last seen {new Date(device.lastSeenAt).toLocaleString()}
+                            </p>
+                        </div>
+                        {device.deviceId !== currentDeviceId && (
+                            confirmRevoke === device.deviceId ? (
+                                <div className="flex gap-1">
+                                    <button
+                                        onClick={() => setConfirmRevoke(null)}
+                                        className="px-2 py-1 rounded text-xs text-gray-400 hover:text-white transition-colors"
+                                    >
+                                        Cancel
+                                    </button>
+                                    <button
+                                        onClick={() => handleRevoke(device.deviceId)}
+                                        className="px-2 py-1 rounded bg-red-500 hover:bg-red-600 text-white text-xs transition-colors"
+                                    >
+                                        Revoke
+                                    </button>
+                                </div>
+                            ) : (
+                                <button
+                                    onClick={() => setConfirmRevoke(device.deviceId)}
+                                    className="p-1 rounded text-gray-500 hover:text-red-400 transition-colors"
+                                    title="Revoke device"
+                                >
+                                    <Trash2 className="w-4 h-4" />
+                                </button>
+                            )
+                        )}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+/**
+ * Account, voice & security settings
+ */
+const SettingsModal = ({ isOpen, onClose }) => {
+    if (!isOpen) return null;
+
+    return (
+        <div className="fixed inset-0 z-[100] flex items-center justify-center p-4 bg-black/70 backdrop-blur-sm animate-fade-in">
+            <div className="bg-[#1e1f22] rounded-xl shadow-2xl max-w-lg w-full max-h-[90vh] overflow-hidden border border-[#2d2f34] flex flex-col">
+                {/* Header */}
+                <div className="px-4 py-3 bg-[#232428] border-b border-[#2d2f34] flex items-center justify-between">
+                    <div className="flex items-center gap-2">
+                        <Settings className="w-5 h-5 text-gray-400" />
+                        <h3 className="font-semibold text-white">Settings</h3>
+                    </div>
+                    <button
+                        onClick={onClose}
+                        className="p-1 rounded hover:bg-[#36393f] text-gray-400 hover:text-white transition-colors"
+                    >
+                        <X className="w-4 h-4" />
+                    </button>
+                </div>
+
+                {/* Sections */}
+                <div className="p-4 space-y-4 overflow-y-auto">
+                    <h4 className="text-xs font-semibold text-gray-400 uppercase tracking-wide">Voice</h4>
+                    <AudioDevicesSection />
+                    <InputModeSection />
+                    <PlaybackSection />
+                    <h4 className="text-xs font-semibold text-gray-400 uppercase tracking-wide">Security</h4>
+                    <KeyBackupSection />
+                    <UnlockPinSection />
+                    <DevicesSection />
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SettingsModal;
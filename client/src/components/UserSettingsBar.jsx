@@ -8,6 +8,7 @@ const UserSettingsBar = ({
     onDisconnect,
     onMuteChange,
     onDeafenChange,
+    onOpenSettings,
     isCompact = false
 }) => {
     const { user, logout } = useAuth();
@@ -177,6 +178,16 @@ const UserSettingsBar = ({
                         {isDeafened ? <HeadphoneOff className="w-5 h-5" /> : <Headphones className="w-5 h-5" />}
                     </button>
 
+                    {onOpenSettings && (
+                        <button
+                            onClick={onOpenSettings}
+                            className="p-2 rounded hover:bg-[#36393f] text-[#b5bac1] hover:text-[#dbdee1] transition-colors"
+                            title="Settings"
+                        >
+                            <Settings className="w-5 h-5" />
+                        </button>
+                    )}
+
                     <div className="relative group">
                         <button
                             onClick={logout}
@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { Mic, MicOff, Headphones, HeadphoneOff, Phone, PhoneOff, ScreenShare, Video, Users, Pin, Bell, Search, Inbox, HelpCircle, Shield, ShieldCheck, Lock } from 'lucide-react';
+import { Mic, MicOff, Headphones, HeadphoneOff, Phone, PhoneOff, ScreenShare, Video, Users, Pin, Bell, Search, Inbox, HelpCircle, Shield, ShieldCheck, Lock, Radio } from 'lucide-react';
 import ParticipantTile from './ParticipantTile';
 
 const VoiceChannel = ({
@@ -12,6 +12,16 @@ const VoiceChannel = ({
     isSpeaking = false,
     speakingPeers = new Map(),
     mutedPeers = new Map(),
+    peerVerification = new Map(),
+    peerAudioSettings = new Map(),
+    peerQuality = new Map(),
+    peerConnectionStates = new Map(),
+    onShowCallStats,
+    onPeerVolumeChange,
+    onPeerLocalMuteChange,
+    inputSettings = null, // { pushToTalk, pttKey, pttKeyLabel }
+    isTransmitting = false,
+    onPushToTalk,
     onToggleMute,
     onToggleDeafen,
     onInvite // New prop for opening invite modal
@@ -21,6 +31,10 @@ const VoiceChannel = ({
     const [isVideoOn, setIsVideoOn] = useState(false);
     const [isScreenSharing, setIsScreenSharing] = useState(false);
 
+    // Push-to-talk released reads as muted, locally and for peers
+    const pushToTalk = !!inputSettings?.pushToTalk;
+    const isSilent = isMuted || (pushToTalk && !isTransmitting);
+
     // --- RENDER HELPERS ---
 
     // Bottom Control Bar
@@ -51,6 +65,26 @@ const VoiceChannel = ({
                 {isMuted ? <MicOff className="w-5 h-5" /> : <Mic className="w-5 h-5" />}
             </button>
 
+            {pushToTalk && (
+                <button
+                    onPointerDown={(e) => {
+                        e.currentTarget.setPointerCapture(e.pointerId);
+                        onPushToTalk?.(true);
+                    }}
+                    onPointerUp={() => onPushToTalk?.(false)}
+                    onPointerCancel={() => onPushToTalk?.(false)}
+                    disabled={isMuted}
+                    className={`h-12 px-4 rounded-full flex-center gap-2 text-sm font-medium select-none touch-none transition-all duration-150 ${isTransmitting
+                        ? 'bg-[var(--status-online)] text-white shadow-lg shadow-green-500/30 scale-105'
+                        : 'bg-[var(--bg-surface-hover)] text-white hover:bg-[var(--bg-surface)] border border-[var(--border-subtle)] disabled:opacity-50'
+                        }`}
+                    title={`Hold to talk (or hold ${inputSettings.pttKeyLabel})`}
+                >
+                    <Radio className="w-4 h-4" />
+                    <span className="hidden md:inline">{isTransmitting ? 'Talking' : `Hold ${inputSettings.pttKeyLabel}`}</span>
+                </button>
+            )}
+
             <button
                 onClick={() => {
                     const newDeafened = !isDeafened;
@@ -112,8 +146,8 @@ const VoiceChannel = ({
                         {/* Current User */}
                         <ParticipantTile
                             isCurrentUser={true}
-                            isMuted={isMuted}
-                            isSpeaking={isSpeaking && !isMuted}
+                            isMuted={isSilent}
+                            isSpeaking={isSpeaking && !isSilent}
                             isEncrypted={true}
                         />
 
@@ -126,6 +160,13 @@ const VoiceChannel = ({
                                 isMuted={mutedPeers.get(participant.socketId) || false}
                                 isSpeaking={speakingPeers.get(participant.socketId) || false}
                                 isEncrypted={true}
+                                verification={peerVerification.get(participant.socketId)}
+                                audioSettings={peerAudioSettings.get(participant.id)}
+                                onVolumeChange={(volume) => onPeerVolumeChange?.(participant.id, volume)}
+                                onToggleLocalMute={() => onPeerLocalMuteChange?.(participant.id, !peerAudioSettings.get(participant.id)?.muted)}
+                                quality={peerQuality.get(participant.socketId)}
+                                connectionState={peerConnectionStates.get(participant.socketId)}
+                                onShowQuality={onShowCallStats}
                             />
                         ))}
 
@@ -10,6 +10,10 @@ export const AuthProvider = ({ children }) => {
     const [loading, setLoading] = useState(true);
     const [publicKeyJwk, setPublicKeyJwk] = useState(null);
     const [cryptoReady, setCryptoReady] = useState(false);
+    // Server-side key backup waiting for the passphrase (new device / cleared site data)
+    const [pendingKeyBackup, setPendingKeyBackup] = useState(null);
+    // Stored identity key is protected by a local unlock PIN that hasn't been entered yet
+    const [keyLocked, setKeyLocked] = useState(false);
 
     useEffect(() => {
         const initAuth = async () => {
@@ -32,28 +36,46 @@ export const AuthProvider = ({ children }) => {
     }, [token]);
 
     /**
-     * Initialize RSA key pair - check IndexedDB or generate new
+     * Initialize RSA key pair - check IndexedDB, offer the server backup, or generate new
      */
-    const initializeCrypto = async (userData) => {
+    const initializeCrypto = async (userData, { skipRestore = false } = {}) => {
         try {
             console.log('Initializing cryptographic keys...');
 
+            if (await cryptoService.isKeyPairLocked()) {
+                console.log('Identity key is PIN-protected - waiting for unlock');
+                setKeyLocked(true);
+                return;
+            }
+
+            // This account already has an identity but this device doesn't - restore before generating
+            if (!skipRestore && userData.publicKey && !(await cryptoService.hasStoredKeyPair())) {
+                try {
+                    const response = await authAPI.getKeyBackup();
+                    console.log('Key backup found - waiting for passphrase');
+                    setPendingKeyBackup(response.data);
+                    return;
+                } catch (error) {
+                    if (error.response?.status !== 404) throw error;
+                }
+            }
+
             // Initialize or retrieve existing key pair
             const pubKeyJwk = await cryptoService.initializeKeyPair();
             setPublicKeyJwk(pubKeyJwk);
 
-            // Check if we need to update the server with our public key
-            const storedPublicKey = userData.publicKey;
-            const currentPublicKeyStr = JSON.stringify(pubKeyJwk);
-
-            if (!storedPublicKey || storedPublicKey !== currentPublicKeyStr) {
-                console.log('Updating public key on server...');
-                await authAPI.updatePublicKey(currentPublicKeyStr);
-            }
+            // Register this device's key with the server (also refreshes its last-seen time)
+            const device = await cryptoService.getDeviceInfo();
+            await authAPI.updatePublicKey(JSON.stringify(pubKeyJwk), device);
 
             setCryptoReady(true);
             console.log('Cryptographic keys ready');
         } catch (error) {
+            // Revoked from another session - wipe this device and let the caller sign out
+            if (error.response?.data?.code === 'DEVICE_REVOKED') {
+                await cryptoService.resetDevice();
+                throw error;
+            }
             console.error('Error initializing crypto:', error);
             // Don't block auth if crypto fails
             setCryptoReady(false);
@@ -74,6 +96,9 @@ export const AuthProvider = ({ children }) => {
 
             return { success: true };
         } catch (error) {
+            if (error.response?.data?.code === 'DEVICE_REVOKED') {
+                logout();
+            }
             return {
                 success: false,
                 error: error.response?.data?.message || 'Login failed'
@@ -87,13 +112,15 @@ export const AuthProvider = ({ children }) => {
             console.log('Generating RSA key pair for new user...');
             const pubKeyJwk = await cryptoService.initializeKeyPair();
             const publicKeyStr = JSON.stringify(pubKeyJwk);
+            const device = await cryptoService.getDeviceInfo();
 
             console.log('Sending registration request...');
             const response = await authAPI.register({
                 username,
                 email,
                 password,
-                publicKey: publicKeyStr
+                publicKey: publicKeyStr,
+                ...device
             });
             const { token: newToken, ...userData } = response.data;
 
@@ -130,12 +157,88 @@ export const AuthProvider = ({ children }) => {
         }
     };
 
+    /**
+     * Unwrap the pending server backup with the user's passphrase
+     */
+    const restoreKeyBackup = async (passphrase) => {
+        try {
+            await cryptoService.restoreKeyBackup(pendingKeyBackup, passphrase);
+            setPendingKeyBackup(null);
+            await initializeCrypto(user);
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    };
+
+    /**
+     * Give up on the backup and start a new identity on this device
+     * Contacts will see a key change warning
+     */
+    const skipKeyRestore = async () => {
+        setPendingKeyBackup(null);
+        await initializeCrypto(user, { skipRestore: true });
+    };
+
+    /**
+     * Unlock the PIN-protected identity key and finish crypto setup
+     */
+    const unlockKeys = async (pin) => {
+        try {
+            await cryptoService.unlockKeyPair(pin);
+            setKeyLocked(false);
+            await initializeCrypto(user);
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    };
+
+    /**
+     * Forgot the PIN: drop the locked key - a server backup (if any) is offered next
+     */
+    const resetLockedKeys = async () => {
+        await cryptoService.clearKeys();
+        setKeyLocked(false);
+        await initializeCrypto(user);
+    };
+
+    /**
+     * Encrypt this device's keys with a passphrase and store the blob on the server
+     */
+    const backupKeys = async (passphrase) => {
+        try {
+            const backup = await cryptoService.createKeyBackup(passphrase);
+            const response = await authAPI.saveKeyBackup(backup);
+            return { success: true, updatedAt: response.data.updatedAt };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.response?.data?.message || error.message
+            };
+        }
+    };
+
+    /**
+     * This device was revoked from another session - wipe its keys and sign out
+     * Signing in again registers the browser as a new device
+     */
+    const handleDeviceRevoked = async () => {
+        console.warn('This device has been revoked - signing out');
+        await cryptoService.resetDevice();
+        logout();
+    };
+
     const logout = async () => {
         localStorage.removeItem('token');
         setToken(null);
         setUser(null);
         setPublicKeyJwk(null);
         setCryptoReady(false);
+        setPendingKeyBackup(null);
+        setKeyLocked(false);
+        // The PIN has to be entered again after the next sign-in
+        cryptoService.lockKeyPair();
 
         // Optionally clear crypto keys on logout
         // await cryptoService.clearKeys();
@@ -166,7 +269,15 @@ export const AuthProvider = ({ children }) => {
         cryptoReady,
         publicKeyJwk,
         getPublicKey,
-        getPublicKeyString
+        getPublicKeyString,
+        pendingKeyBackup,
+        restoreKeyBackup,
+        skipKeyRestore,
+        backupKeys,
+        handleDeviceRevoked,
+        keyLocked,
+        unlockKeys,
+        resetLockedKeys
     };
 
     return (
@@ -1,14 +1,23 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { roomsAPI, friendsAPI } from '../services/api';
 import { voiceEngine } from '../services/voiceEngine';
+import { cryptoService } from '../services/cryptoService';
 import Sidebar from '../components/Sidebar';
 import VoiceChannel from '../components/VoiceChannel';
 import UserSettingsBar from '../components/UserSettingsBar';
 import SecurityConsole from '../components/SecurityConsole';
+import CallStatsOverlay from '../components/CallStatsOverlay';
 import ErrorOverlay from '../components/ErrorOverlay';
-import { Plus, X, Shield, ShieldCheck, Terminal, LogOut, Clock, Calendar, User as UserIcon, Users, ArrowRight } from 'lucide-react';
+import KeyChangeDialog from '../components/KeyChangeDialog';
+import KeyRestoreDialog from '../components/KeyRestoreDialog';
+import KeyUnlockDialog from '../components/KeyUnlockDialog';
+import SettingsModal from '../components/SettingsModal';
+import { Plus, X, Shield, ShieldCheck, ShieldAlert, Terminal, LogOut, Clock, Calendar, User as UserIcon, Users, ArrowRight, Settings } from 'lucide-react';
+
+// Opus bitrates the room creator can pick (bits/s)
+const AUDIO_BITRATE_OPTIONS = [16000, 24000, 32000, 48000, 64000];
 
 const Dashboard = () => {
     const [rooms, setRooms] = useState([]);
@@ -27,12 +36,29 @@ const Dashboard = () => {
 
     // Security Console state
     const [showSecurityConsole, setShowSecurityConsole] = useState(false);
+    const [showSettings, setShowSettings] = useState(false);
     const [securityEvents, setSecurityEvents] = useState([]);
+    const [securityMetrics, setSecurityMetrics] = useState(null);
+    const [playbackStats, setPlaybackStats] = useState(null);
+    const [qualityStats, setQualityStats] = useState([]); // Per-peer call quality, newest sample
+    const [showCallStats, setShowCallStats] = useState(false);
 
     // Speaking state
     const [isSpeaking, setIsSpeaking] = useState(false);
     const [speakingPeers, setSpeakingPeers] = useState(new Map());
     const [mutedPeers, setMutedPeers] = useState(new Map());
+    const [peerConnectionStates, setPeerConnectionStates] = useState(new Map()); // socketId -> 'reconnecting' | 'relayed' | 'failed'
+
+    // Identity verification state (socketId -> { status, safetyNumber, ... })
+    const [peerVerification, setPeerVerification] = useState(new Map());
+    const [peerAudioSettings, setPeerAudioSettings] = useState(new Map()); // userId -> { volume, muted }
+    const [inputSettings, setInputSettings] = useState(null); // { pushToTalk, pttKey, pttKeyLabel }
+    const [isTransmitting, setIsTransmitting] = useState(false); // Push-to-talk held
+
+    // Key changes awaiting user confirmation (blocking dialog, oldest first)
+    const [pendingKeyChanges, setPendingKeyChanges] = useState([]);
+    const [friendKeyStatus, setFriendKeyStatus] = useState(new Map());
+    const announcedKeyChanges = useRef(new Set()); // Friend ids already logged as changed
 
     // Error handling
     const [currentError, setCurrentError] = useState(null);
@@ -50,7 +76,7 @@ const Dashboard = () => {
     const [friendRequests, setFriendRequests] = useState([]);
     const [addFriendInput, setAddFriendInput] = useState('');
 
-    const { user, token, isAuthenticated, cryptoReady, getPublicKeyString, logout } = useAuth();
+    const { user, token, isAuthenticated, cryptoReady, getPublicKeyString, logout, handleDeviceRevoked } = useAuth();
     const navigate = useNavigate();
 
     // Fetch initial data
@@ -156,11 +182,95 @@ const Dashboard = () => {
             const response = await friendsAPI.getFriends();
             setFriends(response.data.friends);
             setFriendRequests(response.data.friendRequests);
+            // Pin each of a friend's device keys on first sight (TOFU) and flag any that changed since
+            const statuses = new Map();
+            for (const friend of response.data.friends) {
+                const devices = friend.devices?.length
+                    ? friend.devices
+                    : friend.publicKey ? [{ deviceId: null, publicKey: friend.publicKey }] : [];
+                let firstSeen = false;
+                for (const device of devices) {
+                    try {
+                        // A brand new contact: trust all of their current devices on first use
+                        if (firstSeen) {
+                            await cryptoService.pinPeerKey(friend._id, friend.username, device.publicKey, device.deviceId);
+                            continue;
+                        }
+                        const result = await cryptoService.checkPeerKey(
+                            friend._id,
+                            friend.username,
+                            device.publicKey,
+                            device.deviceId
+                        );
+                        firstSeen = !!result.firstSeen;
+                        // One changed device is enough to flag the friend
+                        if (statuses.get(friend._id)?.status === 'changed') continue;
+                        statuses.set(friend._id, { ...result, publicKey: device.publicKey, deviceId: device.deviceId });
+                        if (result.status === 'changed' && !announcedKeyChanges.current.has(friend._id)) {
+                            announcedKeyChanges.current.add(friend._id);
+                            setSecurityEvents(prev => [...prev, {
+                                type: 'key-changed',
+                                message: result.newDevice
+                                    ? `${friend.username} added a device you haven't seen before`
+                                    : `${friend.username}'s identity key changed since it was first seen`,
+                                timestamp: new Date().toLocaleTimeString()
+                            }]);
+                        }
+                    } catch (error) {
+                        console.error('Failed to check friend key:', error);
+                    }
+                }
+            }
+            setFriendKeyStatus(statuses);
         } catch (error) {
             console.error('Failed to load friends:', error);
         }
     };
 
+    const handleReviewFriendKey = (friend) => {
+        const result = friendKeyStatus.get(friend._id);
+        if (!result) return;
+        setPendingKeyChanges(prev => [...prev, {
+            userId: friend._id,
+            username: friend.username,
+            publicKey: result.publicKey,
+            deviceId: result.deviceId,
+            fingerprint: result.fingerprint,
+            previousFingerprint: result.previousFingerprint,
+            wasVerified: result.wasVerified,
+            newDevice: result.newDevice
+        }]);
+    };
+
+    const handleAcceptKeyChange = async () => {
+        const change = pendingKeyChanges[0];
+        setPendingKeyChanges(prev => prev.slice(1));
+        try {
+            if (change.peerId) {
+                await voiceEngine.acceptPeerKeyChange(change.peerId);
+            } else {
+                await cryptoService.pinPeerKey(change.userId, change.username, change.publicKey, change.deviceId);
+                addSecurityEvent('key-pinned', `Accepted new identity key for ${change.username}`);
+            }
+            announcedKeyChanges.current.delete(change.userId);
+            setFriendKeyStatus(prev => {
+                const next = new Map(prev);
+                next.delete(change.userId);
+                return next;
+            });
+        } catch (error) {
+            console.error('Failed to accept key change:', error);
+        }
+    };
+
+    const handleRejectKeyChange = () => {
+        const change = pendingKeyChanges[0];
+        setPendingKeyChanges(prev => prev.slice(1));
+        if (change.peerId) {
+            voiceEngine.rejectPeerKeyChange(change.peerId);
+        }
+    };
+
     const handleSendRequest = async () => {
         if (!addFriendInput.trim()) return;
         try {
@@ -207,16 +317,36 @@ const Dashboard = () => {
             // Setup event handlers
             voiceEngine.onParticipantJoined = (participant) => {
                 setParticipants(prev => [...prev, participant]);
+                setPeerAudioSettings(prev => new Map(prev).set(participant.id, voiceEngine.getUserAudioSettings(participant.id)));
                 addSecurityEvent('handshake-complete', `${participant.username} joined the channel`);
             };
 
             voiceEngine.onParticipantLeft = (participant) => {
-                setParticipants(prev => prev.filter(p => p.id !== participant.id));
+                setParticipants(prev => prev.filter(p => p.socketId !== participant.socketId));
                 setSpeakingPeers(prev => {
                     const next = new Map(prev);
                     next.delete(participant.socketId);
                     return next;
                 });
+                setPeerVerification(prev => {
+                    const next = new Map(prev);
+                    next.delete(participant.socketId);
+                    return next;
+                });
+                setPeerConnectionStates(prev => {
+                    const next = new Map(prev);
+                    next.delete(participant.socketId);
+                    return next;
+                });
+            };
+
+            voiceEngine.onPeerConnectionStateChange = (peerId, state) => {
+                setPeerConnectionStates(prev => {
+                    const next = new Map(prev);
+                    if (state === 'connected') next.delete(peerId);
+                    else next.set(peerId, state);
+                    return next;
+                });
             };
 
             voiceEngine.onConnectionStateChange = (connected) => {
@@ -247,11 +377,51 @@ const Dashboard = () => {
                 });
             };
 
+            voiceEngine.onPeerVerificationChange = (peerId, info) => {
+                setPeerVerification(prev => {
+                    const next = new Map(prev);
+                    if (info) {
+                        next.set(peerId, info);
+                    } else {
+                        next.delete(peerId);
+                    }
+                    return next;
+                });
+            };
+
+            voiceEngine.onPeerKeyChanged = (peerId, info) => {
+                setPendingKeyChanges(prev => [...prev.filter(c => c.peerId !== peerId), { ...info, peerId }]);
+            };
+
             voiceEngine.onSecurityEvent = (event) => {
                 addSecurityEvent(event.type, event.message);
             };
 
+            voiceEngine.onSecurityMetrics = (metrics) => {
+                setSecurityMetrics(metrics);
+            };
+
+            voiceEngine.onPlaybackStats = (stats) => {
+                setPlaybackStats(stats);
+            };
+
+            voiceEngine.onQualityStats = ({ peers }) => {
+                setQualityStats(peers);
+            };
+
+            setInputSettings(voiceEngine.getInputSettings());
+            voiceEngine.onInputSettingsChange = (settings) => {
+                setInputSettings(settings);
+            };
+            voiceEngine.onTransmitChange = (transmitting) => {
+                setIsTransmitting(transmitting);
+            };
+
             voiceEngine.onError = (error) => {
+                if (error.type === 'device-revoked') {
+                    handleDeviceRevoked();
+                    return;
+                }
                 setCurrentError(error);
             };
 
@@ -351,7 +521,7 @@ const Dashboard = () => {
             if (error.name === 'NotAllowedError' || error.name === 'PermissionDeniedError') {
                 setCurrentError({ type: 'microphone-denied', message: 'Microphone access denied' });
             } else {
-                setCurrentError({ type: 'join-failed', message: error.message });
+                setCurrentError({ type: 'join-error', message: error.message });
             }
         }
     }, [selectedChannel, cryptoReady, getPublicKeyString]);
@@ -364,11 +534,22 @@ const Dashboard = () => {
             setIsSpeaking(false);
             setSpeakingPeers(new Map());
             setMutedPeers(new Map());
+            setPeerConnectionStates(new Map());
+            setPeerVerification(new Map());
+            setPendingKeyChanges(prev => prev.filter(c => !c.peerId));
         } catch (error) {
             console.error('Failed to leave room:', error);
         }
     }, []);
 
+    const handleVerifyPeer = useCallback(async (peerId, verified) => {
+        try {
+            await voiceEngine.setPeerVerified(peerId, verified);
+        } catch (error) {
+            console.error('Failed to update peer verification:', error);
+        }
+    }, []);
+
     const handleMuteChange = useCallback((muted) => {
         voiceEngine.setMuted(muted);
         if (muted) setIsSpeaking(false);
@@ -378,6 +559,54 @@ const Dashboard = () => {
         voiceEngine.setDeafened(deafened);
     }, []);
 
+    const handlePushToTalk = useCallback((pressed) => {
+        if (pressed) {
+            voiceEngine.startTalking();
+        } else {
+            voiceEngine.stopTalking();
+        }
+    }, []);
+
+    // Push-to-talk key - held anywhere on the page except while typing
+    useEffect(() => {
+        if (!isConnected || !inputSettings?.pushToTalk) return;
+
+        const isTyping = (target) => target instanceof HTMLElement
+            && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+        const handleKeyDown = (e) => {
+            if (e.code !== inputSettings.pttKey || isTyping(e.target)) return;
+            e.preventDefault();
+            if (!e.repeat) voiceEngine.startTalking();
+        };
+        const handleKeyUp = (e) => {
+            if (e.code !== inputSettings.pttKey) return;
+            voiceEngine.stopTalking();
+        };
+        // Key-up never arrives if focus leaves the window mid-press
+        const handleBlur = () => voiceEngine.stopTalking();
+
+        window.addEventListener('keydown', handleKeyDown);
+        window.addEventListener('keyup', handleKeyUp);
+        window.addEventListener('blur', handleBlur);
+        return () => {
+            window.removeEventListener('keydown', handleKeyDown);
+            window.removeEventListener('keyup', handleKeyUp);
+            window.removeEventListener('blur', handleBlur);
+            voiceEngine.stopTalking();
+        };
+    }, [isConnected, inputSettings]);
+
+    const handlePeerVolumeChange = useCallback((userId, volume) => {
+        const settings = voiceEngine.setUserVolume(userId, volume);
+        setPeerAudioSettings(prev => new Map(prev).set(userId, settings));
+    }, []);
+
+    const handlePeerLocalMuteChange = useCallback((userId, muted) => {
+        const settings = voiceEngine.setUserLocalMute(userId, muted);
+        setPeerAudioSettings(prev => new Map(prev).set(userId, settings));
+    }, []);
+
     const handleRetryError = useCallback(async () => {
         if (currentError?.type === 'microphone-denied') {
             // Try to request microphone again
@@ -461,6 +690,19 @@ const Dashboard = () => {
         }
     };
 
+    const handleAudioBitrateChange = async (audioBitrate) => {
+        if (!selectedChannel) return;
+        try {
+            // The server pushes the new bitrate to everyone in the call
+            const response = await roomsAPI.updateRoomSettings(selectedChannel.id, { audioBitrate });
+            setSelectedChannel(prev => prev?.id === response.data.id ? { ...prev, audioBitrate: response.data.audioBitrate } : prev);
+            setRooms(prev => prev.map(r => r.id === response.data.id ? { ...r, audioBitrate: response.data.audioBitrate } : r));
+        } catch (err) {
+            console.error('Failed to update room settings:', err);
+            setError(err.response?.data?.message || 'Failed to update audio quality');
+        }
+    };
+
     // --- RENDER HELPERS ---
 
     const renderLobby = () => (
@@ -493,6 +735,13 @@ const Dashboard = () => {
                     >
                         <Shield className="w-5 h-5" />
                     </button>
+                    <button
+                        onClick={() => setShowSettings(true)}
+                        className="btn btn-secondary p-2 rounded-full"
+                        title="Settings"
+                    >
+                        <Settings className="w-5 h-5" />
+                    </button>
                     {/* User Profile Hook could go here */}
                     <div className="w-10 h-10 rounded-full bg-gradient-to-r from-blue-500 to-purple-500 flex-center font-bold text-white shadow-lg">
                         {user?.username?.[0]?.toUpperCase()}
@@ -622,6 +871,20 @@ const Dashboard = () => {
                                                 </div>
                                                 <div>
                                                     <div className="font-semibold">{friend.username}</div>
+                                                    {friendKeyStatus.get(friend._id)?.status === 'changed' ? (
+                                                        <button
+                                                            onClick={() => handleReviewFriendKey(friend)}
+                                                            className="text-xs text-red-400 hover:text-red-300 flex items-center gap-1"
+                                                            title="This friend's identity key differs from the one first seen"
+                                                        >
+                                                            <ShieldAlert className="w-3 h-3" />
+                                                            Key changed - review
+                                                        </button>
+                                                    ) : friend.keyChangeCount > 0 && (
+                                                        <div className="text-[10px] text-[var(--text-muted)]" title="Times this friend published a new identity key">
+                                                            Key changed {friend.keyChangeCount}× · last {new Date(friend.keyUpdatedAt).toLocaleDateString()}
+                                                        </div>
+                                                    )}
                                                     {friend.activeRoom ? (
                                                         <div className="text-xs text-green-400 flex items-center gap-1">
                                                             <span className="w-1.5 h-1.5 rounded-full bg-green-400 animate-pulse"></span>
@@ -785,7 +1048,7 @@ const Dashboard = () => {
 
     const handleInviteFriend = (friendId) => {
         if (!selectedChannel) return;
-        voiceEngine.callUser(friendId, selectedChannel.id, selectedChannel.name);
+        voiceEngine.callUser(friendId, selectedChannel.id);
         alert(`Invitation sent!`);
         // We could show a toast here
     };
@@ -804,6 +1067,21 @@ const Dashboard = () => {
                     <div className="px-2 py-0.5 rounded text-xs bg-green-500/20 text-green-400 border border-green-500/30 flex items-center gap-1 ml-4">
                         <ShieldCheck className="w-3 h-3" /> Encrypted
                     </div>
+
+                    {String(selectedChannel.createdBy) === String(user?._id) && (
+                        <label className="hidden md:flex items-center gap-2 ml-2 text-xs text-[var(--text-secondary)]" title="Opus bitrate for everyone in this room">
+                            Audio quality
+                            <select
+                                value={selectedChannel.audioBitrate || 32000}
+                                onChange={(e) => handleAudioBitrateChange(Number(e.target.value))}
+                                className="bg-[var(--bg-surface)] border border-[var(--border-subtle)] rounded px-2 py-1 text-xs text-[var(--text-primary)] focus:outline-none"
+                            >
+                                {AUDIO_BITRATE_OPTIONS.map(bitrate => (
+                                    <option key={bitrate} value={bitrate}>{bitrate / 1000} kbps</option>
+                                ))}
+                            </select>
+                        </label>
+                    )}
                 </div>
 
                 {/* Duration or other info could go here */}
@@ -821,6 +1099,16 @@ const Dashboard = () => {
                     isSpeaking={isSpeaking}
                     speakingPeers={speakingPeers}
                     mutedPeers={mutedPeers}
+                    peerVerification={peerVerification}
+                    peerAudioSettings={peerAudioSettings}
+                    peerConnectionStates={peerConnectionStates}
+                    peerQuality={new Map(qualityStats.map(peer => [peer.peerId, peer]))}
+                    onShowCallStats={() => setShowCallStats(true)}
+                    onPeerVolumeChange={handlePeerVolumeChange}
+                    onPeerLocalMuteChange={handlePeerLocalMuteChange}
+                    inputSettings={inputSettings}
+                    isTransmitting={isTransmitting}
+                    onPushToTalk={handlePushToTalk}
                     onToggleMute={handleMuteChange}
                     onToggleDeafen={handleDeafenChange}
                     onInvite={() => {
@@ -895,8 +1183,38 @@ const Dashboard = () => {
                 cryptoReady={cryptoReady}
                 isConnected={isConnected}
                 connectedPeers={participants.length}
+                peerVerification={peerVerification}
+                onVerifyPeer={handleVerifyPeer}
+                frameMetrics={securityMetrics}
+                playbackStats={playbackStats}
+            />
+
+            {/* Call Quality Details */}
+            <CallStatsOverlay
+                isOpen={showCallStats && isConnected}
+                onClose={() => setShowCallStats(false)}
+                peers={qualityStats}
             />
 
+            {/* Key Change Confirmation (blocks audio to that peer until answered) */}
+            <KeyChangeDialog
+                key={pendingKeyChanges[0]?.peerId || pendingKeyChanges[0]?.userId}
+                change={pendingKeyChanges[0]}
+                onAccept={handleAcceptKeyChange}
+                onReject={handleRejectKeyChange}
+                rejectLabel={pendingKeyChanges[0]?.peerId ? 'Disconnect' : 'Not now'}
+            />
+
+            {/* Settings */}
+            <SettingsModal
+                isOpen={showSettings}
+                onClose={() => setShowSettings(false)}
+            />
+
+            {/* Identity restore on a new device (before any key is generated) */}
+            <KeyRestoreDialog />
+            <KeyUnlockDialog />
+
             {/* Error Overlay */}
             <ErrorOverlay
                 error={currentError}
@@ -1,5 +1,10 @@
+// ICE restarts after a dropped connection back off exponentially: 1, 2, 4, 8, 8... s
+const RESTART_BASE_DELAY_MS = 1000;
+const RESTART_MAX_DELAY_MS = 8000;
+export const DEFAULT_RECONNECT_TIMEOUT_MS = 30000;
+
 class SignalingManager {
-    constructor(peerConnection, socket, peerId, roomId, userId, username, polite) {
+    constructor(peerConnection, socket, peerId, roomId, userId, username, polite, reconnectTimeoutMs = DEFAULT_RECONNECT_TIMEOUT_MS) {
         this.pc = peerConnection;
         this.socket = socket;
         this.peerId = peerId;
@@ -12,6 +17,15 @@ class SignalingManager {
         this.ignoreOffer = false;
         this.isSettingRemoteAnswerPending = false;
 
+        this.reconnectTimeoutMs = reconnectTimeoutMs;
+        this.reconnecting = false;
+        this.restartAttempts = 0;
+        this.restartTimer = null;
+        this.giveUpTimer = null;
+        this.closed = false;
+        this.onReconnecting = null;
+        this.onReconnectFailed = null;
+
         // Setup internal listeners
         this.pc.onnegotiationneeded = async () => {
             try {
@@ -95,6 +109,63 @@ class SignalingManager {
         }
     }
 
+    /**
+     * The connection dropped ('disconnected' or 'failed') - restart ICE with backoff
+     * until it is connected again or reconnectTimeoutMs runs out (then onReconnectFailed)
+     */
+    reconnect(state) {
+        if (this.closed) return;
+
+        if (!this.reconnecting) {
+            this.reconnecting = true;
+            this.restartAttempts = 0;
+            this.onReconnecting?.();
+            this.giveUpTimer = setTimeout(() => {
+                console.warn(`[Signaling] Gave up reconnecting to ${this.peerId} after ${this.restartAttempts} ICE restarts`);
+                this.stopReconnect();
+                this.onReconnectFailed?.();
+            }, this.reconnectTimeoutMs);
+            // 'disconnected' often heals by itself - give ICE a moment before restarting
+            this.scheduleRestart(state === 'failed' ? 0 : RESTART_BASE_DELAY_MS);
+        } else if (state === 'failed' && this.restartAttempts === 0) {
+            this.scheduleRestart(0);
+        }
+    }
+
+    scheduleRestart(delay) {
+        clearTimeout(this.restartTimer);
+        this.restartTimer = setTimeout(() => this.restartIce(), delay);
+    }
+
+    restartIce() {
+        const state = this.pc.connectionState;
+        if (!this.reconnecting || state === 'connected' || state === 'closed') return;
+
+        this.restartAttempts++;
+        console.log(`[Signaling] ICE restart ${this.restartAttempts} with ${this.peerId}`);
+        // Triggers negotiationneeded - the offer then carries fresh ICE credentials
+        this.pc.restartIce();
+        this.scheduleRestart(Math.min(RESTART_MAX_DELAY_MS, RESTART_BASE_DELAY_MS * 2 ** this.restartAttempts));
+    }
+
+    /**
+     * Connected again (or torn down) - returns whether a reconnect was in progress
+     */
+    stopReconnect() {
+        clearTimeout(this.restartTimer);
+        clearTimeout(this.giveUpTimer);
+        this.restartTimer = null;
+        this.giveUpTimer = null;
+        const wasReconnecting = this.reconnecting;
+        this.reconnecting = false;
+        return wasReconnecting;
+    }
+
+    close() {
+        this.closed = true;
+        this.stopReconnect();
+    }
+
     async handleIceCandidate(candidate) {
         try {
             await this.pc.addIceCandidate(candidate);
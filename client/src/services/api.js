@@ -51,14 +51,25 @@ export const authAPI = {
     register: (userData) => api.post('/auth/register', userData),
     login: (credentials) => api.post('/auth/login', credentials),
     getMe: () => api.get('/auth/me'),
-    updatePublicKey: (publicKey) => api.put('/auth/publickey', { publicKey })
+    updatePublicKey: (publicKey, device = {}) => api.put('/auth/publickey', { publicKey, ...device }),
+    getDevices: () => api.get('/auth/devices'),
+    revokeDevice: (deviceId) => api.delete(`/auth/devices/${deviceId}`),
+    getKeyBackup: () => api.get('/auth/keybackup'),
+    saveKeyBackup: (backup) => api.put('/auth/keybackup', backup),
+    deleteKeyBackup: () => api.delete('/auth/keybackup')
 };
 
 // Rooms API
 export const friendsAPI = {
     getFriends: () => api.get('/friends'),
     sendRequest: (pmi) => api.post('/friends/request', { pmi }),
-    respondToRequest: (requestId, action) => api.post('/friends/respond', { requestId, action })
+    respondToRequest: (requestId, action) => api.post('/friends/respond', { requestId, action }),
+    getKeyHistory: (friendId) => api.get(`/friends/${friendId}/key-history`)
+};
+
+// TURN REST credentials, issued per user and short-lived
+export const turnAPI = {
+    getCredentials: () => api.get('/turn/credentials')
 };
 
 export const roomsAPI = {
@@ -66,7 +77,8 @@ export const roomsAPI = {
     createRoom: (name, options = {}) => api.post('/rooms', { name, ...options }),
     joinRoomByCode: (joinCode) => api.post('/rooms/join', { joinCode }),
     getRoom: (id) => api.get(`/rooms/${id}`),
-    deleteRoom: (id) => api.delete(`/rooms/${id}`)
+    deleteRoom: (id) => api.delete(`/rooms/${id}`),
+    updateRoomSettings: (id, settings) => api.patch(`/rooms/${id}/settings`, settings)
 };
 
 export default api;
@@ -0,0 +1,235 @@
+/**
+ * Audio codecs for the encrypted media path
+ *
+ * Frames are compressed before encryption: Opus through WebCodecs where the
+ * browser has it, 16-bit PCM otherwise. Each binary audio frame carries its
+ * codec ID, so a receiver always knows how to decode it.
+ */
+
+// Codec IDs as carried in the audio frame header - never reuse a retired ID
+export const CODEC_PCM16 = 1;
+export const CODEC_OPUS = 2;
+
+export const CODEC_NAMES = {
+    [CODEC_PCM16]: 'PCM16',
+    [CODEC_OPUS]: 'Opus'
+};
+
+// Opus target bitrate (bits/s) - set per room by its creator
+export const DEFAULT_OPUS_BITRATE = 32000;
+export const MIN_OPUS_BITRATE = 6000;
+export const MAX_OPUS_BITRATE = 128000;
+
+const SAMPLE_RATE = 48000;
+const CHANNELS = 1;
+
+const getOpusConfig = (bitrate, sampleRate = SAMPLE_RATE) => ({
+    codec: 'opus',
+    sampleRate,
+    numberOfChannels: CHANNELS,
+    bitrate
+});
+
+let opusSupport = null;
+
+/**
+ * Whether WebCodecs can both encode and decode Opus here (checked once)
+ */
+export const isOpusSupported = () => {
+    if (!opusSupport) {
+        opusSupport = (async () => {
+            if (typeof AudioEncoder === 'undefined' || typeof AudioDecoder === 'undefined') return false;
+            try {
+                const [encoder, decoder] = await Promise.all([
+                    AudioEncoder.isConfigSupported(getOpusConfig(DEFAULT_OPUS_BITRATE)),
+                    AudioDecoder.isConfigSupported({ codec: 'opus', sampleRate: SAMPLE_RATE, numberOfChannels: CHANNELS })
+                ]);
+                return !!(encoder.supported && decoder.supported);
+            } catch {
+                return false;
+            }
+        })();
+    }
+    return opusSupport;
+};
+
+/**
+ * Codecs this client can send and receive, most preferred first
+ */
+export const getSupportedCodecs = async () => {
+    return (await isOpusSupported()) ? [CODEC_OPUS, CODEC_PCM16] : [CODEC_PCM16];
+};
+
+/**
+ * First of our codecs the peer also supports - PCM16 is always available
+ */
+export const negotiateCodec = (localCodecs, peerCodecs) => {
+    const remote = Array.isArray(peerCodecs) ? peerCodecs : [];
+    return localCodecs.find(codec => remote.includes(codec)) ?? CODEC_PCM16;
+};
+
+/**
+ * Clamp a requested bitrate into the range Opus handles well
+ */
+export const clampBitrate = (bitrate) => {
+    const value = Number(bitrate);
+    if (!Number.isFinite(value)) return DEFAULT_OPUS_BITRATE;
+    return Math.min(MAX_OPUS_BITRATE, Math.max(MIN_OPUS_BITRATE, Math.round(value)));
+};
+
+/**
+ * Float32 samples -> little-endian 16-bit PCM
+ */
+export const encodePcm16 = (samples) => {
+    const pcm = new Int16Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        const s = Math.max(-1, Math.min(1, samples[i]));
+        pcm[i] = s < 0 ? s * 0x8000 : s * 0x7fff;
+    }
+    return pcm.buffer;
+};
+
+/**
+ * 16-bit PCM -> Float32 samples
+ */
+export const decodePcm16 = (buffer) => {
+    const pcm = new Int16Array(buffer, 0, Math.floor(buffer.byteLength / 2));
+    const samples = new Float32Array(pcm.length);
+    for (let i = 0; i < pcm.length; i++) {
+        samples[i] = pcm[i] / (pcm[i] < 0 ? 0x8000 : 0x7fff);
+    }
+    return samples;
+};
+
+/**
+ * Streaming Opus encoder - emits one packet (ArrayBuffer) per Opus frame via onPacket
+ * sampleRate is the capture rate; Opus itself always decodes to 48 kHz
+ */
+export class OpusEncoder {
+    constructor(bitrate, onPacket, sampleRate = SAMPLE_RATE) {
+        this.bitrate = clampBitrate(bitrate);
+        this.sampleRate = sampleRate;
+        this.timestamp = 0;
+        this.failed = false;
+        this.encoder = new AudioEncoder({
+            output: (chunk) => {
+                const packet = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(packet);
+                onPacket(packet.buffer);
+            },
+            error: (error) => {
+                console.error('[Codec] Opus encoder error:', error);
+                this.failed = true;
+            }
+        });
+        this.encoder.configure(getOpusConfig(this.bitrate, this.sampleRate));
+    }
+
+    encode(samples) {
+        if (this.failed || this.encoder.state !== 'configured') return;
+
+        const audioData = new AudioData({
+            format: 'f32',
+            sampleRate: this.sampleRate,
+            numberOfFrames: samples.length,
+            numberOfChannels: CHANNELS,
+            timestamp: this.timestamp,
+            data: samples
+        });
+        this.timestamp += Math.round(samples.length * 1e6 / this.sampleRate);
+        this.encoder.encode(audioData);
+        audioData.close();
+    }
+
+    /**
+     * Emit what the encoder still buffers (padded to a whole Opus frame) - used at the end of a talkspurt
+     */
+    flush() {
+        if (this.failed || this.encoder.state !== 'configured') return Promise.resolve();
+        return this.encoder.flush().catch(error => {
+            console.error('[Codec] Opus encoder flush failed:', error);
+        });
+    }
+
+    setBitrate(bitrate) {
+        const next = clampBitrate(bitrate);
+        if (next === this.bitrate || this.failed || this.encoder.state !== 'configured') return;
+        this.bitrate = next;
+        this.encoder.configure(getOpusConfig(next, this.sampleRate));
+    }
+
+    close() {
+        if (this.encoder.state !== 'closed') this.encoder.close();
+    }
+}
+
+/**
+ * Streaming Opus decoder for one peer - emits Float32 samples via onSamples(samples, tag, sampleRate)
+ * tag is whatever was passed to decode() with the packet
+ */
+export class OpusDecoder {
+    constructor(onSamples) {
+        this.timestamp = 0;
+        this.failed = false;
+        this.pendingTags = []; // Outputs arrive in decode order
+        this.lastToc = null; // TOC byte of the last real packet - reused for PLC packets
+        this.pendingConcealments = 0;
+        this.plcFailed = false;
+        this.decoder = new AudioDecoder({
+            output: (audioData) => {
+                const samples = new Float32Array(audioData.numberOfFrames);
+                audioData.copyTo(samples, { planeIndex: 0, format: 'f32-planar' });
+                const { sampleRate } = audioData;
+                audioData.close();
+                const tag = this.pendingTags.shift();
+                if (tag?.concealed) this.pendingConcealments--;
+                onSamples(samples, tag, sampleRate);
+            },
+            error: (error) => {
+                console.error('[Codec] Opus decoder error:', error);
+                this.failed = true;
+                // A decoder that rejects PLC packets must not be fed them again
+                if (this.pendingConcealments > 0) this.plcFailed = true;
+            }
+        });
+        this.decoder.configure({ codec: 'opus', sampleRate: SAMPLE_RATE, numberOfChannels: CHANNELS });
+    }
+
+    decode(packet, tag) {
+        if (this.failed || this.decoder.state !== 'configured') return;
+        this.pendingTags.push(tag);
+        this.lastToc = new Uint8Array(packet)[0];
+
+        // Every Opus packet decodes on its own - no dependent frames.
+        // Timestamps are nominal 20 ms steps; playback timing comes from arrival
+        this.decoder.decode(new EncodedAudioChunk({
+            type: 'key',
+            timestamp: this.timestamp,
+            data: packet
+        }));
+        this.timestamp += 20000;
+    }
+
+    /**
+     * Run Opus's own PLC for one lost packet. A packet holding only a TOC byte
+     * (code 0, zero-length frame) tells the decoder the frame is missing
+     * (RFC 6716 section 3.2.1). Returns false if PLC isn't possible yet
+     */
+    conceal(tag) {
+        if (this.failed || this.lastToc === null || this.decoder.state !== 'configured') return false;
+
+        this.pendingTags.push({ ...tag, concealed: true });
+        this.pendingConcealments++;
+        this.decoder.decode(new EncodedAudioChunk({
+            type: 'key',
+            timestamp: this.timestamp,
+            data: new Uint8Array([this.lastToc & 0xfc])
+        }));
+        this.timestamp += 20000;
+        return true;
+    }
+
+    close() {
+        if (this.decoder.state !== 'closed') this.decoder.close();
+    }
+}
@@ -8,6 +8,8 @@
  * - RSA-OAEP encryption/decryption
  * - RSA key pair generation
  * - JWK format support
+ * - X25519 + HKDF for forward-secret session keys (signed with RSA-PSS)
+ * - AES-KW wrapping of the stored private key (non-extractable, optional unlock PIN)
  * 
  * Fallback to node-forge for insecure contexts (HTTP/LAN) where Web Crypto API is unavailable
  * 
@@ -17,8 +19,24 @@
 import forge from 'node-forge';
 
 const DB_NAME = 'SecureVOIP_Keys';
-const DB_VERSION = 1;
+const DB_VERSION = 3;
 const KEY_STORE = 'keyPairs';
+// Non-extractable AES-KW key-encryption keys for the stored identity key
+const WRAPPING_KEY_STORE = 'wrappingKeys';
+// Contacts' pinned public keys and their verification state (keyed by userId, one pin per device)
+const PEER_KEY_STORE = 'peerKeys';
+// Pins recorded before contacts had per-device keys
+const DEFAULT_DEVICE = 'default';
+
+// Passphrase backups: PBKDF2-HMAC-SHA256 work factor (OWASP 2023 recommendation)
+const BACKUP_PBKDF2_ITERATIONS = 600000;
+const BACKUP_FORMAT_VERSION = 1;
+
+// Optional local unlock PIN for the stored identity key
+const PIN_PBKDF2_ITERATIONS = 600000;
+const KEY_WRAP_AAD = 'SecureVOIP-identity-key-v1';
+const RSA_OAEP = { name: 'RSA-OAEP', hash: 'SHA-256' };
+const RSA_PSS = { name: 'RSA-PSS', hash: 'SHA-256' };
 
 // Check for secure context and crypto availability
 // Web Crypto API is the standard browser API for cryptographic operations
@@ -29,6 +47,11 @@ class CryptoService {
     constructor() {
         this.db = null;
         this.keyPair = null;
+        this.publicKeyJwk = null;
+        this.signingKey = null; // RSA-PSS view of the identity key, created on first use
+        this.deviceId = null; // Identifies this browser's key on the server, survives key changes
+        this.pinWrappingKey = null; // Key-encryption key derived from the unlock PIN, in memory only
+        this.unlockPinCleared = false; // Set when a replaced key could not keep the PIN - shown once in settings
         // Use native Web Crypto if available and secure, otherwise fallback to forge
         this.useNative = isSecureContext && hasWebCrypto;
 
@@ -96,45 +119,181 @@ class CryptoService {
                 if (!db.objectStoreNames.contains(KEY_STORE)) {
                     db.createObjectStore(KEY_STORE, { keyPath: 'id' });
                 }
+                // v2: verification state for peers' identity keys
+                if (!db.objectStoreNames.contains(PEER_KEY_STORE)) {
+                    db.createObjectStore(PEER_KEY_STORE, { keyPath: 'userId' });
+                }
+                // v3: wrapped private keys - plaintext v2 records are re-wrapped by migrateKeyPairRecord()
+                // (Web Crypto can't run inside the versionchange transaction)
+                if (!db.objectStoreNames.contains(WRAPPING_KEY_STORE)) {
+                    db.createObjectStore(WRAPPING_KEY_STORE, { keyPath: 'id' });
+                }
             };
         });
     }
 
     /**
      * Store key pair in IndexedDB
+     * Native keys are stored wrapped (see IDENTITY KEY AT REST); the private key must be extractable here
      */
-    async storeKeyPair(keyPair) {
+    async storeKeyPair(keyPair, createdAt = Date.now()) {
         if (!this.db) await this.initDB();
 
-        let publicKeyJwk, privateKeyJwk;
-
         if (this.useNative) {
-            publicKeyJwk = await window.crypto.subtle.exportKey('jwk', keyPair.publicKey);
-            privateKeyJwk = await window.crypto.subtle.exportKey('jwk', keyPair.privateKey);
-        } else {
-            // Forge keys are already stored as objects in our wrapper
-            // or we export them manually to JWK-like structure for consistency
-            publicKeyJwk = this.forgePublicKeyToJwk(keyPair.publicKey);
-            privateKeyJwk = this.forgePrivateKeyToJwk(keyPair.privateKey);
+            const publicKeyJwk = await window.crypto.subtle.exportKey('jwk', keyPair.publicKey);
+            return await this.storeWrappedKeyPair(publicKeyJwk, keyPair.privateKey, createdAt);
         }
 
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([KEY_STORE], 'readwrite');
-            const store = transaction.objectStore(KEY_STORE);
+        // Forge fallback: insecure contexts have no non-extractable keys, so the JWK is stored as is
+        return await this.putKeyPairRecord({
+            id: 'user-keypair',
+            publicKey: this.forgePublicKeyToJwk(keyPair.publicKey),
+            privateKey: this.forgePrivateKeyToJwk(keyPair.privateKey),
+            createdAt
+        });
+    }
 
-            const keyData = {
+    /**
+     * Store a key pair given as JWKs (restored backup or a plaintext v2 record)
+     */
+    async storeKeyPairJwk(publicKeyJwk, privateKeyJwk, createdAt = Date.now()) {
+        if (!this.useNative) {
+            return await this.putKeyPairRecord({
                 id: 'user-keypair',
                 publicKey: publicKeyJwk,
                 privateKey: privateKeyJwk,
-                createdAt: Date.now()
-            };
+                createdAt
+            });
+        }
+
+        // Extractable only long enough to be wrapped
+        const privateKey = await window.crypto.subtle.importKey(
+            'jwk',
+            this.getRsaPrivateJwkFields(privateKeyJwk),
+            RSA_OAEP,
+            true,
+            ['decrypt']
+        );
+        return await this.storeWrappedKeyPair(publicKeyJwk, privateKey, createdAt);
+    }
+
+    /**
+     * Write a record to the key store (or another store in the keys database)
+     */
+    async putKeyStoreRecord(record, storeName = KEY_STORE) {
+        if (!this.db) await this.initDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            const request = store.put(record);
+            request.onsuccess = () => resolve(record);
+            request.onerror = () => reject(request.error);
+        });
+    }
 
-            const request = store.put(keyData);
-            request.onsuccess = () => resolve(keyData);
+    /**
+     * Read a record from the key store (or another store in the keys database), or null
+     */
+    async getKeyStoreRecord(id, storeName = KEY_STORE) {
+        if (!this.db) await this.initDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const store = transaction.objectStore(storeName);
+            const request = store.get(id);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Delete a record from the key store (or another store in the keys database)
+     */
+    async deleteKeyStoreRecord(id, storeName = KEY_STORE) {
+        if (!this.db) await this.initDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            const request = store.delete(id);
+            request.onsuccess = () => resolve();
             request.onerror = () => reject(request.error);
         });
     }
 
+    /**
+     * Write the raw key pair record (JWKs) to IndexedDB
+     */
+    async putKeyPairRecord(keyData) {
+        return await this.putKeyStoreRecord(keyData);
+    }
+
+    /**
+     * Read the raw key pair record (JWKs) from IndexedDB, or null
+     */
+    async getKeyPairRecord() {
+        return await this.getKeyStoreRecord('user-keypair');
+    }
+
+    /**
+     * Stable random id for this browser, stored next to the key pair
+     */
+    async getDeviceId() {
+        if (this.deviceId) return this.deviceId;
+
+        const record = await this.getKeyStoreRecord('device');
+        if (record) {
+            this.deviceId = record.deviceId;
+            return this.deviceId;
+        }
+
+        const deviceId = this.useNative
+            ? window.crypto.randomUUID()
+            : forge.util.bytesToHex(forge.random.getBytesSync(16));
+        await this.putKeyStoreRecord({ id: 'device', deviceId, createdAt: Date.now() });
+        this.deviceId = deviceId;
+        return deviceId;
+    }
+
+    /**
+     * Short label for this browser shown in the device list, e.g. "Firefox on Windows"
+     */
+    getDeviceName() {
+        const ua = navigator.userAgent;
+        const browser = /Edg\//.test(ua) ? 'Edge'
+            : /OPR\//.test(ua) ? 'Opera'
+                : /Firefox\//.test(ua) ? 'Firefox'
+                    : /Chrome\//.test(ua) ? 'Chrome'
+                        : /Safari\//.test(ua) ? 'Safari'
+                            : 'Browser';
+        const os = /Windows/.test(ua) ? 'Windows'
+            : /Android/.test(ua) ? 'Android'
+                : /iPhone|iPad/.test(ua) ? 'iOS'
+                    : /Mac OS X/.test(ua) ? 'macOS'
+                        : /Linux/.test(ua) ? 'Linux'
+                            : 'unknown OS';
+        return `${browser} on ${os}`;
+    }
+
+    /**
+     * Device id and label sent along with this device's public key
+     */
+    async getDeviceInfo() {
+        return { deviceId: await this.getDeviceId(), deviceName: this.getDeviceName() };
+    }
+
+    /**
+     * Forget this device's key pair and id (after it was revoked)
+     * The next sign-in registers the browser as a new device
+     */
+    async resetDevice() {
+        await this.clearKeys();
+        await this.deleteKeyStoreRecord('device');
+        await this.deleteKeyStoreRecord('device-kek', WRAPPING_KEY_STORE);
+        this.deviceId = null;
+    }
+
     /**
      * Convert Forge Public Key to JWK
      */
@@ -190,55 +349,44 @@ class CryptoService {
 
     /**
      * Retrieve key pair from IndexedDB
+     * Native private keys come back non-extractable
      */
     async getStoredKeyPair() {
-        if (!this.db) await this.initDB();
-
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([KEY_STORE], 'readonly');
-            const store = transaction.objectStore(KEY_STORE);
-            const request = store.get('user-keypair');
-
-            request.onsuccess = async () => {
-                if (!request.result) {
-                    resolve(null);
-                    return;
-                }
-
-                try {
-                    let publicKey, privateKey;
-
-                    if (this.useNative) {
-                        publicKey = await window.crypto.subtle.importKey(
-                            'jwk',
-                            request.result.publicKey,
-                            { name: 'RSA-OAEP', hash: 'SHA-256' },
-                            true,
-                            ['encrypt']
-                        );
-
-                        privateKey = await window.crypto.subtle.importKey(
-                            'jwk',
-                            request.result.privateKey,
-                            { name: 'RSA-OAEP', hash: 'SHA-256' },
-                            true,
-                            ['decrypt']
-                        );
-                    } else {
-                        // Reconstruct forge keys from JWK
-                        publicKey = this.jwkToForgePublicKey(request.result.publicKey);
-                        privateKey = this.jwkToForgePrivateKey(request.result.privateKey);
-                    }
-
-                    resolve({ publicKey, privateKey, publicKeyJwk: request.result.publicKey });
-                } catch (error) {
-                    console.error('Error importing keys:', error);
-                    resolve(null);
-                }
-            };
+        const record = await this.getKeyPairRecord();
+        if (!record) return null;
+
+        try {
+            let publicKey, privateKey;
+
+            if (this.useNative) {
+                publicKey = await window.crypto.subtle.importKey(
+                    'jwk',
+                    record.publicKey,
+                    RSA_OAEP,
+                    true,
+                    ['encrypt']
+                );
+
+                privateKey = record.wrappedKey
+                    ? await this.unwrapPrivateKey(record, RSA_OAEP, ['decrypt'])
+                    : await window.crypto.subtle.importKey(
+                        'jwk',
+                        this.getRsaPrivateJwkFields(record.privateKey),
+                        RSA_OAEP,
+                        false,
+                        ['decrypt']
+                    );
+            } else {
+                // Reconstruct forge keys from JWK
+                publicKey = this.jwkToForgePublicKey(record.publicKey);
+                privateKey = this.jwkToForgePrivateKey(record.privateKey);
+            }
 
-            request.onerror = () => reject(request.error);
-        });
+            return { publicKey, privateKey, publicKeyJwk: record.publicKey };
+        } catch (error) {
+            console.error('Error importing keys:', error);
+            return null;
+        }
     }
 
     /**
@@ -309,6 +457,14 @@ class CryptoService {
      */
     async initializeKeyPair() {
         await this.initDB();
+        this.signingKey = null;
+
+        // Never fall through to generating a new key just because the PIN hasn't been entered
+        if (await this.isKeyPairLocked()) {
+            throw new Error('Identity key is locked');
+        }
+        await this.migrateKeyPairRecord();
+
         const existingKeys = await this.getStoredKeyPair();
 
         if (existingKeys) {
@@ -316,18 +472,26 @@ class CryptoService {
                 publicKey: existingKeys.publicKey,
                 privateKey: existingKeys.privateKey
             };
+            this.publicKeyJwk = existingKeys.publicKeyJwk;
             console.log('Loaded existing RSA key pair from IndexedDB');
             return existingKeys.publicKeyJwk;
         }
 
         console.log('Generating new RSA key pair...');
-        const newKeyPair = await this.generateRSAKeyPair();
-        const stored = await this.storeKeyPair(newKeyPair);
+        await this.storeKeyPair(await this.generateRSAKeyPair());
 
-        this.keyPair = newKeyPair;
+        // Drop the extractable copy and use the key as unwrapped from storage
+        const stored = await this.getStoredKeyPair();
+        if (!stored) throw new Error('Failed to load the new identity key');
+
+        this.keyPair = {
+            publicKey: stored.publicKey,
+            privateKey: stored.privateKey
+        };
+        this.publicKeyJwk = stored.publicKeyJwk;
         console.log('New RSA key pair generated and stored');
 
-        return stored.publicKey;
+        return stored.publicKeyJwk;
     }
 
     /**
@@ -549,6 +713,9 @@ class CryptoService {
             const request = store.delete('user-keypair');
             request.onsuccess = () => {
                 this.keyPair = null;
+                this.publicKeyJwk = null;
+                this.signingKey = null;
+                this.pinWrappingKey = null;
                 resolve();
             };
             request.onerror = () => reject(request.error);
@@ -557,87 +724,1009 @@ class CryptoService {
 
     /**
      * ------------------------------------------------------------------------
-     * HYBRID ENCRYPTION (AES-256-GCM + RSA-OAEP)
+     * KEY FINGERPRINTS & SAFETY NUMBERS
      * ------------------------------------------------------------------------
      */
 
     /**
-     * Generate a random AES-256-GCM session key
+     * Parse a public key that may arrive as a JSON string (server) or JWK object
+     */
+    parsePublicKey(publicKey) {
+        if (!publicKey) return null;
+        return typeof publicKey === 'string' ? JSON.parse(publicKey) : publicKey;
+    }
+
+    /**
+     * Hash bytes with SHA-256 or SHA-512, returns Uint8Array
      */
-    async generateSessionKey() {
+    async digest(algorithm, data) {
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : new Uint8Array(data);
+
         if (this.useNative) {
-            return await window.crypto.subtle.generateKey(
-                {
-                    name: 'AES-GCM',
-                    length: 256
-                },
-                true,
+            const hash = await window.crypto.subtle.digest(algorithm, bytes);
+            return new Uint8Array(hash);
+        } else {
+            // Forge fallback
+            const md = algorithm === 'SHA-512' ? forge.md.sha512.create() : forge.md.sha256.create();
+            let binary = '';
+            for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+            md.update(binary);
+            const hash = md.digest().getBytes();
+            const result = new Uint8Array(hash.length);
+            for (let i = 0; i < hash.length; i++) result[i] = hash.charCodeAt(i);
+            return result;
+        }
+    }
+
+    /**
+     * RFC 7638 JWK thumbprint of an RSA public key (SHA-256 over the required members)
+     */
+    async getKeyThumbprint(publicKey) {
+        const jwk = this.parsePublicKey(publicKey);
+        const canonical = JSON.stringify({ e: jwk.e, kty: jwk.kty, n: jwk.n });
+        return await this.digest('SHA-256', canonical);
+    }
+
+    /**
+     * Short human-readable fingerprint: first 16 bytes of the thumbprint as hex groups
+     * e.g. "a1b2 c3d4 e5f6 ..."
+     */
+    async getKeyFingerprint(publicKey) {
+        const thumbprint = await this.getKeyThumbprint(publicKey);
+        const hex = Array.from(thumbprint.slice(0, 16))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+        return hex.match(/.{4}/g).join(' ');
+    }
+
+    /**
+     * 30-digit half of a safety number for one party (userId bound to key)
+     */
+    async getSafetyNumberHalf(userId, publicKey) {
+        const thumbprint = await this.getKeyThumbprint(publicKey);
+        const hash = await this.digest('SHA-512', `${userId}:${this.arrayBufferToBase64(thumbprint)}`);
+
+        // 6 chunks of 5 bytes -> 5 decimal digits each
+        let digits = '';
+        for (let i = 0; i < 30; i += 5) {
+            let chunk = 0;
+            for (let j = 0; j < 5; j++) {
+                chunk = chunk * 256 + hash[i + j];
+            }
+            digits += String(chunk % 100000).padStart(5, '0');
+        }
+        return digits;
+    }
+
+    /**
+     * Safety number shared by two parties - identical on both sides
+     * 60 digits, returned as 12 groups of 5
+     */
+    async computeSafetyNumber(localUserId, localPublicKey, remoteUserId, remotePublicKey) {
+        const halves = [
+            await this.getSafetyNumberHalf(localUserId, localPublicKey),
+            await this.getSafetyNumberHalf(remoteUserId, remotePublicKey)
+        ].sort();
+        return halves.join('').match(/.{5}/g).join(' ');
+    }
+
+    /**
+     * Get a stored peer key record from IndexedDB
+     */
+    async getPeerKeyRecord(userId) {
+        if (!this.db) await this.initDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([PEER_KEY_STORE], 'readonly');
+            const store = transaction.objectStore(PEER_KEY_STORE);
+            const request = store.get(String(userId));
+
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Write a peer key record to IndexedDB
+     */
+    async putPeerKeyRecord(record) {
+        if (!this.db) await this.initDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([PEER_KEY_STORE], 'readwrite');
+            const store = transaction.objectStore(PEER_KEY_STORE);
+            const request = store.put(record);
+
+            request.onsuccess = () => resolve(record);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Pins by deviceId for a peer record (records from before per-device pins hold a single key)
+     */
+    getPinnedDevices(record) {
+        if (!record) return {};
+        if (record.devices) return record.devices;
+        if (!record.fingerprint) return {};
+        return {
+            [DEFAULT_DEVICE]: {
+                publicKey: record.publicKey,
+                fingerprint: record.fingerprint,
+                verified: !!record.verified,
+                verifiedAt: record.verifiedAt || null,
+                pinnedAt: record.pinnedAt || null
+            }
+        };
+    }
+
+    /**
+     * Merge changes into one device's pin, leaving the peer's other devices untouched
+     */
+    async updatePeerDevicePin(userId, username, deviceId, changes) {
+        const existing = await this.getPeerKeyRecord(userId);
+        const devices = { ...this.getPinnedDevices(existing) };
+        const key = deviceId || DEFAULT_DEVICE;
+        devices[key] = { ...devices[key], ...changes };
+
+        return await this.putPeerKeyRecord({
+            userId: String(userId),
+            username: username || existing?.username,
+            devices
+        });
+    }
+
+    /**
+     * Mark a peer device's current key as verified (safety number compared out of band)
+     */
+    async markPeerVerified(userId, username, publicKey, deviceId = null) {
+        return await this.updatePeerDevicePin(userId, username, deviceId, {
+            publicKey: JSON.stringify(this.parsePublicKey(publicKey)),
+            fingerprint: await this.getKeyFingerprint(publicKey),
+            verified: true,
+            verifiedAt: Date.now()
+        });
+    }
+
+    /**
+     * Clear the verified flag for a peer device
+     */
+    async unmarkPeerVerified(userId, deviceId = null) {
+        const existing = await this.getPeerKeyRecord(userId);
+        if (!this.getPinnedDevices(existing)[deviceId || DEFAULT_DEVICE]) return null;
+        return await this.updatePeerDevicePin(userId, null, deviceId, { verified: false, verifiedAt: null });
+    }
+
+    /**
+     * Pin a peer device's key (trust-on-first-use) - replaces that device's pin and clears verification
+     */
+    async pinPeerKey(userId, username, publicKey, deviceId = null) {
+        return await this.updatePeerDevicePin(userId, username, deviceId, {
+            publicKey: JSON.stringify(this.parsePublicKey(publicKey)),
+            fingerprint: await this.getKeyFingerprint(publicKey),
+            verified: false,
+            verifiedAt: null,
+            pinnedAt: Date.now()
+        });
+    }
+
+    /**
+     * Compare a peer's presented key against the pin for that device, pinning it if the contact is new
+     * An unknown device only passes if it presents a key already trusted for the contact (e.g. restored
+     * from a backup) - otherwise it is reported as changed so a new device gets the same scrutiny
+     * Returns 'verified' | 'unverified' | 'changed' with the presented key's fingerprint
+     */
+    async checkPeerKey(userId, username, publicKey, deviceId = null) {
+        const fingerprint = await this.getKeyFingerprint(publicKey);
+        const record = await this.getPeerKeyRecord(userId);
+
+        if (!record) {
+            await this.pinPeerKey(userId, username, publicKey, deviceId);
+            return { status: 'unverified', fingerprint, firstSeen: true };
+        }
+
+        const devices = this.getPinnedDevices(record);
+        const pins = Object.values(devices);
+        const pin = devices[deviceId || DEFAULT_DEVICE];
+
+        if (!pin) {
+            const known = pins.find(p => p.fingerprint === fingerprint);
+            if (known) {
+                await this.updatePeerDevicePin(userId, username, deviceId, { ...known, pinnedAt: Date.now() });
+                return { status: known.verified ? 'verified' : 'unverified', fingerprint };
+            }
+
+            const latest = [...pins].sort((a, b) => (b.pinnedAt || 0) - (a.pinnedAt || 0))[0];
+            return {
+                status: 'changed',
+                fingerprint,
+                previousFingerprint: latest?.fingerprint || null,
+                wasVerified: pins.some(p => p.verified),
+                newDevice: true
+            };
+        }
+        if (pin.fingerprint !== fingerprint) {
+            return {
+                status: 'changed',
+                fingerprint,
+                previousFingerprint: pin.fingerprint,
+                wasVerified: !!pin.verified
+            };
+        }
+        return { status: pin.verified ? 'verified' : 'unverified', fingerprint };
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * IDENTITY KEY AT REST (AES-KW + AES-256-GCM)
+     * ------------------------------------------------------------------------
+     * The private key never sits in IndexedDB as a JWK. A fresh AES-GCM data
+     * key wraps its PKCS#8 bytes inside Web Crypto, and that data key is wrapped
+     * with a non-extractable AES-KW key-encryption key: either a random per-device
+     * key (stored as a CryptoKey, which script can use but never read) or one
+     * derived from the user's unlock PIN. AES-KW can't wrap PKCS#8 directly as
+     * its length isn't a multiple of 8 bytes.
+     */
+
+    /**
+     * Only the members an RSA private key import needs (drops alg/key_ops so the
+     * same key can be imported for OAEP or PSS)
+     */
+    getRsaPrivateJwkFields(jwk) {
+        return { kty: jwk.kty, n: jwk.n, e: jwk.e, d: jwk.d, p: jwk.p, q: jwk.q, dp: jwk.dp, dq: jwk.dq, qi: jwk.qi };
+    }
+
+    /**
+     * Per-device key-encryption key, generated once
+     */
+    async getDeviceWrappingKey() {
+        const record = await this.getKeyStoreRecord('device-kek', WRAPPING_KEY_STORE);
+        if (record) return record.key;
+
+        const key = await window.crypto.subtle.generateKey(
+            { name: 'AES-KW', length: 256 },
+            false,
+            ['wrapKey', 'unwrapKey']
+        );
+        await this.putKeyStoreRecord({ id: 'device-kek', key, createdAt: Date.now() }, WRAPPING_KEY_STORE);
+        return key;
+    }
+
+    /**
+     * Key-encryption key derived from the unlock PIN
+     */
+    async derivePinWrappingKey(pin, salt, iterations) {
+        const baseKey = await window.crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(pin),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+        return await window.crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-KW', length: 256 },
+            false,
+            ['wrapKey', 'unwrapKey']
+        );
+    }
+
+    /**
+     * Key-encryption key for a stored record - PIN-protected records need unlockKeyPair() first
+     */
+    async getWrappingKey(record) {
+        if (record.wrappedKey.kek === 'pin') {
+            if (!this.pinWrappingKey) throw new Error('Identity key is locked');
+            return this.pinWrappingKey;
+        }
+        return await this.getDeviceWrappingKey();
+    }
+
+    /**
+     * Wrap a private key and store the record - under the unlock PIN if one is set (and
+     * unlocked), otherwise under the device key-encryption key
+     */
+    async storeWrappedKeyPair(publicKeyJwk, privateKey, createdAt) {
+        const existing = (await this.getKeyPairRecord())?.wrappedKey;
+        const keepPin = existing?.kek === 'pin' && !!this.pinWrappingKey;
+
+        const dataKey = await window.crypto.subtle.generateKey(
+            { name: 'AES-GCM', length: 256 },
+            true,
+            ['wrapKey', 'unwrapKey']
+        );
+        const iv = window.crypto.getRandomValues(new Uint8Array(12));
+        const wrappedPrivateKey = await window.crypto.subtle.wrapKey(
+            'pkcs8',
+            privateKey,
+            dataKey,
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(KEY_WRAP_AAD) }
+        );
+        const wrappedDataKey = await window.crypto.subtle.wrapKey(
+            'raw',
+            dataKey,
+            keepPin ? this.pinWrappingKey : await this.getDeviceWrappingKey(),
+            'AES-KW'
+        );
+
+        if (existing?.kek === 'pin' && !keepPin) {
+            // Locked, so the PIN key isn't known - drop the PIN rather than lose the new key
+            this.unlockPinCleared = true;
+            console.warn('Unlock PIN removed: the identity key was replaced while locked');
+        }
+        if (!keepPin) this.pinWrappingKey = null;
+
+        return await this.putKeyPairRecord({
+            id: 'user-keypair',
+            publicKey: publicKeyJwk,
+            wrappedKey: {
+                ...(keepPin ? { kek: 'pin', salt: existing.salt, iterations: existing.iterations } : { kek: 'device' }),
+                dataKey: this.arrayBufferToBase64(wrappedDataKey),
+                iv: this.arrayBufferToBase64(iv),
+                privateKey: this.arrayBufferToBase64(wrappedPrivateKey)
+            },
+            createdAt
+        });
+    }
+
+    /**
+     * Unwrap the stored data key with its key-encryption key
+     */
+    async unwrapDataKey(record, wrappingKey, extractable = false) {
+        return await window.crypto.subtle.unwrapKey(
+            'raw',
+            this.base64ToArrayBuffer(record.wrappedKey.dataKey),
+            wrappingKey || await this.getWrappingKey(record),
+            'AES-KW',
+            'AES-GCM',
+            extractable,
+            ['wrapKey', 'unwrapKey']
+        );
+    }
+
+    /**
+     * Unwrap the stored private key straight into a CryptoKey for the given algorithm
+     * The same PKCS#8 bytes serve as RSA-OAEP (decrypt) or RSA-PSS (sign)
+     */
+    async unwrapPrivateKey(record, algorithm, usages, extractable = false, wrappingKey = null) {
+        const dataKey = await this.unwrapDataKey(record, wrappingKey);
+        return await window.crypto.subtle.unwrapKey(
+            'pkcs8',
+            this.base64ToArrayBuffer(record.wrappedKey.privateKey),
+            dataKey,
+            {
+                name: 'AES-GCM',
+                iv: new Uint8Array(this.base64ToArrayBuffer(record.wrappedKey.iv)),
+                additionalData: new TextEncoder().encode(KEY_WRAP_AAD)
+            },
+            algorithm,
+            extractable,
+            usages
+        );
+    }
+
+    /**
+     * Private key as a JWK - only used to write a passphrase backup
+     */
+    async exportPrivateKeyJwk(record) {
+        if (!record.wrappedKey) return record.privateKey;
+        const privateKey = await this.unwrapPrivateKey(record, RSA_OAEP, ['decrypt'], true);
+        return await window.crypto.subtle.exportKey('jwk', privateKey);
+    }
+
+    /**
+     * v2 -> v3: re-store a plaintext private JWK wrapped under the device key
+     */
+    async migrateKeyPairRecord() {
+        if (!this.useNative) return;
+
+        const record = await this.getKeyPairRecord();
+        if (!record?.privateKey) return;
+
+        await this.storeKeyPairJwk(record.publicKey, record.privateKey, record.createdAt);
+        console.log('Migrated stored identity key to wrapped storage');
+    }
+
+    /**
+     * Re-wrap the data key under a different key-encryption key (the private key itself is untouched)
+     */
+    async rewrapKeyPairRecord(record, wrappingKey, kekInfo) {
+        const dataKey = await this.unwrapDataKey(record, null, true);
+        const wrappedDataKey = await window.crypto.subtle.wrapKey('raw', dataKey, wrappingKey, 'AES-KW');
+
+        return await this.putKeyPairRecord({
+            ...record,
+            wrappedKey: {
+                ...kekInfo,
+                dataKey: this.arrayBufferToBase64(wrappedDataKey),
+                iv: record.wrappedKey.iv,
+                privateKey: record.wrappedKey.privateKey
+            }
+        });
+    }
+
+    /**
+     * Whether the stored key is protected by an unlock PIN
+     */
+    async hasUnlockPin() {
+        const record = await this.getKeyPairRecord();
+        return record?.wrappedKey?.kek === 'pin';
+    }
+
+    /**
+     * Whether a replaced key dropped the unlock PIN since the last call (see storeWrappedKeyPair)
+     */
+    takeUnlockPinCleared() {
+        const cleared = this.unlockPinCleared;
+        this.unlockPinCleared = false;
+        return cleared;
+    }
+
+    /**
+     * Whether the stored key needs the unlock PIN before it can be loaded
+     */
+    async isKeyPairLocked() {
+        return (await this.hasUnlockPin()) && !this.pinWrappingKey;
+    }
+
+    /**
+     * Derive the key-encryption key from the PIN and check it against the stored key
+     * Throws 'Incorrect PIN' if the data key does not unwrap
+     */
+    async unlockKeyPair(pin) {
+        const record = await this.getKeyPairRecord();
+        if (record?.wrappedKey?.kek !== 'pin') return;
+
+        const { salt, iterations } = record.wrappedKey;
+        const wrappingKey = await this.derivePinWrappingKey(pin, new Uint8Array(this.base64ToArrayBuffer(salt)), iterations);
+        try {
+            await this.unwrapDataKey(record, wrappingKey);
+        } catch {
+            throw new Error('Incorrect PIN');
+        }
+        this.pinWrappingKey = wrappingKey;
+    }
+
+    /**
+     * Forget the PIN-derived key - the next load asks for the PIN again
+     */
+    lockKeyPair() {
+        this.keyPair = null;
+        this.publicKeyJwk = null;
+        this.signingKey = null;
+        this.pinWrappingKey = null;
+    }
+
+    /**
+     * Protect the stored key with a PIN instead of the device key-encryption key
+     */
+    async setUnlockPin(pin) {
+        if (!this.useNative) throw new Error('An unlock PIN needs a secure (HTTPS) connection');
+
+        const record = await this.getKeyPairRecord();
+        if (!record?.wrappedKey) throw new Error('No identity key on this device');
+
+        const salt = window.crypto.getRandomValues(new Uint8Array(16));
+        const wrappingKey = await this.derivePinWrappingKey(pin, salt, PIN_PBKDF2_ITERATIONS);
+        await this.rewrapKeyPairRecord(record, wrappingKey, {
+            kek: 'pin',
+            salt: this.arrayBufferToBase64(salt),
+            iterations: PIN_PBKDF2_ITERATIONS
+        });
+        this.pinWrappingKey = wrappingKey;
+        console.log('Identity key now protected by unlock PIN');
+    }
+
+    /**
+     * Go back to the device key-encryption key (the key must be unlocked)
+     */
+    async removeUnlockPin() {
+        const record = await this.getKeyPairRecord();
+        if (record?.wrappedKey?.kek !== 'pin') return;
+
+        await this.rewrapKeyPairRecord(record, await this.getDeviceWrappingKey(), { kek: 'device' });
+        this.pinWrappingKey = null;
+        console.log('Unlock PIN removed');
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * PASSPHRASE KEY BACKUP (PBKDF2-SHA256 + AES-256-GCM)
+     * ------------------------------------------------------------------------
+     * The identity key pair and pinned contact keys are encrypted on this device
+     * with a key derived from the user's passphrase. The server only ever sees
+     * the resulting blob.
+     */
+
+    /**
+     * Whether this device already holds an identity key pair
+     */
+    async hasStoredKeyPair() {
+        return !!(await this.getKeyPairRecord());
+    }
+
+    /**
+     * All pinned contact key records
+     */
+    async getAllPeerKeyRecords() {
+        if (!this.db) await this.initDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([PEER_KEY_STORE], 'readonly');
+            const store = transaction.objectStore(PEER_KEY_STORE);
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Derive the backup encryption key from a passphrase
+     */
+    async deriveBackupKey(passphrase, salt, iterations) {
+        if (this.useNative) {
+            const baseKey = await window.crypto.subtle.importKey(
+                'raw',
+                new TextEncoder().encode(passphrase),
+                'PBKDF2',
+                false,
+                ['deriveKey']
+            );
+            return await window.crypto.subtle.deriveKey(
+                { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+                baseKey,
+                { name: 'AES-GCM', length: 256 },
+                false,
                 ['encrypt', 'decrypt']
             );
         } else {
-            // Forge fallback
-            return forge.random.getBytesSync(32); // 256 bits
+            // Forge fallback (synchronous - blocks the UI for a few seconds)
+            return forge.pkcs5.pbkdf2(
+                forge.util.encodeUtf8(passphrase),
+                this.bytesToBinary(salt),
+                iterations,
+                32,
+                forge.md.sha256.create()
+            );
+        }
+    }
+
+    /**
+     * Encrypt the identity key pair and pinned contact keys with a passphrase
+     * Returns the opaque blob stored by PUT /api/auth/keybackup
+     */
+    async createKeyBackup(passphrase) {
+        const record = await this.getKeyPairRecord();
+        if (!record) throw new Error('No identity key on this device to back up');
+
+        const payload = JSON.stringify({
+            version: BACKUP_FORMAT_VERSION,
+            publicKey: record.publicKey,
+            privateKey: await this.exportPrivateKeyJwk(record),
+            createdAt: record.createdAt,
+            peerKeys: await this.getAllPeerKeyRecords()
+        });
+
+        const salt = this.useNative
+            ? window.crypto.getRandomValues(new Uint8Array(16))
+            : this.binaryToBytes(forge.random.getBytesSync(16));
+        const key = await this.deriveBackupKey(passphrase, salt, BACKUP_PBKDF2_ITERATIONS);
+        const aad = new TextEncoder().encode(`SecureVOIP-key-backup-v${BACKUP_FORMAT_VERSION}`);
+        const ciphertext = await this.encryptAudioAES(new TextEncoder().encode(payload), key, aad);
+
+        return {
+            version: BACKUP_FORMAT_VERSION,
+            kdf: 'PBKDF2-SHA256',
+            iterations: BACKUP_PBKDF2_ITERATIONS,
+            salt: this.arrayBufferToBase64(salt),
+            ciphertext: this.arrayBufferToBase64(ciphertext),
+            publicKey: JSON.stringify(record.publicKey)
+        };
+    }
+
+    /**
+     * Unwrap a backup with the passphrase and install it as this device's identity
+     * Throws 'Incorrect passphrase' if the blob does not authenticate
+     */
+    async restoreKeyBackup(backup, passphrase) {
+        if (backup.kdf !== 'PBKDF2-SHA256' || backup.version !== BACKUP_FORMAT_VERSION) {
+            throw new Error('Unsupported key backup format');
+        }
+
+        const salt = new Uint8Array(this.base64ToArrayBuffer(backup.salt));
+        const key = await this.deriveBackupKey(passphrase, salt, backup.iterations);
+        const aad = new TextEncoder().encode(`SecureVOIP-key-backup-v${backup.version}`);
+
+        let plaintext;
+        try {
+            plaintext = await this.decryptAudioAES(this.base64ToArrayBuffer(backup.ciphertext), key, aad);
+        } catch {
+            throw new Error('Incorrect passphrase');
+        }
+        const payload = JSON.parse(new TextDecoder().decode(plaintext));
+
+        await this.storeKeyPairJwk(payload.publicKey, payload.privateKey, payload.createdAt || Date.now());
+
+        // Pins from the backup win unless this device already verified that contact's device
+        for (const record of payload.peerKeys || []) {
+            const existing = await this.getPeerKeyRecord(record.userId);
+            const devices = { ...this.getPinnedDevices(record) };
+            for (const [deviceId, pin] of Object.entries(this.getPinnedDevices(existing))) {
+                if (!devices[deviceId] || (pin.verified && !devices[deviceId].verified)) {
+                    devices[deviceId] = pin;
+                }
+            }
+            await this.putPeerKeyRecord({ userId: record.userId, username: record.username, devices });
+        }
+
+        // Loaded by the next initializeKeyPair()
+        this.keyPair = null;
+        this.publicKeyJwk = null;
+        this.signingKey = null;
+        console.log(`Restored identity key and ${payload.peerKeys?.length || 0} pinned contacts from backup`);
+        return payload.publicKey;
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * FORWARD-SECRET SESSION KEYS (X25519 + HKDF + AES-256-GCM)
+     * ------------------------------------------------------------------------
+     * Each call generates a fresh X25519 key pair per peer. The ephemeral public
+     * key is signed with the long-term identity key (RSA-PSS) so the peer knows
+     * who sent it, then HKDF turns the shared secret into one AES-GCM key per
+     * direction. Ephemeral private keys are dropped once the keys are derived,
+     * so a stolen identity key cannot decrypt recorded calls.
+     */
+
+    /**
+     * Binary string (forge) -> Uint8Array
+     */
+    binaryToBytes(binary) {
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    /**
+     * Uint8Array -> binary string (forge)
+     */
+    bytesToBinary(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+        return binary;
+    }
+
+    /**
+     * Concatenate byte arrays
+     */
+    concatBytes(...parts) {
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            result.set(part, offset);
+            offset += part.length;
+        }
+        return result;
+    }
+
+    /**
+     * Pure-JS X25519 (RFC 7748 Montgomery ladder) for browsers without native support
+     * scalar and u are 32-byte little-endian Uint8Arrays
+     */
+    x25519(scalar, u) {
+        const BigInteger = forge.jsbn.BigInteger;
+        const p = BigInteger.ONE.shiftLeft(255).subtract(new BigInteger('19'));
+        const a24 = new BigInteger('121665');
+        const fromLittleEndian = (bytes) => new BigInteger(
+            '00' + Array.from(bytes).reverse().map(b => b.toString(16).padStart(2, '0')).join(''),
+            16
+        );
+
+        const k = new Uint8Array(scalar);
+        k[0] &= 248;
+        k[31] &= 127;
+        k[31] |= 64;
+        const uBytes = new Uint8Array(u);
+        uBytes[31] &= 127;
+
+        const kInt = fromLittleEndian(k);
+        const x1 = fromLittleEndian(uBytes).mod(p);
+        let x2 = BigInteger.ONE, z2 = BigInteger.ZERO, x3 = x1, z3 = BigInteger.ONE;
+        let swap = false;
+
+        for (let t = 254; t >= 0; t--) {
+            const bit = kInt.testBit(t);
+            if (swap !== bit) {
+                [x2, x3] = [x3, x2];
+                [z2, z3] = [z3, z2];
+            }
+            swap = bit;
+
+            const A = x2.add(z2).mod(p);
+            const AA = A.multiply(A).mod(p);
+            const B = x2.subtract(z2).mod(p);
+            const BB = B.multiply(B).mod(p);
+            const E = AA.subtract(BB).mod(p);
+            const C = x3.add(z3).mod(p);
+            const D = x3.subtract(z3).mod(p);
+            const DA = D.multiply(A).mod(p);
+            const CB = C.multiply(B).mod(p);
+            const sum = DA.add(CB).mod(p);
+            const diff = DA.subtract(CB).mod(p);
+            x3 = sum.multiply(sum).mod(p);
+            z3 = x1.multiply(diff.multiply(diff)).mod(p);
+            x2 = AA.multiply(BB).mod(p);
+            z2 = E.multiply(AA.add(a24.multiply(E))).mod(p);
+        }
+        if (swap) {
+            [x2, x3] = [x3, x2];
+            [z2, z3] = [z3, z2];
+        }
+
+        const result = x2.multiply(z2.modPow(p.subtract(new BigInteger('2')), p)).mod(p);
+        const hex = result.toString(16).padStart(64, '0');
+        const out = new Uint8Array(32);
+        for (let i = 0; i < 32; i++) out[31 - i] = parseInt(hex.substr(i * 2, 2), 16);
+        return out;
+    }
+
+    /**
+     * Generate an ephemeral X25519 key pair for one session
+     * Returns { publicKey: Uint8Array(32), privateKey, native }
+     */
+    async generateEphemeralKeyPair() {
+        if (this.useNative) {
+            try {
+                const keyPair = await window.crypto.subtle.generateKey({ name: 'X25519' }, false, ['deriveBits']);
+                const publicKey = await window.crypto.subtle.exportKey('raw', keyPair.publicKey);
+                return { publicKey: new Uint8Array(publicKey), privateKey: keyPair.privateKey, native: true };
+            } catch (error) {
+                // Browser has Web Crypto but no X25519 yet - use the JS ladder
+                console.warn('[HybridCrypto] Native X25519 unavailable, using JS implementation:', error.message);
+            }
+        }
+
+        const privateKey = this.useNative
+            ? window.crypto.getRandomValues(new Uint8Array(32))
+            : this.binaryToBytes(forge.random.getBytesSync(32));
+        const basePoint = new Uint8Array(32);
+        basePoint[0] = 9;
+        return { publicKey: this.x25519(privateKey, basePoint), privateKey, native: false };
+    }
+
+    /**
+     * Bytes covered by the identity signature - binds the ephemeral key to
+     * who sent it, who it is meant for, which key ID it will become and the
+     * negotiated protocol version and cipher suite (no silent downgrade)
+     */
+    getKeyShareTranscript(ephemeralPublicKey, signerId, recipientId, keyId, protocol) {
+        const label = new TextEncoder().encode(
+            `SecureVOIP-X25519-v1|p${protocol.version}.${protocol.suite}|${signerId}|${recipientId}|${keyId}|`
+        );
+        return this.concatBytes(label, new Uint8Array(ephemeralPublicKey));
+    }
+
+    /**
+     * RSA-PSS view of our identity private key (the stored key is RSA-OAEP)
+     */
+    async getSigningKey() {
+        if (!this.keyPair) throw new Error('Identity key not initialized');
+        if (!this.useNative) return this.keyPair.privateKey;
+
+        if (!this.signingKey) {
+            // The identity key is non-extractable, so unwrap the stored bytes a second time as PSS
+            const record = await this.getKeyPairRecord();
+            this.signingKey = record.wrappedKey
+                ? await this.unwrapPrivateKey(record, RSA_PSS, ['sign'])
+                : await window.crypto.subtle.importKey(
+                    'jwk',
+                    this.getRsaPrivateJwkFields(record.privateKey),
+                    RSA_PSS,
+                    false,
+                    ['sign']
+                );
+        }
+        return this.signingKey;
+    }
+
+    /**
+     * PSS parameters for forge (SHA-256, 32-byte salt - matches Web Crypto below)
+     */
+    createForgePss() {
+        return forge.pss.create({
+            md: forge.md.sha256.create(),
+            mgf: forge.mgf.mgf1.create(forge.md.sha256.create()),
+            saltLength: 32
+        });
+    }
+
+    /**
+     * Sign our ephemeral public key with the identity key
+     */
+    async signEphemeralKey(ephemeralPublicKey, signerId, recipientId, keyId, protocol) {
+        const transcript = this.getKeyShareTranscript(ephemeralPublicKey, signerId, recipientId, keyId, protocol);
+        const signingKey = await this.getSigningKey();
+
+        if (this.useNative) {
+            const signature = await window.crypto.subtle.sign(
+                { name: 'RSA-PSS', saltLength: 32 },
+                signingKey,
+                transcript
+            );
+            return new Uint8Array(signature);
+        } else {
+            const md = forge.md.sha256.create();
+            md.update(this.bytesToBinary(transcript));
+            return this.binaryToBytes(signingKey.sign(md, this.createForgePss()));
         }
     }
 
     /**
-     * Export AES key to raw format (for transmission)
+     * Verify a peer's ephemeral public key against their identity key
      */
-    async exportSessionKey(key) {
+    async verifyEphemeralKey(ephemeralPublicKey, signature, signerId, recipientId, keyId, signerPublicKey, protocol) {
+        const jwk = this.parsePublicKey(signerPublicKey);
+        const transcript = this.getKeyShareTranscript(ephemeralPublicKey, signerId, recipientId, keyId, protocol);
+
+        try {
+            if (this.useNative) {
+                const verifyKey = await window.crypto.subtle.importKey(
+                    'jwk',
+                    { kty: jwk.kty, n: jwk.n, e: jwk.e },
+                    { name: 'RSA-PSS', hash: 'SHA-256' },
+                    false,
+                    ['verify']
+                );
+                return await window.crypto.subtle.verify(
+                    { name: 'RSA-PSS', saltLength: 32 },
+                    verifyKey,
+                    new Uint8Array(signature),
+                    transcript
+                );
+            } else {
+                const md = forge.md.sha256.create();
+                md.update(this.bytesToBinary(transcript));
+                return this.jwkToForgePublicKey(jwk).verify(
+                    md.digest().getBytes(),
+                    this.bytesToBinary(new Uint8Array(signature)),
+                    this.createForgePss()
+                );
+            }
+        } catch (error) {
+            console.error('[HybridCrypto] Signature verification error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * HKDF-SHA256 producing 32 bytes of key material
+     */
+    async hkdf(inputKeyMaterial, salt, info) {
         if (this.useNative) {
-            const raw = await window.crypto.subtle.exportKey('raw', key);
-            return raw;
+            const baseKey = await window.crypto.subtle.importKey('raw', inputKeyMaterial, 'HKDF', false, ['deriveBits']);
+            const bits = await window.crypto.subtle.deriveBits(
+                { name: 'HKDF', hash: 'SHA-256', salt, info },
+                baseKey,
+                256
+            );
+            return new Uint8Array(bits);
         } else {
-            // Forge key is already a string/buffer
-            return key;
+            // RFC 5869: extract, then one expand block (32 bytes = SHA-256 output)
+            const extract = forge.hmac.create();
+            extract.start('sha256', this.bytesToBinary(salt));
+            extract.update(this.bytesToBinary(inputKeyMaterial));
+            const prk = extract.digest().getBytes();
+
+            const expand = forge.hmac.create();
+            expand.start('sha256', prk);
+            expand.update(this.bytesToBinary(info) + String.fromCharCode(1));
+            return this.binaryToBytes(expand.digest().getBytes());
         }
     }
 
     /**
-     * Import AES key from raw format
+     * Turn raw key bytes into whatever encryptAudioAES expects
      */
     async importSessionKey(rawKey) {
         if (this.useNative) {
-            return await window.crypto.subtle.importKey(
-                'raw',
-                rawKey,
-                'AES-GCM',
-                true,
-                ['encrypt', 'decrypt']
+            return await window.crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['encrypt', 'decrypt']);
+        } else {
+            return this.bytesToBinary(rawKey);
+        }
+    }
+
+    /**
+     * Complete the exchange: X25519 shared secret -> HKDF -> { sendKey, receiveKey }
+     * Both sides derive the same pair, mirrored, because each direction's info
+     * string contains the sender's ephemeral public key.
+     */
+    async deriveSessionKeys(ephemeralKeyPair, peerEphemeralPublicKey) {
+        const peerPublic = new Uint8Array(peerEphemeralPublicKey);
+        if (peerPublic.length !== 32) throw new Error('Invalid ephemeral public key');
+
+        let shared;
+        if (ephemeralKeyPair.native) {
+            const peerKey = await window.crypto.subtle.importKey('raw', peerPublic, { name: 'X25519' }, false, []);
+            const bits = await window.crypto.subtle.deriveBits(
+                { name: 'X25519', public: peerKey },
+                ephemeralKeyPair.privateKey,
+                256
             );
+            shared = new Uint8Array(bits);
         } else {
-            return rawKey;
+            shared = this.x25519(ephemeralKeyPair.privateKey, peerPublic);
         }
+
+        // RFC 7748: reject small-order peer keys
+        if (shared.every(b => b === 0)) throw new Error('Degenerate X25519 shared secret');
+
+        // Salt: both public keys in a fixed order so each side computes the same value
+        const ownPublic = ephemeralKeyPair.publicKey;
+        const ownFirst = this.bytesToBinary(ownPublic) < this.bytesToBinary(peerPublic);
+        const salt = ownFirst ? this.concatBytes(ownPublic, peerPublic) : this.concatBytes(peerPublic, ownPublic);
+        const label = new TextEncoder().encode('SecureVOIP-audio-v1|');
+
+        const sendRaw = await this.hkdf(shared, salt, this.concatBytes(label, ownPublic));
+        const receiveRaw = await this.hkdf(shared, salt, this.concatBytes(label, peerPublic));
+
+        return {
+            sendKey: await this.importSessionKey(sendRaw),
+            receiveKey: await this.importSessionKey(receiveRaw)
+        };
     }
 
     /**
-     * Encrypt the session key with recipient's RSA public key (for exchange)
+     * ------------------------------------------------------------------------
+     * AUDIO ENCRYPTION (AES-256-GCM)
+     * ------------------------------------------------------------------------
+     */
+
+    /**
+     * Additional authenticated data for an audio frame: keyId + sequence (4 bytes each, big-endian) + codec ID
+     * Binding the sequence number into the tag stops a relay from renumbering captured frames
+     */
+    getAudioFrameAad(keyId, seq, codec) {
+        const aad = new Uint8Array(9);
+        const view = new DataView(aad.buffer);
+        view.setUint32(0, keyId);
+        view.setUint32(4, seq);
+        view.setUint8(8, codec);
+        return aad;
+    }
+
+    /**
+     * Additional authenticated data for an end-of-talkspurt marker: the AAD of the last audio
+     * frame sent, labelled so that frame can't be passed off as a marker
      */
-    async encryptSessionKey(sessionKey, recipientPublicKeyJwk) {
-        // Export session key first
-        const rawKey = await this.exportSessionKey(sessionKey);
+    getSilenceMarkerAad(keyId, seq, codec) {
+        return this.concatBytes(this.getAudioFrameAad(keyId, seq, codec), new TextEncoder().encode('|silence'));
+    }
 
-        // Use existing RSA encryption logic
-        // We wrap it in an ArrayBuffer to match the interface
-        const keyData = rawKey instanceof ArrayBuffer ? rawKey : this.base64ToArrayBuffer(btoa(rawKey));
-        return await this.encryptAudio(keyData, recipientPublicKeyJwk);
+    /**
+     * Additional authenticated data for a wrapped sender key - distinct from audio frames
+     */
+    getSenderKeyAad(senderKeyId, pairKeyId) {
+        return new TextEncoder().encode(`SecureVOIP-sender-key-v1|${senderKeyId}|${pairKeyId}`);
     }
 
     /**
-     * Decrypt the session key with own RSA private key
+     * Random room audio key (sender key) - raw bytes are kept so it can be handed to peers
      */
-    async decryptSessionKey(encryptedSessionKey) {
-        const rawKeyBuffer = await this.decryptAudio(encryptedSessionKey);
-        // Import back to CryptoKey object
-        return await this.importSessionKey(rawKeyBuffer);
+    async generateSenderKey() {
+        const raw = this.useNative
+            ? window.crypto.getRandomValues(new Uint8Array(32))
+            : this.binaryToBytes(forge.random.getBytesSync(32));
+        return { raw, key: await this.importSessionKey(raw) };
     }
 
     /**
      * Encrypt audio using AES-256-GCM
      * Much faster and supports larger payloads than RSA
+     * additionalData (optional) is authenticated but not encrypted
      * Returns: [IV (12 bytes) + Ciphertext]
      */
-    async encryptAudioAES(audioData, sessionKey) {
+    async encryptAudioAES(audioData, sessionKey, additionalData) {
         // IV must be unique for every encryption
         // 12 bytes is standard for AES-GCM
         let iv;
@@ -647,7 +1736,8 @@ class CryptoService {
             const encrypted = await window.crypto.subtle.encrypt(
                 {
                     name: 'AES-GCM',
-                    iv: iv
+                    iv: iv,
+                    ...(additionalData && { additionalData })
                 },
                 sessionKey,
                 audioData // Float32Array or ArrayBuffer
@@ -664,6 +1754,7 @@ class CryptoService {
             const cipher = forge.cipher.createCipher('AES-GCM', sessionKey);
             cipher.start({
                 iv: iv,
+                ...(additionalData && { additionalData: this.bytesToBinary(additionalData) }),
                 tagLength: 128 // 16 bytes tag
             });
 
@@ -701,8 +1792,9 @@ class CryptoService {
     /**
      * Decrypt audio using AES-256-GCM
      * Extracts IV from first 12 bytes
+     * additionalData must match what the sender authenticated
      */
-    async decryptAudioAES(data, sessionKey) {
+    async decryptAudioAES(data, sessionKey, additionalData) {
         const fullBuffer = new Uint8Array(data);
 
         if (this.useNative) {
@@ -713,7 +1805,8 @@ class CryptoService {
             return await window.crypto.subtle.decrypt(
                 {
                     name: 'AES-GCM',
-                    iv: iv
+                    iv: iv,
+                    ...(additionalData && { additionalData })
                 },
                 sessionKey,
                 ciphertext
@@ -740,6 +1833,7 @@ class CryptoService {
             const decipher = forge.cipher.createDecipher('AES-GCM', sessionKey);
             decipher.start({
                 iv: ivStr,
+                ...(additionalData && { additionalData: this.bytesToBinary(additionalData) }),
                 tagLength: 128,
                 tag: forge.util.createBuffer(tagStr)
             });
@@ -0,0 +1,143 @@
+import { beforeAll, describe, expect, it, vi } from 'vitest';
+import { getHeaderAad } from './wireFormat';
+import { CODEC_OPUS, CODEC_PCM16 } from './audioCodec';
+
+const hex = (value) => new Uint8Array(value.match(/../g).map(byte => parseInt(byte, 16)));
+const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+const base64url = (bytes) => btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const BASE_POINT = hex('09'.padEnd(64, '0'));
+// 1000 ladder runs on BigIntegers take several seconds
+const ITERATED_TIMEOUT_MS = 60000;
+
+// RFC 7748 section 6.1
+const ALICE_PRIVATE = '77076d0a7318a57d3c16c17251b26645df4c2f87ebc0992ab177fba51db92c2a';
+const ALICE_PUBLIC = '8520f0098930a754748b7ddcb43ef75a0dbf3a0d26381af4eba4a98eaa9b4e6a';
+const BOB_PRIVATE = '5dab087e624a8a4b79e17f8b83800ee66f3bb1292618b6fd1c2f8b27ff88e0eb';
+const BOB_PUBLIC = 'de9edb7d7b7dc1b4d35b61c2ece435373f8343c85b78674dadfc7e146f882b4f';
+const SHARED_SECRET = '4a5d9d5ba4ce2de1728e3bf480350f25e07e21c947d19e3376f09b3c1e161742';
+
+/**
+ * Native Web Crypto X25519 with a known private key
+ */
+const nativeSharedSecret = async (privateKey, publicKey, peerPublicKey) => {
+    const key = await crypto.subtle.importKey(
+        'jwk',
+        { kty: 'OKP', crv: 'X25519', d: base64url(privateKey), x: base64url(publicKey) },
+        { name: 'X25519' },
+        false,
+        ['deriveBits']
+    );
+    const peerKey = await crypto.subtle.importKey('raw', peerPublicKey, { name: 'X25519' }, false, []);
+    return new Uint8Array(await crypto.subtle.deriveBits({ name: 'X25519', public: peerKey }, key, 256));
+};
+
+let cryptoService;
+
+// cryptoService reads window (and node-forge the location) when it loads
+beforeAll(async () => {
+    vi.stubGlobal('window', {
+        isSecureContext: true,
+        location: new URL('https://localhost/'),
+        crypto: globalThis.crypto
+    });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'group').mockImplementation(() => {});
+    vi.spyOn(console, 'groupEnd').mockImplementation(() => {});
+    ({ cryptoService } = await import('./cryptoService'));
+});
+
+describe('CryptoService X25519 fallback', () => {
+    it('matches the RFC 7748 section 5.2 test vectors', () => {
+        expect(toHex(cryptoService.x25519(
+            hex('a546e36bf0527c9d3b16154b82465edd62144c0ac1fc5a18506a2244ba449ac4'),
+            hex('e6db6867583030db3594c1a424b15f7c726624ec26b3353b10a903a6d0ab1c4c')
+        ))).toBe('c3da55379de9c6908e94ea4df28d084f32eccf03491c71f754b4075577a28552');
+
+        expect(toHex(cryptoService.x25519(
+            hex('4b66e9d4d1b4673c5ad22691957d6af5c11b6421e0ea01d42ca4169e7918ba0d'),
+            hex('e5210f12786811d3f4b7959d0538ae2c31dbe7106fc03c3efc4cd549c715a493')
+        ))).toBe('95cbde9476e8907d7aade45cb4b873f88b595a68799fa152e6f8f7647aac7957');
+    });
+
+    it('matches the RFC 7748 section 5.2 iterated vectors', () => {
+        let k = BASE_POINT;
+        let u = BASE_POINT;
+        for (let i = 1; i <= 1000; i++) {
+            [k, u] = [cryptoService.x25519(k, u), k];
+            if (i === 1) expect(toHex(k)).toBe('422c8e7a6227d7bca1350b3e2bb7279f7897b87bb6854b783c60e80311ae3079');
+        }
+        expect(toHex(k)).toBe('684cf59ba83309552800ef566f2f4d3c1c3887c49360e3875f2eb94d99532c51');
+    }, ITERATED_TIMEOUT_MS);
+
+    it('matches the RFC 7748 section 6.1 Diffie-Hellman vectors', () => {
+        expect(toHex(cryptoService.x25519(hex(ALICE_PRIVATE), BASE_POINT))).toBe(ALICE_PUBLIC);
+        expect(toHex(cryptoService.x25519(hex(BOB_PRIVATE), BASE_POINT))).toBe(BOB_PUBLIC);
+        expect(toHex(cryptoService.x25519(hex(ALICE_PRIVATE), hex(BOB_PUBLIC)))).toBe(SHARED_SECRET);
+        expect(toHex(cryptoService.x25519(hex(BOB_PRIVATE), hex(ALICE_PUBLIC)))).toBe(SHARED_SECRET);
+    });
+
+    it('agrees with native X25519 on the shared secret', async () => {
+        expect(toHex(await nativeSharedSecret(hex(ALICE_PRIVATE), hex(ALICE_PUBLIC), hex(BOB_PUBLIC)))).toBe(SHARED_SECRET);
+
+        // A native peer and a fallback peer derive the same secret
+        const native = await cryptoService.generateEphemeralKeyPair();
+        expect(native.native).toBe(true);
+        const fallbackPrivate = crypto.getRandomValues(new Uint8Array(32));
+        const fallbackPublic = cryptoService.x25519(fallbackPrivate, BASE_POINT);
+
+        const peerKey = await crypto.subtle.importKey('raw', fallbackPublic, { name: 'X25519' }, false, []);
+        const nativeShared = new Uint8Array(
+            await crypto.subtle.deriveBits({ name: 'X25519', public: peerKey }, native.privateKey, 256)
+        );
+        expect(toHex(cryptoService.x25519(fallbackPrivate, native.publicKey))).toBe(toHex(nativeShared));
+    });
+});
+
+describe('CryptoService audio frame AAD', () => {
+    const PROTOCOL = { version: 1, suite: 1 };
+    const frameAad = (protocol, keyId, seq, codec) => cryptoService.concatBytes(
+        getHeaderAad(protocol),
+        cryptoService.getAudioFrameAad(keyId, seq, codec)
+    );
+
+    it('packs key ID, sequence and codec big-endian', () => {
+        expect(Array.from(cryptoService.getAudioFrameAad(0x01020304, 0x05060708, CODEC_OPUS)))
+            .toEqual([1, 2, 3, 4, 5, 6, 7, 8, CODEC_OPUS]);
+    });
+
+    it('only decrypts a frame under the header it was sent with', async () => {
+        const { key } = await cryptoService.generateSenderKey();
+        const audio = new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8]);
+        const encrypted = await cryptoService.encryptAudioAES(audio, key, frameAad(PROTOCOL, 3, 10, CODEC_OPUS));
+
+        const decrypted = await cryptoService.decryptAudioAES(encrypted, key, frameAad(PROTOCOL, 3, 10, CODEC_OPUS));
+        expect(new Uint8Array(decrypted)).toEqual(audio);
+
+        // Renumbered, re-keyed, re-labelled or downgraded copies fail the tag check
+        for (const aad of [
+            frameAad(PROTOCOL, 3, 11, CODEC_OPUS),
+            frameAad(PROTOCOL, 4, 10, CODEC_OPUS),
+            frameAad(PROTOCOL, 3, 10, CODEC_PCM16),
+            frameAad({ version: 1, suite: 2 }, 3, 10, CODEC_OPUS)
+        ]) {
+            await expect(cryptoService.decryptAudioAES(encrypted, key, aad)).rejects.toThrow();
+        }
+    });
+
+    it('keeps audio frames and silence markers apart', async () => {
+        const { key } = await cryptoService.generateSenderKey();
+        const markerAad = (seq) => cryptoService.concatBytes(
+            getHeaderAad(PROTOCOL),
+            cryptoService.getSilenceMarkerAad(3, seq, CODEC_OPUS)
+        );
+        const marker = await cryptoService.encryptAudioAES(new Uint8Array(0), key, markerAad(10));
+        expect(new Uint8Array(await cryptoService.decryptAudioAES(marker, key, markerAad(10))).byteLength).toBe(0);
+        await expect(cryptoService.decryptAudioAES(marker, key, markerAad(11))).rejects.toThrow();
+
+        // An audio frame relabelled as a marker does not verify
+        const audio = await cryptoService.encryptAudioAES(new Uint8Array(0), key, frameAad(PROTOCOL, 3, 10, CODEC_OPUS));
+        await expect(cryptoService.decryptAudioAES(audio, key, markerAad(10))).rejects.toThrow();
+        await expect(cryptoService.decryptAudioAES(marker, key, frameAad(PROTOCOL, 3, 10, CODEC_OPUS))).rejects.toThrow();
+    });
+});
@@ -0,0 +1,309 @@
+/**
+ * Per-peer jitter buffer for received audio
+ *
+ * Decoded frames are held briefly, put back in sequence order and scheduled
+ * back-to-back on the AudioContext timeline. The hold time (target delay)
+ * follows the measured arrival jitter and grows after every underrun. A frame
+ * that is still missing when its turn comes is concealed by waveform repetition
+ * (see lossConcealment); if it shows up afterwards it is dropped as late.
+ * Codecs with their own PLC can fill a hole ahead of time with a concealed
+ * frame, which the real one replaces if it arrives before playout.
+ * When the sender marks the end of a talkspurt (it stopped sending on purpose),
+ * running dry afterwards is silence, not an underrun: playback just goes idle.
+ *
+ * All times are AudioContext seconds.
+ */
+import { WaveformConcealer } from './lossConcealment';
+
+const INITIAL_TARGET_DELAY = 0.08;
+const MIN_TARGET_DELAY = 0.04;
+const MAX_TARGET_DELAY = 0.4;
+const UNDERRUN_DELAY_STEP = 0.02; // Target grows by this much after each underrun
+const TARGET_DECAY = 0.002; // Target shrinks at most this much per frame once jitter settles
+const JITTER_GAIN = 1 / 16; // RFC 3550 interarrival jitter smoothing
+const JITTER_MULTIPLIER = 3;
+const SCHEDULE_AHEAD = 0.03; // How far ahead frames are handed to the AudioContext
+const EXCESS_DELAY = 0.1; // Buffered audio beyond target + this is dropped to catch up
+const MAX_CONCEALED_FRAMES = 5; // Then stop and re-buffer up to the target delay
+const MAX_STREAMS = 4;
+
+export class JitterBuffer {
+    /**
+     * onFrame(samples, when) schedules one frame at AudioContext time `when`
+     * sampleRate is the rate of the frames pushed - the sender's, not necessarily ours
+     */
+    constructor(sampleRate, onFrame) {
+        this.sampleRate = sampleRate;
+        this.onFrame = onFrame;
+
+        this.frames = new Map(); // index -> Float32Array
+        this.codecConcealed = new Set(); // Indexes holding codec PLC output rather than real audio
+        this.bufferedSamples = 0;
+        this.streams = new Map(); // streamId -> { base, limit }
+        this.currentStream = null;
+        this.highestIndex = -1;
+        this.firstIndex = null;
+
+        this.playing = false;
+        this.nextIndex = null;
+        this.playhead = 0;
+        this.concealer = new WaveformConcealer();
+        this.frameLength = 0;
+        this.concealRun = 0;
+        this.talkspurtEnd = null; // Last index before the sender's marked silence
+        this.silenceAfter = null; // Same, kept until the next talkspurt's first frame arrives
+        this.inSilence = false;
+
+        this.targetDelay = INITIAL_TARGET_DELAY;
+        this.jitter = 0;
+        this.frameDuration = 0;
+        this.lastArrival = null;
+        this.lastArrivalIndex = null;
+
+        this.stats = { received: 0, underruns: 0, concealed: 0, codecConcealed: 0, late: 0, dropped: 0, silences: 0 };
+    }
+
+    /**
+     * Add a decoded frame. streamId changes with the sender's key or codec, and
+     * every stream numbers its frames from 0. Returns false if it came too late
+     */
+    push(streamId, seq, samples, now) {
+        const index = this.getIndex(streamId, seq);
+        if (index !== null && this.frames.has(index) && !this.codecConcealed.has(index)) return false;
+
+        this.stats.received++;
+        if (index !== null) {
+            if (this.firstIndex === null) this.firstIndex = index;
+            if (index > this.highestIndex) this.highestIndex = index;
+        }
+        if (index === null || (this.nextIndex !== null && index < this.nextIndex)) {
+            this.stats.late++;
+            return false;
+        }
+
+        // The real frame beats the codec's guess for it
+        if (this.codecConcealed.delete(index)) {
+            this.bufferedSamples -= this.frames.get(index).length;
+        }
+
+        this.frames.set(index, samples);
+        this.bufferedSamples += samples.length;
+        this.frameDuration = samples.length / this.sampleRate;
+        this.updateJitter(index, now);
+        return true;
+    }
+
+    /**
+     * Add codec PLC output for a frame detected missing from the sequence
+     */
+    pushConcealed(streamId, seq, samples) {
+        const stream = this.streams.get(streamId);
+        if (!stream) return false;
+
+        const index = stream.base + seq;
+        if (index >= stream.limit || this.frames.has(index) || (this.nextIndex !== null && index < this.nextIndex)) {
+            return false;
+        }
+
+        this.frames.set(index, samples);
+        this.codecConcealed.add(index);
+        this.bufferedSamples += samples.length;
+        return true;
+    }
+
+    /**
+     * The sender stopped sending after what it has sent so far - voice activity ended
+     */
+    markTalkspurtEnd() {
+        this.talkspurtEnd = this.highestIndex;
+        this.silenceAfter = this.highestIndex;
+    }
+
+    /**
+     * Idle because the sender went quiet on purpose - the time for comfort noise
+     */
+    isInSilence() {
+        return !this.playing && this.inSilence;
+    }
+
+    /**
+     * Map a stream's sequence number onto one continuous playout index
+     * A new (or resumed) stream continues right after everything received or played so far
+     */
+    getIndex(streamId, seq) {
+        const stream = this.streams.get(streamId);
+        if (stream && stream.base + seq < stream.limit) {
+            return stream.base + seq;
+        }
+
+        const start = Math.max(this.highestIndex + 1, this.nextIndex ?? 0);
+        const base = start - seq;
+        const previous = this.streams.get(this.currentStream);
+        if (previous && this.currentStream !== streamId) {
+            previous.limit = start;
+        }
+        this.streams.delete(streamId);
+        this.streams.set(streamId, { base, limit: Infinity });
+        this.currentStream = streamId;
+        if (this.streams.size > MAX_STREAMS) {
+            this.streams.delete(this.streams.keys().next().value);
+        }
+        return base + seq;
+    }
+
+    /**
+     * Track interarrival jitter and move the target delay with it
+     */
+    updateJitter(index, now) {
+        // The first frame after a marked silence arrives late by the length of the pause, not by jitter
+        if (this.silenceAfter !== null && index > this.silenceAfter) {
+            this.silenceAfter = null;
+            this.lastArrival = now;
+            this.lastArrivalIndex = index;
+            return;
+        }
+
+        if (this.lastArrivalIndex !== null && index > this.lastArrivalIndex) {
+            const expected = (index - this.lastArrivalIndex) * this.frameDuration;
+            const deviation = Math.abs((now - this.lastArrival) - expected);
+            this.jitter += (deviation - this.jitter) * JITTER_GAIN;
+
+            const desired = Math.min(MAX_TARGET_DELAY, Math.max(
+                MIN_TARGET_DELAY,
+                this.frameDuration + JITTER_MULTIPLIER * this.jitter
+            ));
+            this.targetDelay = desired > this.targetDelay
+                ? desired
+                : Math.max(desired, this.targetDelay - TARGET_DECAY);
+        }
+        if (this.lastArrivalIndex === null || index > this.lastArrivalIndex) {
+            this.lastArrival = now;
+            this.lastArrivalIndex = index;
+        }
+    }
+
+    /**
+     * Schedule every frame due within SCHEDULE_AHEAD of now, concealing gaps
+     */
+    service(now) {
+        if (!this.playing) {
+            if (this.frames.size === 0) return;
+            // Wait until the target delay is buffered - or for a short tail that won't grow any more
+            const tailDone = now - this.lastArrival >= this.targetDelay;
+            if (this.getBufferedDuration() < this.targetDelay && !tailDone) return;
+            this.playing = true;
+            this.inSilence = false;
+            this.nextIndex = Math.min(...this.frames.keys());
+            this.playhead = now;
+        }
+
+        // The timer stalled (background tab) - restart the timeline from now
+        if (this.playhead < now) this.playhead = now;
+
+        this.dropExcess();
+
+        while (this.playhead - now < SCHEDULE_AHEAD) {
+            const samples = this.frames.get(this.nextIndex);
+            if (samples) {
+                this.frames.delete(this.nextIndex);
+                this.bufferedSamples -= samples.length;
+                if (this.codecConcealed.delete(this.nextIndex)) this.stats.codecConcealed++;
+                // Played on past the marked end without running dry - speech resumed, the marker is stale
+                if (this.talkspurtEnd !== null && this.nextIndex > this.talkspurtEnd) this.talkspurtEnd = null;
+                this.concealRun = 0;
+                this.frameLength = samples.length;
+                this.scheduleFrame(this.concealer.accept(samples));
+                continue;
+            }
+
+            // Ran dry right after the sender's marked end: intended silence, nothing to conceal
+            if (this.frames.size === 0 && this.talkspurtEnd !== null && this.nextIndex > this.talkspurtEnd) {
+                this.stop();
+                this.talkspurtEnd = null;
+                this.inSilence = true;
+                this.stats.silences++;
+                return;
+            }
+
+            // Nothing buffered at all is an underrun; a hole before later frames is a lost frame
+            if (this.frames.size === 0 && this.concealRun === 0) {
+                this.stats.underruns++;
+                this.targetDelay = Math.min(MAX_TARGET_DELAY, this.targetDelay + UNDERRUN_DELAY_STEP);
+            }
+
+            const concealed = this.concealRun < MAX_CONCEALED_FRAMES ? this.concealer.conceal(this.frameLength) : null;
+            if (!concealed) {
+                if (this.frames.size === 0) {
+                    this.stop();
+                    return;
+                }
+                // Too long a hole - jump to the next frame we have
+                this.nextIndex = Math.min(...this.frames.keys());
+                continue;
+            }
+
+            this.concealRun++;
+            this.stats.concealed++;
+            this.scheduleFrame(concealed);
+        }
+    }
+
+    /**
+     * A frame handed out on time whose slot had passed before it could start playing
+     */
+    recordLateFrame() {
+        this.stats.late++;
+    }
+
+    /**
+     * Stop and re-buffer. Concealed slots never had real audio, so a resuming stream may still fill them
+     */
+    stop() {
+        this.nextIndex -= this.concealRun;
+        this.concealRun = 0;
+        this.playing = false;
+        this.concealer.reset();
+    }
+
+    scheduleFrame(samples) {
+        this.onFrame(samples, this.playhead);
+        this.playhead += samples.length / this.sampleRate;
+        this.nextIndex++;
+    }
+
+    /**
+     * A burst after a stall leaves too much queued - skip the oldest frames to get latency back down
+     */
+    dropExcess() {
+        while (this.frames.size > 0 && this.getBufferedDuration() > this.targetDelay + EXCESS_DELAY) {
+            const oldest = Math.min(...this.frames.keys());
+            this.bufferedSamples -= this.frames.get(oldest).length;
+            this.frames.delete(oldest);
+            this.codecConcealed.delete(oldest);
+            this.stats.dropped++;
+            this.nextIndex = Math.max(this.nextIndex, oldest + 1);
+        }
+    }
+
+    getBufferedDuration() {
+        return this.bufferedSamples / this.sampleRate;
+    }
+
+    /**
+     * Diagnostics: current depth (queued + already scheduled) and target, in ms, plus counters
+     * Loss comes from the sequence numbers: frames expected up to the highest one seen minus those received
+     */
+    getStats(now) {
+        const scheduled = this.playing ? Math.max(0, this.playhead - now) : 0;
+        const expected = this.firstIndex === null ? 0 : this.highestIndex - this.firstIndex + 1;
+        const lost = Math.max(0, expected - this.stats.received);
+        return {
+            depthMs: Math.round((this.getBufferedDuration() + scheduled) * 1000),
+            targetMs: Math.round(this.targetDelay * 1000),
+            jitterMs: Math.round(this.jitter * 1000),
+            ...this.stats,
+            lost,
+            lossPercent: expected > 0 ? Math.round((lost / expected) * 1000) / 10 : 0
+        };
+    }
+}
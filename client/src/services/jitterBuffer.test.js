@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest';
+import { JitterBuffer } from './jitterBuffer';
+
+const SAMPLE_RATE = 48000;
+const FRAME_SAMPLES = 960; // 20 ms
+const FRAME_SECONDS = FRAME_SAMPLES / SAMPLE_RATE;
+const TICK = 0.01; // Playout timer
+
+const frame = () => new Float32Array(FRAME_SAMPLES).fill(0.1);
+
+/**
+ * Feed frames on a perfect 20 ms clock from `start`, servicing the buffer every 10 ms
+ */
+const talk = (buffer, state, frames) => {
+    for (let i = 0; i < frames; i++) {
+        buffer.push('stream', state.seq++, frame(), state.now);
+        const next = state.now + FRAME_SECONDS;
+        for (; state.now < next - 1e-9; state.now += TICK) buffer.service(state.now);
+        state.now = next;
+    }
+};
+
+const idle = (buffer, state, seconds) => {
+    const end = state.now + seconds;
+    for (; state.now < end; state.now += TICK) buffer.service(state.now);
+};
+
+describe('JitterBuffer', () => {
+    it('does not count a marked silence as jitter when speech resumes', () => {
+        const buffer = new JitterBuffer(SAMPLE_RATE, () => {});
+        const state = { seq: 0, now: 0 };
+
+        talk(buffer, state, 50);
+        const targetBefore = buffer.getStats(state.now).targetMs;
+
+        buffer.markTalkspurtEnd();
+        idle(buffer, state, 5);
+        talk(buffer, state, 50);
+
+        const stats = buffer.getStats(state.now);
+        expect(stats.silences).toBe(1);
+        expect(stats.targetMs).toBeLessThanOrEqual(targetBefore);
+    });
+
+    it('still treats an unmarked gap as an underrun', () => {
+        const buffer = new JitterBuffer(SAMPLE_RATE, () => {});
+        const state = { seq: 0, now: 0 };
+
+        talk(buffer, state, 50);
+        idle(buffer, state, 1);
+        talk(buffer, state, 5);
+
+        const stats = buffer.getStats(state.now);
+        expect(stats.silences).toBe(0);
+        expect(stats.underruns).toBeGreaterThan(0);
+    });
+
+    it('counts frames that arrive or start after their slot as late', () => {
+        const buffer = new JitterBuffer(SAMPLE_RATE, () => {});
+        const state = { seq: 0, now: 0 };
+
+        talk(buffer, state, 10);
+        expect(buffer.push('stream', 0, frame(), state.now)).toBe(false);
+        buffer.recordLateFrame();
+
+        expect(buffer.getStats(state.now).late).toBe(2);
+    });
+});
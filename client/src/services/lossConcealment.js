@@ -0,0 +1,109 @@
+/**
+ * Waveform-repetition packet loss concealment
+ *
+ * A missing frame is replaced by repeating the last pitch period of the audio
+ * before it, fading out over consecutive losses so a long outage decays to
+ * silence instead of buzzing. When real audio resumes it is crossfaded with
+ * the concealment so there is no click at the join.
+ */
+
+const MIN_PITCH_LAG = 96; // 2 ms at 48 kHz (500 Hz)
+const MAX_PITCH_LAG = 720; // 15 ms at 48 kHz (~67 Hz)
+const UNVOICED_CORRELATION = 0.3; // Below this, repeat a long segment rather than one "period" of noise
+const FADE_PER_FRAME = 0.6; // Gain reached at the end of each consecutive concealed frame
+const RESUME_CROSSFADE = 96; // Samples crossfaded back into real audio
+
+/**
+ * Pitch period (in samples) of the end of a frame, by normalized autocorrelation
+ */
+const estimatePitchLag = (samples) => {
+    const maxLag = Math.min(MAX_PITCH_LAG, Math.floor(samples.length / 2));
+    if (maxLag <= MIN_PITCH_LAG) return samples.length;
+
+    const window = samples.length - maxLag;
+    const end = samples.length;
+    let bestLag = maxLag;
+    let bestCorrelation = 0;
+
+    for (let lag = MIN_PITCH_LAG; lag <= maxLag; lag++) {
+        let cross = 0;
+        let energyA = 0;
+        let energyB = 0;
+        for (let i = end - window; i < end; i++) {
+            const a = samples[i];
+            const b = samples[i - lag];
+            cross += a * b;
+            energyA += a * a;
+            energyB += b * b;
+        }
+        const correlation = cross / (Math.sqrt(energyA * energyB) || 1);
+        if (correlation > bestCorrelation) {
+            bestCorrelation = correlation;
+            bestLag = lag;
+        }
+    }
+
+    return bestCorrelation >= UNVOICED_CORRELATION ? bestLag : maxLag;
+};
+
+export class WaveformConcealer {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.lastFrame = null;
+        this.period = null;
+        this.phase = 0;
+        this.run = 0;
+    }
+
+    /**
+     * Remember real audio - the next concealment continues from it
+     * Crossfades from the concealment if the previous frame was concealed
+     */
+    accept(samples) {
+        let output = samples;
+        if (this.run > 0 && this.period) {
+            output = Float32Array.from(samples);
+            const gain = FADE_PER_FRAME ** this.run;
+            const length = Math.min(RESUME_CROSSFADE, output.length);
+            for (let i = 0; i < length; i++) {
+                const ramp = i / length;
+                const concealed = this.period[(this.phase + i) % this.period.length] * gain;
+                output[i] = output[i] * ramp + concealed * (1 - ramp);
+            }
+        }
+
+        this.lastFrame = samples;
+        this.period = null;
+        this.run = 0;
+        return output;
+    }
+
+    /**
+     * A concealment frame of `length` samples, or null with no audio to continue from
+     */
+    conceal(length) {
+        if (!this.lastFrame) return null;
+
+        if (!this.period) {
+            const lag = estimatePitchLag(this.lastFrame);
+            this.period = this.lastFrame.slice(this.lastFrame.length - lag);
+            this.phase = 0;
+        }
+
+        // Gain falls smoothly across the frame, continuing from where the last one ended
+        const startGain = FADE_PER_FRAME ** this.run;
+        const endGain = FADE_PER_FRAME ** (this.run + 1);
+        const output = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            const gain = startGain + (endGain - startGain) * (i / length);
+            output[i] = this.period[(this.phase + i) % this.period.length] * gain;
+        }
+
+        this.phase = (this.phase + length) % this.period.length;
+        this.run++;
+        return output;
+    }
+}
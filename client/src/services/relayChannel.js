@@ -0,0 +1,60 @@
+/**
+ * Socket.io stand-in for a peer's RTCDataChannel, used when no ICE candidate pair works
+ *
+ * It carries exactly what the data channel would have: the hello and key exchange,
+ * and audio frames that are already encrypted end to end. The signaling server only
+ * forwards them to the peer's socket. It has the parts of the RTCDataChannel surface
+ * voiceEngine uses, so those paths run over it unchanged.
+ */
+
+export class RelayChannel {
+    constructor(socket, peerId) {
+        this.socket = socket;
+        this.peerId = peerId;
+        this.label = 'relay';
+        this.binaryType = 'arraybuffer';
+        this.readyState = 'open';
+        this.bufferedAmount = 0;
+
+        // Same names as RTCDataChannelStats, for the call quality overlay
+        this.bytesSent = 0;
+        this.bytesReceived = 0;
+        this.messagesSent = 0;
+        this.messagesReceived = 0;
+
+        this.onopen = null;
+        this.onmessage = null;
+        this.onclose = null;
+    }
+
+    send(data) {
+        if (this.readyState !== 'open') return;
+
+        this.bytesSent += typeof data === 'string' ? data.length : data.byteLength;
+        this.messagesSent++;
+        // Audio (binary) is dropped rather than queued while the socket is down, as on the
+        // unreliable data channel. Control messages (JSON) must arrive
+        const emitter = typeof data === 'string' ? this.socket : this.socket.volatile;
+        emitter.emit('relay-frame', { targetSocketId: this.peerId, data });
+    }
+
+    /**
+     * A message the server relayed from the peer
+     */
+    receive(data) {
+        if (this.readyState !== 'open') return;
+
+        const message = typeof data === 'string' || data instanceof ArrayBuffer
+            ? data
+            : data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+        this.bytesReceived += typeof message === 'string' ? message.length : message.byteLength;
+        this.messagesReceived++;
+        this.onmessage?.({ data: message });
+    }
+
+    close() {
+        if (this.readyState === 'closed') return;
+        this.readyState = 'closed';
+        this.onclose?.();
+    }
+}
@@ -0,0 +1,39 @@
+/**
+ * Sliding replay window for received audio frames (one per receive key and codec)
+ *
+ * Tracks the highest sequence number seen and a bitmap of the ones below it.
+ * A frame is dropped if its sequence was already accepted ('replayed') or fell
+ * out of the window ('tooOld'). Frames are checked before decryption and only
+ * marked once their tag verified, so forged frames can't poison the window.
+ */
+
+export const REPLAY_WINDOW_SIZE = 128;
+const REPLAY_WINDOW_MASK = (1n << BigInt(REPLAY_WINDOW_SIZE)) - 1n;
+
+/**
+ * Highest sequence seen + bitmap of the ones below it
+ */
+export const createReplayWindow = () => ({ highest: -1, bitmap: 0n });
+
+/**
+ * Returns a drop reason for seq, or null if it has not been seen yet
+ */
+export const checkReplayWindow = (replay, seq) => {
+    if (seq > replay.highest) return null;
+    const offset = replay.highest - seq;
+    if (offset >= REPLAY_WINDOW_SIZE) return 'tooOld';
+    return (replay.bitmap >> BigInt(offset)) & 1n ? 'replayed' : null;
+};
+
+/**
+ * Record seq as received (only after its tag verified)
+ */
+export const markReplayWindow = (replay, seq) => {
+    if (seq > replay.highest) {
+        const shift = seq - replay.highest;
+        replay.bitmap = shift >= REPLAY_WINDOW_SIZE ? 1n : ((replay.bitmap << BigInt(shift)) | 1n) & REPLAY_WINDOW_MASK;
+        replay.highest = seq;
+    } else {
+        replay.bitmap |= 1n << BigInt(replay.highest - seq);
+    }
+};
@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import { REPLAY_WINDOW_SIZE, checkReplayWindow, createReplayWindow, markReplayWindow } from './replayWindow';
+
+/**
+ * Check-then-mark, as the receive path does once a frame's tag verified
+ */
+const receive = (replay, seq) => {
+    const reason = checkReplayWindow(replay, seq);
+    if (!reason) markReplayWindow(replay, seq);
+    return reason;
+};
+
+describe('replay window', () => {
+    it('accepts each sequence once, in or out of order', () => {
+        const replay = createReplayWindow();
+        expect(receive(replay, 0)).toBeNull();
+        expect(receive(replay, 2)).toBeNull();
+        expect(receive(replay, 1)).toBeNull();
+        expect(receive(replay, 1)).toBe('replayed');
+        expect(receive(replay, 2)).toBe('replayed');
+        expect(receive(replay, 0)).toBe('replayed');
+    });
+
+    it('does not mark a frame that was only checked', () => {
+        const replay = createReplayWindow();
+        receive(replay, 10);
+        expect(checkReplayWindow(replay, 5)).toBeNull();
+        expect(checkReplayWindow(replay, 5)).toBeNull();
+    });
+
+    it('keeps the last 128 sequences and rejects anything older', () => {
+        const replay = createReplayWindow();
+        const highest = 1000;
+        receive(replay, highest);
+
+        const oldest = highest - (REPLAY_WINDOW_SIZE - 1);
+        expect(receive(replay, oldest)).toBeNull();
+        expect(receive(replay, oldest)).toBe('replayed');
+        expect(receive(replay, oldest - 1)).toBe('tooOld');
+    });
+
+    it('slides the bitmap without reviving sequences that fell out of it', () => {
+        const replay = createReplayWindow();
+        for (let seq = 0; seq < REPLAY_WINDOW_SIZE; seq++) receive(replay, seq);
+
+        // One step on: seq 0 leaves the window, the rest are still remembered
+        receive(replay, REPLAY_WINDOW_SIZE);
+        expect(checkReplayWindow(replay, 0)).toBe('tooOld');
+        expect(checkReplayWindow(replay, 1)).toBe('replayed');
+
+        // Bits shifted past the mask must not come back as replays of newer sequences
+        receive(replay, 3 * REPLAY_WINDOW_SIZE);
+        expect(replay.bitmap).toBe(1n);
+        expect(checkReplayWindow(replay, 2 * REPLAY_WINDOW_SIZE + 1)).toBeNull();
+        expect(checkReplayWindow(replay, 2 * REPLAY_WINDOW_SIZE)).toBe('tooOld');
+    });
+
+    it('keeps the bitmap inside the window on a partial shift', () => {
+        const replay = createReplayWindow();
+        for (let seq = 0; seq < REPLAY_WINDOW_SIZE; seq++) receive(replay, seq);
+        receive(replay, REPLAY_WINDOW_SIZE + 64);
+
+        expect(replay.bitmap >> BigInt(REPLAY_WINDOW_SIZE)).toBe(0n);
+        expect(checkReplayWindow(replay, 64)).toBe('tooOld');
+        expect(checkReplayWindow(replay, 65)).toBe('replayed');
+        expect(checkReplayWindow(replay, REPLAY_WINDOW_SIZE + 1)).toBeNull();
+    });
+
+    it('handles sequences up to the top of the 32-bit wire field', () => {
+        const replay = createReplayWindow();
+        const top = 0xffffffff;
+        expect(receive(replay, top - 1)).toBeNull();
+        expect(receive(replay, top)).toBeNull();
+        expect(receive(replay, top)).toBe('replayed');
+        expect(receive(replay, top - 1)).toBe('replayed');
+        expect(receive(replay, top - REPLAY_WINDOW_SIZE)).toBe('tooOld');
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * Main-thread side of the resampler worklet (public/resampler-processor.js)
+ *
+ * Peers capture at whatever rate their AudioContext got - 44.1 kHz is common -
+ * so received frames are converted to our own context's rate as the jitter
+ * buffer plays them out. A stream is one peer's continuous audio, in playout order.
+ */
+
+export class Resampler {
+    constructor(node) {
+        this.node = node;
+        this.nextId = 0;
+        this.pending = new Map(); // id -> resolve
+
+        this.node.port.onmessage = (event) => {
+            const { id, samples } = event.data;
+            this.pending.get(id)?.(samples);
+            this.pending.delete(id);
+        };
+    }
+
+    /**
+     * Load the worklet into audioContext and start a resampler node
+     */
+    static async create(audioContext) {
+        await audioContext.audioWorklet.addModule('/resampler-processor.js');
+        const node = new AudioWorkletNode(audioContext, 'resampler', {
+            numberOfInputs: 0,
+            numberOfOutputs: 1
+        });
+        // Connected so the context keeps the node (and its port) running
+        node.connect(audioContext.destination);
+        return new Resampler(node);
+    }
+
+    /**
+     * Samples at fromRate -> samples at the context's rate
+     * Frames of one stream must be passed in playback order
+     */
+    resample(stream, samples, fromRate) {
+        const id = this.nextId++;
+        return new Promise((resolve) => {
+            this.pending.set(id, resolve);
+            this.node.port.postMessage({ id, stream, samples, fromRate });
+        });
+    }
+
+    /**
+     * Forget a stream's interpolation state (peer left)
+     */
+    reset(stream) {
+        this.node.port.postMessage({ type: 'reset', stream });
+    }
+
+    close() {
+        this.node.disconnect();
+        this.node.port.onmessage = null;
+        for (const resolve of this.pending.values()) resolve(null);
+        this.pending.clear();
+    }
+}
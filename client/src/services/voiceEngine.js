@@ -5,7 +5,37 @@
  */
 
 import { cryptoService } from './cryptoService';
-import SignalingManager from './SignalingManager';
+import SignalingManager, { DEFAULT_RECONNECT_TIMEOUT_MS } from './SignalingManager';
+import { JitterBuffer } from './jitterBuffer';
+import { Resampler } from './resampler';
+import { RelayChannel } from './relayChannel';
+import { createReplayWindow, checkReplayWindow, markReplayWindow } from './replayWindow';
+import { turnAPI } from './api';
+import {
+    CODEC_NAMES,
+    CODEC_OPUS,
+    CODEC_PCM16,
+    DEFAULT_OPUS_BITRATE,
+    OpusDecoder,
+    OpusEncoder,
+    clampBitrate,
+    decodePcm16,
+    encodePcm16,
+    getSupportedCodecs,
+    negotiateCodec
+} from './audioCodec';
+import {
+    CIPHER_SUITES,
+    createHello,
+    decodeAudioFrame,
+    decodeMessage,
+    encodeAudioFrame,
+    encodeMessage,
+    FRAME_TYPE_SILENCE,
+    getHeaderAad,
+    isSupportedProtocol,
+    negotiateProtocol
+} from './wireFormat';
 import { io } from 'socket.io-client';
 
 // Socket server URL - Dynamic for local network access
@@ -36,10 +66,104 @@ const envStunUrls = import.meta.env.VITE_STUN_URLS ? import.meta.env.VITE_STUN_U
 
 const ICE_SERVERS = envStunUrls.map(url => ({ urls: url.trim() }));
 
-// Speaking detection thresholds
+// TURN credentials come from the server and expire - fetch new ones this far into their lifetime
+const TURN_REFRESH_FRACTION = 0.8;
+const TURN_RETRY_MS = 30000; // After a failed fetch
+
+// How long a dropped peer connection gets to recover through ICE restarts before it is torn down
+const PEER_RECONNECT_TIMEOUT_MS = Number(import.meta.env.VITE_PEER_RECONNECT_TIMEOUT_MS) || DEFAULT_RECONNECT_TIMEOUT_MS;
+
+// Audio goes over an unreliable, unordered channel - a late frame is worth less than no frame
+const AUDIO_CHANNEL_OPTIONS = { ordered: false, maxRetransmits: 0 };
+
+// A new peer whose data channel hasn't opened by then is reached through the server relay instead
+const RELAY_FALLBACK_MS = 10000;
+// A relayed peer we hear nothing from in this long is given up on
+const RELAY_RESPONSE_TIMEOUT_MS = 10000;
+
+// Speaking detection thresholds - SPEAKING_THRESHOLD (input RMS) is the default VAD threshold users can tune
 const SPEAKING_THRESHOLD = 0.01;
 const SPEAKING_HISTORY_SIZE = 5;
 
+// Voice activity gating - frames are only sent while speaking
+const VAD_HANGOVER_MS = 300; // Keep sending this long after the last voiced frame
+const VAD_PREROLL_MS = 90; // Audio from just before an onset sent with it, so the first syllable isn't clipped
+const MIN_VAD_THRESHOLD = 0.001;
+const MAX_VAD_THRESHOLD = 0.1;
+const COMFORT_NOISE_LEVEL = 0.0015; // RMS of the noise played while a peer is silent
+const COMFORT_NOISE_SECONDS = 2;
+const COMFORT_NOISE_RAMP_SECONDS = 0.05;
+
+// Session key rotation - keeps each AES-GCM key far below the random-IV usage limit
+const REKEY_INTERVAL_MS = 10 * 60 * 1000;
+const REKEY_PACKET_LIMIT = 50000;
+const REKEY_CHECK_INTERVAL_MS = 5000;
+const REKEY_TIMEOUT_MS = 10000; // Give up on a rekey whose key-share or ack was lost
+const KEY_OVERLAP_MS = 5000; // Keep accepting the previous key for late frames
+
+// Sender keys - one room audio key per participant, rotated when membership changes
+const SENDER_KEY_ROTATION_DELAY_MS = 200; // Coalesce several joins/leaves into one rotation
+
+const METRICS_FLUSH_MS = 1000;
+
+// Playout - jitter buffers are serviced on this timer, their stats published on the slower one
+const PLAYOUT_INTERVAL_MS = 10;
+const PLAYBACK_STATS_INTERVAL_MS = 1000;
+const MAX_CODEC_CONCEALED_FRAMES = 5; // Longer gaps are left to the jitter buffer's concealment
+
+// Call quality - RTCPeerConnection stats are sampled per peer on this timer
+const QUALITY_STATS_INTERVAL_MS = 2000;
+// Signal bars (0-4) lose one step at each threshold crossed
+const QUALITY_RTT_STEPS_MS = [150, 300, 600];
+const QUALITY_LOSS_STEPS_PERCENT = [2, 5, 10];
+
+// Sample rates - a peer's PCM16 audio is assumed to be at the default until its hello says otherwise
+const DEFAULT_PEER_SAMPLE_RATE = 48000;
+const MIN_SAMPLE_RATE = 8000;
+const MAX_SAMPLE_RATE = 192000;
+
+// Microphone/speaker choices are remembered per user under this localStorage prefix
+const AUDIO_DEVICES_STORAGE_PREFIX = 'audioDevices:';
+// Browser pseudo-devices that track the system default - "Default" in the picker covers them
+const PSEUDO_DEVICE_IDS = ['default', 'communications'];
+
+// Per-peer playback - volume 1 (100%) plays at PLAYBACK_GAIN, the boost peers have always had
+const PLAYBACK_GAIN = 2.0;
+const MAX_PEER_VOLUME = 2;
+const PEER_AUDIO_STORAGE_PREFIX = 'peerAudio:'; // Per-user volume/mute settings, keyed by the local user
+
+// Push-to-talk - frames keep flowing this long after release so word endings aren't clipped
+const PTT_RELEASE_TAIL_MS = 250;
+const DEFAULT_PTT_KEY = 'Space'; // KeyboardEvent.code
+const INPUT_MODE_STORAGE_PREFIX = 'inputMode:';
+
+// Loudness normalization - each peer's speech level is steered towards the target
+const NORMALIZE_TARGET_RMS = 0.05;
+const NORMALIZE_GATE_RMS = 0.005; // Quieter frames are silence and don't count
+const NORMALIZE_SMOOTHING = 0.05; // Weight of each voiced frame in the running level
+const NORMALIZE_MIN_GAIN = 0.25;
+const NORMALIZE_MAX_GAIN = 4;
+const NORMALIZE_RAMP_SECONDS = 0.3;
+
+/**
+ * Root mean square level of a frame
+ */
+const getRms = (samples) => {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+    return samples.length > 0 ? Math.sqrt(sum / samples.length) : 0;
+};
+
+/**
+ * Voice activity gate state: in a talkspurt or not, its hangover, and the pre-roll held back
+ */
+const createVadState = () => ({ active: false, ended: false, silentMs: 0, preroll: [], prerollMs: 0 });
+
+/**
+ * KeyboardEvent.code -> a label for the UI ('KeyV' -> 'V', 'Digit1' -> '1')
+ */
+const formatKeyCode = (code) => code.replace(/^Key|^Digit/, '').replace(/([a-z])([A-Z])/g, '$1 $2');
+
 class VoiceEngine {
     constructor() {
         this.socket = null;
@@ -48,9 +172,45 @@ class VoiceEngine {
         this.peerConnections = new Map();
         this.dataChannels = new Map();
         this.signalingManagers = new Map(); // New: Track signaling managers per peer
-        this.peerSessionKeys = new Map(); // Stores AES-GCM keys for each peer
+        // STUN plus the current TURN credentials. Relay-only once the server asks for it, never before -
+        // without TURN servers a relay policy could not connect at all
+        this.iceConfig = { iceServers: ICE_SERVERS, iceTransportPolicy: 'all' };
+        this.turnRefreshTimer = null;
+        this.relayedPeers = new Set(); // Peers whose traffic goes through the server (RelayChannel)
+        this.relayFallbackTimers = new Map(); // peerId -> timer for a data channel (or relay) that never answered
+        this.peerSessionKeys = new Map(); // peerId -> { current, next, previous } AES-GCM key sets
+        this.pendingHandshakes = new Map(); // peerId -> { keyId, startedAt, promise } for our ephemeral key pair
+        this.rekeyTimer = null;
+        this.senderKey = null; // Our room audio key { keyId, key, raw, establishedAt, packetsSent, sequences }
+        this.senderKeyAcks = new Map(); // peerId -> highest sender keyId the peer acked
+        this.senderKeyPendingPeers = new Set(); // Peers that joined after our current room key was used - they only get the next one
+        this.peerSenderKeys = new Map(); // peerId -> { current, previous } room audio keys received from peers
+        this.senderKeyRotationTimer = null;
+        this.frameDropStats = new Map(); // peerId -> { replayed, tooOld, forged, invalid }
+        this.metricsFlushTimer = null;
         this.secureChannels = new Set(); // Track peers with ACKed keys
-        this.audioNodes = new Map();
+        this.peerProtocols = new Map(); // peerId -> { version, suite } agreed in the hello exchange
+        this.incompatiblePeers = new Set(); // Peers whose client can't speak any version we support
+        this.localCodecs = [CODEC_PCM16]; // Codecs we can decode, set on join (Opus needs WebCodecs)
+        this.peerCodecs = new Map(); // peerId -> codec ID we send them
+        this.peerSampleRates = new Map(); // peerId -> capture rate from the peer's hello
+        this.peerPlaybackRates = new Map(); // peerId -> rate of the last frame received, before resampling
+        this.resamplerContext = null; // AudioContext the resampler worklet was loaded into
+        this.resamplerLoad = null; // Promise<Resampler | null>
+        this.audioBitrate = DEFAULT_OPUS_BITRATE; // Opus bitrate for the current room
+        this.opusEncoder = null;
+        this.opusDecoders = new Map(); // peerId -> OpusDecoder
+        this.jitterBuffers = new Map(); // peerId -> JitterBuffer
+        this.opusLastFrames = new Map(); // peerId -> { streamId, seq } of the newest Opus packet decoded
+        this.opusPlcUnsupported = false; // Set if the browser's decoder rejects PLC packets
+        this.playoutTimer = null;
+        this.playbackStatsTimer = null;
+        this.qualityStatsTimer = null;
+        this.qualitySamples = new Map(); // peerId -> { timestamp, bytesSent, bytesReceived } from the last sample
+        this.audioNodes = new Map(); // peerId -> { volume, normalizer, level } playback graph
+        this.masterGain = null; // All peers -> masterGain (deafen) -> limiter -> destination
+        this.isDeafened = false;
+        this.peerAudioPrefs = { normalize: false, users: {} }; // users: userId -> { volume, muted }
         this.currentRoom = null;
         this.userId = null;
         this.username = null;
@@ -60,6 +220,20 @@ class VoiceEngine {
         // Audio processing
         this.processor = null;
         this.analyser = null;
+        this.micSource = null; // MediaStreamAudioSourceNode feeding the analyser and processor
+        this.isMuted = false;
+        this.inputPrefs = { pushToTalk: false, pttKey: DEFAULT_PTT_KEY, vadEnabled: true, vadThreshold: SPEAKING_THRESHOLD };
+        this.vadState = createVadState();
+        this.inputLevel = 0; // Current mic RMS, for the settings meter
+        this.comfortNoiseBuffer = null;
+        this.pttOpen = false; // Key held, or still in its release tail
+        this.pttReleaseTimer = null;
+
+        // Audio devices - null IDs mean the system default
+        this.audioDevicePrefs = { inputId: null, outputId: null };
+        this.activeInputId = null; // Microphone actually in use
+        this.deviceTask = Promise.resolve(); // Device switches run one at a time
+        this.handleDeviceChange = this.handleDeviceChange.bind(this);
         this.inputSampleRate = 48000;
         this.bufferSize = 2048;
 
@@ -78,9 +252,20 @@ class VoiceEngine {
         this.onSpeakingChange = null;
         this.onSpeakingChange = null;
         this.peerMuteState = new Map();
+        this.peerIdentities = new Map(); // socketId -> { userId, username, publicKey, deviceId }
+        this.audioBlockedPeers = new Set(); // Identity check pending or key change unconfirmed
         this.onPeerMuteChange = null;
+        this.onPeerVerificationChange = null;
+        this.onPeerKeyChanged = null;
         this.onPeerSpeakingChange = null;
+        this.onPeerConnectionStateChange = null;
         this.onSecurityEvent = null;
+        this.onSecurityMetrics = null;
+        this.onPlaybackStats = null;
+        this.onQualityStats = null;
+        this.onAudioDevicesChange = null;
+        this.onTransmitChange = null;
+        this.onInputSettingsChange = null;
         this.onIncomingCall = null;
         this.onError = null;
     }
@@ -119,6 +304,9 @@ class VoiceEngine {
 
         this.userId = userId;
         this.username = username;
+        this.audioDevicePrefs = this.loadAudioDevicePrefs();
+        this.peerAudioPrefs = this.loadPeerAudioPrefs();
+        this.inputPrefs = this.loadInputPrefs();
 
         try {
             // Initialize Web Audio API context
@@ -127,10 +315,13 @@ class VoiceEngine {
                     sampleRate: this.inputSampleRate
                 });
             }
+            await this.applyOutputDevice();
+            navigator.mediaDevices?.addEventListener?.('devicechange', this.handleDeviceChange);
 
             // Fix 3: Create socket ONLY ONCE with autoConnect: false
+            // deviceId tells the server which of the account's keys this socket presents
             this.socket = io(SOCKET_URL, {
-                auth: { token },
+                auth: { token, deviceId: await cryptoService.getDeviceId() },
                 transports: ['websocket'], // Enforce WebSocket only
                 secure: false, // Ensure we use WS not WSS
                 upgrade: false, // Disable upgrade from polling
@@ -148,8 +339,7 @@ class VoiceEngine {
                 console.log(`[Socket] Connected: ${this.socket.id}`);
                 this.isInitialized = true;
                 this.emitSecurityEvent('connection', 'Connected to signaling server');
-                // Authenticate after connection if needed, though auth is sent in handshake
-                this.socket.emit('authenticate', { userId, username });
+                // Identity is verified by the server from the handshake token
             });
 
             this.socket.on("disconnect", (reason) => {
@@ -196,6 +386,15 @@ class VoiceEngine {
 
         this.socket.on('connect_error', (error) => {
             console.error('Socket connection error:', error);
+            // Handshake rejected by the server's JWT or device check
+            if (error?.data?.type === 'device-revoked') {
+                this.emitError('device-revoked', error.data.message || error.message);
+                return;
+            }
+            if (error?.data?.type === 'auth-failed') {
+                this.emitError('auth-failed', error.data.message || error.message);
+                return;
+            }
             this.emitError('connection-lost', 'Failed to connect to server');
         });
 
@@ -208,6 +407,25 @@ class VoiceEngine {
             this.emitError('connection-lost', 'Failed to reconnect after multiple attempts');
         });
 
+        // Server rejected a join or relay (room authorization)
+        this.socket.on('signaling-error', async (data) => {
+            const { event, code, message } = data || {};
+            console.warn(`[Signaling] ${event} rejected: ${code}`);
+            this.emitSecurityEvent('error', `Signaling rejected (${code}): ${message}`);
+
+            if (event === 'join-room' && this.currentRoom) {
+                // Roll back the optimistic join - the server ignores the leave for a room we never entered
+                await this.leaveRoom();
+                this.emitError('join-failed', message || 'Not allowed to join this room');
+            }
+        });
+
+        // This device was revoked from another session - the server drops the socket next
+        this.socket.on('device-revoked', () => {
+            this.emitSecurityEvent('error', 'This device was revoked from another session');
+            this.emitError('device-revoked', 'This device was revoked from another session');
+        });
+
         this.socket.on('incoming-call', (data) => {
             console.log('[VoiceEngine] Incoming call:', data);
             if (this.onIncomingCall) this.onIncomingCall(data);
@@ -216,16 +434,18 @@ class VoiceEngine {
         // Handle user joining the room
         this.socket.on('user-joined', async (data) => {
             try {
-                const { userId, username, socketId, publicKey } = data || {};
+                const { userId, username, socketId, publicKey, deviceId } = data || {};
                 if (!socketId) {
                     console.warn('user-joined event missing socketId');
                     return;
                 }
                 console.log(`User joined: ${username || 'Unknown'} (${socketId})`);
 
-                await this.createPeerConnection(socketId, userId, username, publicKey, false);
+                await this.createPeerConnection(socketId, userId, username, publicKey, false, deviceId);
 
                 this.onParticipantJoined?.({ id: userId, username: username || 'Unknown', socketId });
+                // mute-status isn't stored server-side - let the newcomer know we're silent
+                if (!this.canTransmit()) this.emitMuteStatus();
             } catch (error) {
                 console.error('Error handling user-joined:', error);
             }
@@ -264,8 +484,11 @@ class VoiceEngine {
                     // No, "Perfect Negotiation" defines polite/impolite by ID comparison usually, or explicit role.
                     // Here I will assume we should create connection if missing.
                     const { fromUser } = data;
-                    await this.createPeerConnection(from, fromUser?.id, fromUser?.username, fromUser?.publicKey, false);
+                    await this.createPeerConnection(from, fromUser?.id, fromUser?.username, fromUser?.publicKey, false, fromUser?.deviceId);
                     manager = this.signalingManagers.get(from);
+                } else if (data.fromUser?.publicKey) {
+                    // A renegotiation may carry a different key than the one we checked
+                    await this.updatePeerPublicKey(from, data.fromUser.publicKey);
                 }
 
                 if (manager) {
@@ -289,6 +512,20 @@ class VoiceEngine {
             }
         });
 
+        // Data channel traffic relayed by the server for a peer without a peer-to-peer path
+        this.socket.on('relay-frame', ({ from, data } = {}) => {
+            if (!from || !this.peerConnections.has(from)) return;
+            if (!this.relayedPeers.has(from)) {
+                // Our peer-to-peer channel still works - the relay has no business carrying this peer
+                if (this.dataChannels.get(from)?.readyState === 'open') return;
+                // The peer gave up on peer-to-peer first - follow it
+                this.useRelay(from, 'requested by peer');
+            }
+
+            const channel = this.dataChannels.get(from);
+            if (channel instanceof RelayChannel) channel.receive(data);
+        });
+
         // Handle incoming ICE candidate
         this.socket.on('ice-candidate', async (data) => {
             try {
@@ -309,6 +546,12 @@ class VoiceEngine {
             this.onPeerMuteChange?.(socketId, isMuted);
         });
 
+        // Room settings (sent on join and whenever the creator changes them)
+        this.socket.on('room-settings', ({ roomId, audioBitrate } = {}) => {
+            if (roomId !== this.currentRoom) return;
+            this.setAudioBitrate(audioBitrate);
+        });
+
         // Handle room participants list (on join)
         this.socket.on('room-participants', async (data) => {
             try {
@@ -325,7 +568,8 @@ class VoiceEngine {
                             participant.id,
                             participant.username || 'Unknown',
                             participant.publicKey,
-                            true
+                            true,
+                            participant.deviceId
                         );
                     }
                 }
@@ -373,6 +617,12 @@ class VoiceEngine {
                 });
             }
 
+            this.localCodecs = await getSupportedCodecs();
+            console.log(`[Codec] Supported: ${this.localCodecs.map(codec => CODEC_NAMES[codec]).join(', ')}`);
+
+            // Peer connections are created as soon as the join lands - credentials must be ready first
+            await this.refreshIceConfig();
+
             // Start audio capture
             await this.startAudioCapture();
             this.emitSecurityEvent('rsa-ready', 'RSA asymmetric encryption ready');
@@ -380,22 +630,35 @@ class VoiceEngine {
             // Notify server (socket is guaranteed to be connected now)
             this.socket.emit('join-room', {
                 roomId,
-                userId: this.userId,
-                username: this.username,
                 publicKey: userPublicKey
             });
 
             this.isConnected = true;
             this.onConnectionStateChange?.(true);
+            if (!this.canTransmit()) this.emitMuteStatus();
+
+            clearInterval(this.rekeyTimer);
+            this.rekeyTimer = setInterval(() => this.checkRekeys(), REKEY_CHECK_INTERVAL_MS);
+            clearInterval(this.playoutTimer);
+            this.playoutTimer = setInterval(() => this.servicePlayout(), PLAYOUT_INTERVAL_MS);
+            clearInterval(this.playbackStatsTimer);
+            this.playbackStatsTimer = setInterval(() => {
+                this.onPlaybackStats?.(this.getPlaybackStats());
+            }, PLAYBACK_STATS_INTERVAL_MS);
+            clearInterval(this.qualityStatsTimer);
+            this.qualityStatsTimer = setInterval(() => this.publishQualityStats(), QUALITY_STATS_INTERVAL_MS);
+            await this.rotateSenderKey('joined room');
 
             this.emitSecurityEvent('handshake-complete', 'Joined voice channel securely');
             console.log(`Joined room: ${roomId}`);
         } catch (error) {
             this.currentRoom = null;
+            clearTimeout(this.turnRefreshTimer);
+            this.turnRefreshTimer = null;
             if (error.name === 'NotAllowedError' || error.name === 'PermissionDeniedError') {
                 this.emitError('microphone-denied', 'Microphone access was denied');
             } else {
-                this.emitError('join-failed', error.message);
+                this.emitError('join-error', error.message);
             }
             throw error;
         }
@@ -409,6 +672,21 @@ class VoiceEngine {
         if (!this.currentRoom) return;
 
         this.stopAudioCapture();
+        this.isMuted = false; // The next call starts unmuted
+        this.setDeafened(false);
+        clearTimeout(this.pttReleaseTimer);
+        this.pttReleaseTimer = null;
+        this.pttOpen = false;
+        clearInterval(this.rekeyTimer);
+        this.rekeyTimer = null;
+        clearInterval(this.playoutTimer);
+        this.playoutTimer = null;
+        clearInterval(this.playbackStatsTimer);
+        this.playbackStatsTimer = null;
+        clearInterval(this.qualityStatsTimer);
+        this.qualityStatsTimer = null;
+        clearTimeout(this.turnRefreshTimer);
+        this.turnRefreshTimer = null;
 
         for (const [peerId] of this.peerConnections) {
             this.closePeerConnection(peerId);
@@ -416,14 +694,35 @@ class VoiceEngine {
         this.signalingManagers.clear();
 
         this.socket.emit('leave-room', {
-            roomId: this.currentRoom,
-            userId: this.userId,
-            username: this.username
+            roomId: this.currentRoom
         });
 
         this.currentRoom = null;
         this.isConnected = false;
         this.peerSpeakingState.clear();
+        this.peerIdentities.clear();
+        this.audioBlockedPeers.clear();
+        this.peerProtocols.clear();
+        this.incompatiblePeers.clear();
+        this.peerCodecs.clear();
+        this.peerSampleRates.clear();
+        this.peerPlaybackRates.clear();
+        this.audioBitrate = DEFAULT_OPUS_BITRATE;
+        clearTimeout(this.senderKeyRotationTimer);
+        this.senderKeyRotationTimer = null;
+        this.senderKey = null;
+        this.senderKeyAcks.clear();
+        this.senderKeyPendingPeers.clear();
+        this.peerSenderKeys.clear();
+        clearTimeout(this.metricsFlushTimer);
+        this.metricsFlushTimer = null;
+        this.frameDropStats.clear();
+        this.onSecurityMetrics?.(this.getSecurityMetrics());
+        this.jitterBuffers.clear();
+        this.opusLastFrames.clear();
+        this.onPlaybackStats?.(this.getPlaybackStats());
+        this.qualitySamples.clear();
+        this.onQualityStats?.({ peers: [] });
 
         this.onConnectionStateChange?.(false);
         this.onConnectionStateChange?.(false);
@@ -433,12 +732,12 @@ class VoiceEngine {
     /**
      * Call a user to join the current room
      */
-    callUser(targetUserId, roomId, roomName) {
+    callUser(targetUserId, roomId) {
         if (!this.socket || !this.isConnected) {
             console.warn('Cannot call user: not connected');
             return;
         }
-        this.socket.emit('call-user', { targetUserId, roomId, roomName });
+        this.socket.emit('call-user', { targetUserId, roomId });
     }
 
     /**
@@ -466,29 +765,26 @@ class VoiceEngine {
                 }
             }
 
-            this.localStream = await navigator.mediaDevices.getUserMedia({
-                audio: {
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    autoGainControl: true,
-                    sampleRate: this.inputSampleRate
-                },
-                video: false
-            });
+            this.localStream = await this.openMicrophone(this.audioDevicePrefs.inputId);
 
             // Resume audioContext if needed
             if (this.audioContext && this.audioContext.state === 'suspended') {
                 await this.audioContext.resume();
             }
 
-            const source = this.audioContext.createMediaStreamSource(this.localStream);
+            // Some devices force their own rate - peers are told the real one in our hello
+            if (this.audioContext.sampleRate !== this.inputSampleRate) {
+                console.warn(`[Resample] Capturing at ${this.audioContext.sampleRate} Hz (asked for ${this.inputSampleRate} Hz)`);
+            }
+
+            this.micSource = this.audioContext.createMediaStreamSource(this.localStream);
 
             // Create analyser for speaking detection
             this.analyser = this.audioContext.createAnalyser();
             this.analyser.fftSize = 256;
-            source.connect(this.analyser);
+            this.micSource.connect(this.analyser);
 
-            await this.setupAudioProcessor(source);
+            await this.setupAudioProcessor(this.micSource);
 
             // Start speaking detection
             this.startSpeakingDetection();
@@ -504,26 +800,24 @@ class VoiceEngine {
      * Start speaking detection loop
      */
     startSpeakingDetection() {
-        const dataArray = new Uint8Array(this.analyser.frequencyBinCount);
+        const dataArray = new Float32Array(this.analyser.fftSize);
 
         const detectSpeaking = () => {
             if (!this.analyser || !this.isConnected) return;
 
-            this.analyser.getByteFrequencyData(dataArray);
-
-            // Calculate average volume
-            const average = dataArray.reduce((a, b) => a + b, 0) / dataArray.length;
-            const normalizedVolume = average / 255;
+            // Same measure and threshold as the VAD that gates sending
+            this.analyser.getFloatTimeDomainData(dataArray);
+            this.inputLevel = getRms(dataArray);
 
             // Update speaking history
-            this.speakingHistory.push(normalizedVolume > SPEAKING_THRESHOLD);
+            this.speakingHistory.push(this.inputLevel > this.inputPrefs.vadThreshold);
             if (this.speakingHistory.length > SPEAKING_HISTORY_SIZE) {
                 this.speakingHistory.shift();
             }
 
             // Determine if speaking based on history (debouncing)
             const speakingCount = this.speakingHistory.filter(Boolean).length;
-            const newSpeakingState = speakingCount >= SPEAKING_HISTORY_SIZE / 2;
+            const newSpeakingState = this.canTransmit() && speakingCount >= SPEAKING_HISTORY_SIZE / 2;
 
             if (newSpeakingState !== this.isSpeaking) {
                 this.isSpeaking = newSpeakingState;
@@ -554,9 +848,18 @@ class VoiceEngine {
                     this.debugLogTime = Date.now();
                 }
 
-                // Convert to ArrayBuffer for encryption service if needed, or pass TypedArray
-                // The previous code passed new Float32Array(input).buffer
-                await this.broadcastEncryptedAudio(audioData.buffer);
+                // Push-to-talk released (or muted): send nothing at all
+                if (!this.canTransmit()) {
+                    if (this.vadState.active) await this.endTalkspurt();
+                    return;
+                }
+                for (const frame of this.gateVoiceActivity(audioData)) {
+                    await this.encodeAudio(frame);
+                }
+                if (this.vadState.ended) {
+                    this.vadState.ended = false;
+                    await this.endTalkspurt();
+                }
             };
 
             this.processor.onprocessorerror = (err) => {
@@ -577,9 +880,136 @@ class VoiceEngine {
 
 
     /**
-     * Broadcast encrypted audio to all connected peers
+     * Voice activity gate: the frames to send for one captured frame
+     * An onset releases the pre-roll with it; after the hangover runs out the
+     * talkspurt ends (vadState.ended) and frames are held back as pre-roll again
+     */
+    gateVoiceActivity(samples) {
+        const state = this.vadState;
+        // Holding push-to-talk is explicit - no VAD on top of it
+        if (!this.inputPrefs.vadEnabled || this.inputPrefs.pushToTalk) {
+            state.active = true;
+            return [samples];
+        }
+
+        const getDurationMs = (frame) => frame.length / this.audioContext.sampleRate * 1000;
+        const durationMs = getDurationMs(samples);
+        const voiced = getRms(samples) >= this.inputPrefs.vadThreshold;
+
+        if (voiced) {
+            const frames = state.active ? [samples] : [...state.preroll, samples];
+            Object.assign(state, { active: true, silentMs: 0, preroll: [], prerollMs: 0 });
+            return frames;
+        }
+
+        if (state.active) {
+            state.silentMs += durationMs;
+            if (state.silentMs >= VAD_HANGOVER_MS) state.ended = true;
+            return [samples];
+        }
+
+        state.preroll.push(samples);
+        state.prerollMs += durationMs;
+        // Keep just enough whole frames to cover the pre-roll
+        while (state.preroll.length > 1 && state.prerollMs - getDurationMs(state.preroll[0]) >= VAD_PREROLL_MS) {
+            state.prerollMs -= getDurationMs(state.preroll.shift());
+        }
+        return [];
+    }
+
+    /**
+     * Stop sending: flush the encoder's partial frame, then tell peers the gap that follows is silence
+     */
+    async endTalkspurt() {
+        this.vadState = createVadState();
+        await this.opusEncoder?.flush();
+        await this.broadcastSilence();
+    }
+
+    /**
+     * Silence marker - lets receivers go idle (with comfort noise) instead of treating the gap as loss.
+     * Sent as an authenticated frame naming the last sequence of each codec stream, so whoever carries
+     * it (the server, on a relayed path) can't fake a pause
+     */
+    async broadcastSilence() {
+        const senderKey = this.senderKey;
+        if (!senderKey) return;
+
+        const markers = new Map();
+        try {
+            for (const [peerId, dataChannel] of this.dataChannels) {
+                const protocol = this.peerProtocols.get(peerId);
+                if (!protocol || !this.secureChannels.has(peerId) || this.audioBlockedPeers.has(peerId)) continue;
+
+                const codec = this.getSendCodec(peerId);
+                const lastSeq = senderKey.sequences[codec];
+                if (lastSeq === undefined) continue; // Nothing sent in this stream yet
+
+                const markerKey = `${protocol.version}.${protocol.suite}:${codec}`;
+                if (!markers.has(markerKey)) {
+                    const seq = lastSeq - 1;
+                    const aad = cryptoService.concatBytes(
+                        getHeaderAad(protocol),
+                        cryptoService.getSilenceMarkerAad(senderKey.keyId, seq, codec)
+                    );
+                    const encrypted = await cryptoService.encryptAudioAES(new Uint8Array(0), senderKey.key, aad);
+                    markers.set(markerKey, encodeAudioFrame(protocol, codec, senderKey.keyId, seq, encrypted, FRAME_TYPE_SILENCE));
+                }
+                if (dataChannel.readyState === 'open') dataChannel.send(markers.get(markerKey));
+            }
+        } catch (error) {
+            console.error('Error sending silence marker:', error);
+        }
+    }
+
+    /**
+     * Compress a captured frame with each codec our peers use, then encrypt and send it
+     * Opus packets come out of the encoder asynchronously and are sent from its callback
+     */
+    async encodeAudio(samples) {
+        const codecs = new Set();
+        for (const peerId of this.secureChannels) {
+            codecs.add(this.getSendCodec(peerId));
+        }
+
+        if (codecs.has(CODEC_OPUS)) {
+            if (!this.opusEncoder) {
+                this.opusEncoder = new OpusEncoder(this.audioBitrate, (packet) => {
+                    this.broadcastEncryptedAudio(CODEC_OPUS, packet);
+                }, this.audioContext.sampleRate);
+            }
+            this.opusEncoder.encode(samples);
+        }
+        if (codecs.has(CODEC_PCM16)) {
+            await this.broadcastEncryptedAudio(CODEC_PCM16, encodePcm16(samples));
+        }
+    }
+
+    /**
+     * Codec we send a peer: the negotiated one, or PCM16 (which every client decodes) if our Opus encoder broke
+     */
+    getSendCodec(peerId) {
+        const codec = this.peerCodecs.get(peerId) ?? CODEC_PCM16;
+        return codec === CODEC_OPUS && this.opusEncoder?.failed ? CODEC_PCM16 : codec;
+    }
+
+    /**
+     * Apply the room's Opus bitrate - takes effect on the running encoder
+     */
+    setAudioBitrate(bitrate) {
+        this.audioBitrate = clampBitrate(bitrate ?? DEFAULT_OPUS_BITRATE);
+        this.opusEncoder?.setBitrate(this.audioBitrate);
+        console.log(`[Codec] Opus bitrate ${this.audioBitrate / 1000} kbit/s`);
+    }
+
+    /**
+     * Broadcast an encoded audio frame to every connected peer that uses codec
      */
-    async broadcastEncryptedAudio(audioData) {
+    async broadcastEncryptedAudio(codec, audioData) {
+        const senderKey = this.senderKey;
+        if (!senderKey) return;
+
+        const recipients = [];
         for (const [peerId, dataChannel] of this.dataChannels) {
             // Check if secure channel is established (ACK received)
             if (!this.secureChannels.has(peerId)) {
@@ -590,45 +1020,55 @@ class VoiceEngine {
                 continue;
             }
 
+            // Identity check pending or changed key not yet confirmed
+            if (this.audioBlockedPeers.has(peerId)) continue;
+            if (this.getSendCodec(peerId) !== codec) continue;
+
             // Check if channel is open and not congested
             if (dataChannel.readyState === 'open' && dataChannel.bufferedAmount < 16384) {
-                const sessionKey = this.peerSessionKeys.get(peerId);
-
-                if (sessionKey) {
-                    try {
-                        // Encrypt audio using AES-GCM session key (FAST)
-                        const encryptedBuffer = await cryptoService.encryptAudioAES(audioData, sessionKey);
-
-                        // Extract IV and Data (AES-GCM puts IV at start)
-                        // Actually encryptAudioAES returns pre-pended IV.
-                        // We will send specific fields as requested by user.
-                        // User requested: type="audio", iv=..., data=...
-                        // My encryptAudioAES returns [IV (12) + Ciphertext].
-
-                        const fullBuffer = new Uint8Array(encryptedBuffer);
-                        const iv = fullBuffer.slice(0, 12);
-                        const ciphertext = fullBuffer.slice(12);
-
-                        const message = {
-                            type: 'audio',
-                            iv: Array.from(iv),
-                            data: Array.from(ciphertext)
-                        };
-
-                        dataChannel.send(JSON.stringify(message));
-
-                        // Debug: Log when actually sending
-                        if (!this.debugSendTime || Date.now() - this.debugSendTime > 3000) {
-                            console.log(`[AudioDebug] AES packet to ${peerId}, size: ${fullBuffer.byteLength}`);
-                            this.debugSendTime = Date.now();
-                        }
-                    } catch (error) {
-                        if (!this.lastEncryptError || Date.now() - this.lastEncryptError > 5000) {
-                            console.error('Error encrypting/sending audio:', error);
-                            this.lastEncryptError = Date.now();
-                        }
-                    }
+                const protocol = this.peerProtocols.get(peerId);
+                if (protocol) recipients.push({ dataChannel, protocol });
+            }
+        }
+        if (recipients.length === 0) return;
+
+        try {
+            // Each codec stream numbers its frames from 0 under every key, so a receiver
+            // (which gets one codec) sees gap-free sequences it can reorder by
+            const seq = senderKey.sequences[codec] ?? 0;
+            senderKey.sequences[codec] = seq + 1;
+            senderKey.packetsSent++;
+
+            // Encrypt with our room audio key - every peer holds it (sender keys).
+            // The header is authenticated, so this runs once per protocol in use (normally one)
+            const messages = new Map();
+            for (const { dataChannel, protocol } of recipients) {
+                const protocolKey = `${protocol.version}.${protocol.suite}`;
+                if (!messages.has(protocolKey)) {
+                    const aad = cryptoService.concatBytes(
+                        getHeaderAad(protocol),
+                        cryptoService.getAudioFrameAad(senderKey.keyId, seq, codec)
+                    );
+                    // encryptAudioAES returns [IV (12) + Ciphertext], sent as-is behind the binary header
+                    const encrypted = await cryptoService.encryptAudioAES(audioData, senderKey.key, aad);
+                    messages.set(protocolKey, encodeAudioFrame(protocol, codec, senderKey.keyId, seq, encrypted));
                 }
+                if (dataChannel.readyState === 'open') dataChannel.send(messages.get(protocolKey));
+            }
+
+            if (senderKey.packetsSent >= REKEY_PACKET_LIMIT && this.senderKey === senderKey) {
+                this.rotateSenderKey('packet limit reached');
+            }
+
+            // Debug: Log when actually sending
+            if (!this.debugSendTime || Date.now() - this.debugSendTime > 3000) {
+                console.log(`[AudioDebug] ${CODEC_NAMES[codec]} packet to ${recipients.length} peer(s), size: ${messages.values().next().value.byteLength}`);
+                this.debugSendTime = Date.now();
+            }
+        } catch (error) {
+            if (!this.lastEncryptError || Date.now() - this.lastEncryptError > 5000) {
+                console.error('Error encrypting/sending audio:', error);
+                this.lastEncryptError = Date.now();
             }
         }
     }
@@ -638,15 +1078,24 @@ class VoiceEngine {
      */
     stopAudioCapture() {
         if (this.localStream) {
-            this.localStream.getTracks().forEach(track => track.stop());
+            this.localStream.getTracks().forEach(track => {
+                track.onended = null;
+                track.stop();
+            });
             this.localStream = null;
         }
+        this.micSource?.disconnect();
+        this.micSource = null;
+        this.activeInputId = null;
 
         if (this.processor) {
             this.processor.disconnect();
             this.processor = null;
         }
 
+        this.opusEncoder?.close();
+        this.opusEncoder = null;
+
         if (this.analyser) {
             this.analyser.disconnect();
             this.analyser = null;
@@ -654,6 +1103,8 @@ class VoiceEngine {
 
         this.speakingHistory = [];
         this.isSpeaking = false;
+        this.vadState = createVadState();
+        this.inputLevel = 0;
 
         // Don't clear keys here, as we might rejoin or need them for cleanup
         // Keys are cleared in leaveRoom/disconnect/closePeerConnection
@@ -661,42 +1112,270 @@ class VoiceEngine {
         console.log('Audio capture stopped');
     }
 
+    /**
+     * getUserMedia for a microphone - the default one if deviceId is null or the device is gone
+     */
+    async openMicrophone(deviceId) {
+        const constraints = {
+            echoCancellation: true,
+            noiseSuppression: true,
+            autoGainControl: true,
+            sampleRate: this.inputSampleRate
+        };
 
+        let stream = null;
+        if (deviceId) {
+            try {
+                stream = await navigator.mediaDevices.getUserMedia({
+                    audio: { ...constraints, deviceId: { exact: deviceId } },
+                    video: false
+                });
+            } catch (error) {
+                if (error.name !== 'OverconstrainedError' && error.name !== 'NotFoundError') throw error;
+                console.warn('[Devices] Chosen microphone is unavailable - using the default');
+            }
+        }
+        stream ??= await navigator.mediaDevices.getUserMedia({ audio: constraints, video: false });
+
+        const track = stream.getAudioTracks()[0];
+        if (track) {
+            track.enabled = !this.isMuted;
+            // Unplugged mid-call - fall back rather than go silent
+            track.onended = () => {
+                console.warn(`[Devices] Microphone "${track.label}" went away`);
+                this.queueDeviceTask(() => this.switchMicrophone(null));
+            };
+        }
+        this.activeInputId = track?.getSettings().deviceId ?? null;
+        return stream;
+    }
 
     /**
-     * Setup specific listeners for session keys
+     * Swap the microphone under a running capture. Audio goes over the
+     * DataChannel, so peers just keep receiving frames - nothing is renegotiated
      */
-    setupSessionKeyListeners() {
-        this.socket.on('session-key', async (data) => {
-            try {
-                const { encryptedSessionKey, from } = data || {};
-                if (!encryptedSessionKey || !from) return;
+    async switchMicrophone(deviceId) {
+        if (!this.localStream || !this.audioContext) return;
+
+        const stream = await this.openMicrophone(deviceId);
+        if (!this.localStream) {
+            // Capture stopped while the new device was opening
+            stream.getTracks().forEach(track => track.stop());
+            return;
+        }
 
-                console.log(`[HybridCrypto] Received encrypted session key from ${from}`);
+        const source = this.audioContext.createMediaStreamSource(stream);
+        if (this.analyser) source.connect(this.analyser);
+        if (this.processor) source.connect(this.processor);
+        this.micSource?.disconnect();
+        this.localStream.getTracks().forEach(track => {
+            track.onended = null;
+            track.stop();
+        });
 
-                // Decrypt session key using our private RSA key
-                const sessionKey = await cryptoService.decryptSessionKey(encryptedSessionKey);
-                this.peerSessionKeys.set(from, sessionKey);
+        this.micSource = source;
+        this.localStream = stream;
+        console.log(`[Devices] Microphone: ${stream.getAudioTracks()[0]?.label || 'default'}`);
+    }
 
-                console.log(`[HybridCrypto] AES session key established with ${from}`);
-                this.emitSecurityEvent('key-exchange', `Secure AES session established with peer`);
-            } catch (error) {
-                console.error('[HybridCrypto] Failed to establish session key:', error);
-                this.emitError('security-error', 'Failed to establish secure session');
+    /**
+     * Route playback to the chosen speaker with AudioContext.setSinkId
+     * Falls back to the default output if the device is gone
+     */
+    async applyOutputDevice() {
+        if (!this.audioContext || !this.canSelectOutput()) return;
+
+        const sinkId = this.audioDevicePrefs.outputId || '';
+        if (this.audioContext.sinkId === sinkId) return;
+        try {
+            await this.audioContext.setSinkId(sinkId);
+            console.log(`[Devices] Output: ${sinkId || 'default'}`);
+        } catch (error) {
+            console.warn('[Devices] Could not switch output device:', error);
+            if (sinkId && this.audioContext.sinkId !== '') {
+                await this.audioContext.setSinkId('').catch(() => {});
+            }
+        }
+    }
+
+    canSelectOutput() {
+        return typeof AudioContext !== 'undefined' && 'setSinkId' in AudioContext.prototype;
+    }
+
+    /**
+     * Microphones and speakers for the settings picker, plus the current choices
+     * Labels are empty until microphone permission is granted
+     */
+    async listAudioDevices() {
+        const devices = navigator.mediaDevices?.enumerateDevices
+            ? await navigator.mediaDevices.enumerateDevices()
+            : [];
+        const describe = (kind, fallback) => devices
+            .filter(device => device.kind === kind && device.deviceId && !PSEUDO_DEVICE_IDS.includes(device.deviceId))
+            .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `${fallback} ${i + 1}` }));
+
+        return {
+            inputs: describe('audioinput', 'Microphone'),
+            outputs: describe('audiooutput', 'Speaker'),
+            inputId: this.audioDevicePrefs.inputId,
+            outputId: this.audioDevicePrefs.outputId,
+            activeInputId: this.activeInputId,
+            canSelectOutput: this.canSelectOutput()
+        };
+    }
+
+    /**
+     * Choose a microphone (null = default); switches immediately if in a call
+     */
+    async setInputDevice(deviceId) {
+        this.saveAudioDevicePrefs({ inputId: deviceId || null });
+        const error = await this.queueDeviceTask(() => this.switchMicrophone(this.audioDevicePrefs.inputId));
+        if (error) throw error;
+        return this.listAudioDevices();
+    }
+
+    /**
+     * Choose a speaker (null = default)
+     */
+    async setOutputDevice(deviceId) {
+        this.saveAudioDevicePrefs({ outputId: deviceId || null });
+        const error = await this.queueDeviceTask(() => this.applyOutputDevice());
+        if (error) throw error;
+        return this.listAudioDevices();
+    }
+
+    /**
+     * A headset was plugged in or removed: use the saved device when it is
+     * present and the system default otherwise
+     */
+    async handleDeviceChange() {
+        await this.queueDeviceTask(async () => {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            const inputs = devices.filter(device => device.kind === 'audioinput');
+            const outputs = devices.filter(device => device.kind === 'audiooutput');
+
+            const track = this.localStream?.getAudioTracks()[0];
+            if (track) {
+                const preferred = this.audioDevicePrefs.inputId;
+                const wanted = preferred && inputs.some(device => device.deviceId === preferred) ? preferred : null;
+                const activeGone = this.activeInputId && !inputs.some(device => device.deviceId === this.activeInputId);
+                // Chrome's "default" entry is relabelled when the system default changes
+                const systemDefault = inputs.find(device => device.deviceId === 'default');
+                const defaultMoved = !wanted && systemDefault?.label && track.label !== systemDefault.label
+                    && this.activeInputId === 'default';
+
+                if (activeGone || defaultMoved || (wanted && wanted !== this.activeInputId)) {
+                    await this.switchMicrophone(wanted);
+                }
+            }
+
+            const outputId = this.audioDevicePrefs.outputId;
+            if (outputId && this.canSelectOutput() && this.audioContext) {
+                if (outputs.some(device => device.deviceId === outputId)) {
+                    await this.applyOutputDevice();
+                } else if (this.audioContext.sinkId === outputId) {
+                    console.warn('[Devices] Chosen output device went away - using the default');
+                    await this.audioContext.setSinkId('').catch(() => {});
+                }
             }
         });
+        this.onAudioDevicesChange?.(await this.listAudioDevices());
+    }
+
+    /**
+     * Run device switches one after another - devicechange and track end often fire together
+     * Never rejects: failures are reported through onError and resolved as the error, null on success
+     */
+    queueDeviceTask(task) {
+        this.deviceTask = this.deviceTask.then(task).then(() => null, error => {
+            console.error('[Devices] Device switch failed:', error);
+            this.emitError('audio-device', error.message);
+            return error;
+        });
+        return this.deviceTask;
+    }
+
+    loadAudioDevicePrefs() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(`${AUDIO_DEVICES_STORAGE_PREFIX}${this.userId}`));
+            return { inputId: saved?.inputId ?? null, outputId: saved?.outputId ?? null };
+        } catch {
+            return { inputId: null, outputId: null };
+        }
+    }
+
+    saveAudioDevicePrefs(changes) {
+        this.audioDevicePrefs = { ...this.audioDevicePrefs, ...changes };
+        localStorage.setItem(`${AUDIO_DEVICES_STORAGE_PREFIX}${this.userId}`, JSON.stringify(this.audioDevicePrefs));
+    }
+
+
+
+    /**
+     * Fetch TURN credentials (and the server's ICE transport policy) and apply them to new
+     * and existing peer connections. Existing ones pick them up at their next ICE restart.
+     * Without TURN we fall back to STUN, except when the server requires relay-only -
+     * then joining fails rather than exposing our address to peers
+     */
+    async refreshIceConfig() {
+        clearTimeout(this.turnRefreshTimer);
+        this.turnRefreshTimer = null;
+
+        try {
+            const { data } = await turnAPI.getCredentials();
+            this.iceConfig = {
+                iceServers: [...ICE_SERVERS, ...(data.iceServers || [])],
+                iceTransportPolicy: data.iceTransportPolicy === 'relay' ? 'relay' : 'all'
+            };
+            console.log(`[TURN] ${data.iceServers?.length ? 'Credentials issued' : 'No TURN server configured'}, policy ${this.iceConfig.iceTransportPolicy}`);
+
+            for (const [peerId, peerConnection] of this.peerConnections) {
+                try {
+                    peerConnection.setConfiguration(this.iceConfig);
+                } catch (error) {
+                    console.warn(`[TURN] Could not update ICE servers for ${peerId}:`, error);
+                }
+            }
+
+            if (data.expiresAt) {
+                this.scheduleIceConfigRefresh(Math.max(0, (data.expiresAt - Date.now()) * TURN_REFRESH_FRACTION));
+            }
+        } catch (error) {
+            if (error.response?.status === 503) {
+                throw new Error(error.response.data?.message || 'TURN relay is required but not available');
+            }
+            // Keep the last policy the server gave us (plain STUN if it never answered) and try again later
+            console.warn('[TURN] Failed to fetch credentials:', error.message);
+            this.scheduleIceConfigRefresh(TURN_RETRY_MS);
+        }
+    }
+
+    scheduleIceConfigRefresh(delay) {
+        clearTimeout(this.turnRefreshTimer);
+        this.turnRefreshTimer = setTimeout(() => {
+            if (!this.currentRoom) return;
+            this.refreshIceConfig().catch(error => {
+                console.warn('[TURN] Refresh failed:', error.message);
+                this.scheduleIceConfigRefresh(TURN_RETRY_MS);
+            });
+        }, delay);
     }
 
     /**
      * Create a peer connection for a remote user
+     * deviceId identifies which of the user's devices (and keys) is on the other end
      */
-    async createPeerConnection(peerId, odileId, username, publicKey, isInitiator) {
-        const peerConnection = new RTCPeerConnection({ iceServers: ICE_SERVERS });
+    async createPeerConnection(peerId, odileId, username, publicKey, isInitiator, deviceId = null) {
+        const peerConnection = new RTCPeerConnection(this.iceConfig);
 
         // Store public key with connection
         peerConnection.publicKey = publicKey;
         this.peerConnections.set(peerId, peerConnection);
 
+        this.peerIdentities.set(peerId, { userId: odileId, username, publicKey, deviceId });
+        this.audioBlockedPeers.add(peerId);
+        this.checkPeerIdentity(peerId);
+
         // Create Signaling Manager
         // Polite if we are NOT the initiator.
         // Or better: Use Socket ID comparison for consistent politeness (perfect negotiation).
@@ -715,33 +1394,42 @@ class VoiceEngine {
             this.currentRoom,
             this.userId,
             this.username,
-            polite
+            polite,
+            PEER_RECONNECT_TIMEOUT_MS
         );
         this.signalingManagers.set(peerId, signalingManager);
 
         // Note: onicecandidate is handled by SignalingManager now.
         // remove old onicecandidate if any? SignalingManager sets it on constructor.
 
+        signalingManager.onReconnecting = () => {
+            this.emitSecurityEvent('peer-disconnected', `Connection to ${username || 'peer'} lost - reconnecting`);
+            this.onPeerConnectionStateChange?.(peerId, 'reconnecting');
+        };
+        signalingManager.onReconnectFailed = () => {
+            // Peer-to-peer is gone for good - keep the call going through the server
+            this.useRelay(peerId, 'peer-to-peer connection lost');
+        };
+
         peerConnection.onconnectionstatechange = () => {
             const state = peerConnection.connectionState;
             console.log(`Peer ${peerId} connection state:`, state);
+            if (this.relayedPeers.has(peerId)) return;
 
             if (state === 'failed' || state === 'disconnected') {
-                this.emitSecurityEvent('peer-disconnected', `Peer connection ${state}`);
-                // Cleanup keys
-                this.peerSessionKeys.delete(peerId);
-                this.secureChannels.delete(peerId);
-                this.signalingManagers.delete(peerId);
+                // Keys are kept - if the data channel survives, audio resumes as soon as ICE does
+                signalingManager.reconnect(state);
             } else if (state === 'connected') {
-                this.emitSecurityEvent('handshake-complete', `Secure connection established with peer`);
+                if (signalingManager.stopReconnect()) {
+                    this.resumePeerConnection(peerId, isInitiator);
+                } else {
+                    this.emitSecurityEvent('handshake-complete', `Secure connection established with peer`);
+                }
             }
         };
 
         if (isInitiator) {
-            const dataChannel = peerConnection.createDataChannel('audio', {
-                ordered: false,
-                maxRetransmits: 0
-            });
+            const dataChannel = peerConnection.createDataChannel('audio', AUDIO_CHANNEL_OPTIONS);
 
             this.setupDataChannel(dataChannel, peerId, true);
 
@@ -761,132 +1449,694 @@ class VoiceEngine {
             };
         }
 
+        this.relayFallbackTimers.set(peerId, setTimeout(() => {
+            this.relayFallbackTimers.delete(peerId);
+            if (this.dataChannels.get(peerId)?.readyState !== 'open') {
+                this.useRelay(peerId, 'no peer-to-peer path');
+            }
+        }, RELAY_FALLBACK_MS));
+
         return peerConnection;
     }
 
     /**
-     * Setup DataChannel for receiving encrypted audio and keys
+     * Carry a peer's data channel traffic over Socket.io from now on. Audio stays
+     * end-to-end encrypted: the server forwards frames it cannot read. The peer follows
+     * as soon as our first relayed message reaches it (see 'relay-frame').
+     * A relayed peer stays relayed for the rest of the call, or is dropped if the relay stays silent
      */
-    setupDataChannel(dataChannel, peerId, isInitiator = false) {
-        this.dataChannels.set(peerId, dataChannel);
-
-        // Remove binaryType to allow default blob/string handling for JSON
-        // dataChannel.binaryType = 'arraybuffer';
+    useRelay(peerId, reason) {
+        if (this.relayedPeers.has(peerId) || !this.peerConnections.has(peerId)) return;
+
+        clearTimeout(this.relayFallbackTimers.get(peerId));
+        this.relayFallbackTimers.delete(peerId);
+        this.signalingManagers.get(peerId)?.stopReconnect();
+        this.relayedPeers.add(peerId);
+
+        const username = this.peerIdentities.get(peerId)?.username || 'peer';
+        console.warn(`[Relay] Relaying ${peerId} through the server: ${reason}`);
+        this.emitSecurityEvent('relay', `Audio with ${username} is relayed by the server (${reason}) - still end-to-end encrypted`);
+
+        // Starts over with hello and key exchange, as a reopened data channel would
+        const relayChannel = new RelayChannel(this.socket, peerId);
+        this.setupDataChannel(relayChannel, peerId);
+        this.onPeerConnectionStateChange?.(peerId, 'relayed');
+
+        this.relayFallbackTimers.set(peerId, setTimeout(() => {
+            this.relayFallbackTimers.delete(peerId);
+            if (relayChannel.messagesReceived === 0 && this.dataChannels.get(peerId) === relayChannel) {
+                this.failPeerConnection(peerId, `Could not reach ${username}, not even through the server - connection closed`);
+            }
+        }, RELAY_RESPONSE_TIMEOUT_MS));
+    }
 
-        dataChannel.onopen = async () => {
-            console.log(`DataChannel opened with ${peerId}, isInitiator: ${isInitiator}`);
+    /**
+     * Give up on a peer: no peer-to-peer path and no answer over the relay either
+     */
+    failPeerConnection(peerId, message) {
+        this.emitSecurityEvent('peer-disconnected', message);
+        this.closePeerConnection(peerId);
+        this.onPeerConnectionStateChange?.(peerId, 'failed');
+    }
 
-            // Only Initiator sends key to prevent race condition
-            // Receiver waits for 'key' message
-            if (isInitiator) {
-                const peerConnection = this.peerConnections.get(peerId);
+    /**
+     * ICE is back after a restart. If the data channel outlived the outage only the keys
+     * are rotated; if SCTP gave up on it, the initiator opens a new one, whose hello
+     * exchange leads to a fresh key exchange (the other side gets it via ondatachannel)
+     */
+    resumePeerConnection(peerId, isInitiator) {
+        const peerConnection = this.peerConnections.get(peerId);
+        if (!peerConnection) return;
 
-                if (peerConnection && peerConnection.publicKey && !this.peerSessionKeys.has(peerId)) {
-                    try {
-                        console.log(`[HybridCrypto] Generating session key for ${peerId} (DataChannel Open)`);
-                        const sessionKey = await cryptoService.generateSessionKey();
-                        this.peerSessionKeys.set(peerId, sessionKey);
+        const username = this.peerIdentities.get(peerId)?.username || 'peer';
+        const dataChannel = this.dataChannels.get(peerId);
+        if (dataChannel?.readyState === 'open') {
+            this.startKeyExchange(peerId);
+        } else if (isInitiator) {
+            console.log(`[Signaling] Reopening data channel with ${peerId}`);
+            this.setupDataChannel(peerConnection.createDataChannel('audio', AUDIO_CHANNEL_OPTIONS), peerId, true);
+        }
 
-                        const publicKeyJwk = typeof peerConnection.publicKey === 'string'
-                            ? JSON.parse(peerConnection.publicKey)
-                            : peerConnection.publicKey;
+        this.emitSecurityEvent('handshake-complete', `Reconnected to ${username} - rotating keys`);
+        this.onPeerConnectionStateChange?.(peerId, 'connected');
+    }
 
-                        const encryptedSessionKey = await cryptoService.encryptSessionKey(sessionKey, publicKeyJwk);
+    /**
+     * Setup DataChannel for receiving encrypted audio and keys
+     */
+    setupDataChannel(dataChannel, peerId, isInitiator = false) {
+        // A data channel that opens late doesn't take a relayed peer back
+        if (this.relayedPeers.has(peerId) && !(dataChannel instanceof RelayChannel)) {
+            dataChannel.close();
+            return;
+        }
 
-                        // Send Key Message
-                        const message = {
-                            type: 'key',
-                            payload: Array.from(new Uint8Array(encryptedSessionKey))
-                        };
+        // A channel reopened after a reconnect starts over with hello and key exchange
+        const previous = this.dataChannels.get(peerId);
+        if (previous && previous !== dataChannel) {
+            this.clearDataChannelState(peerId);
+            previous.close();
+        }
+        this.dataChannels.set(peerId, dataChannel);
 
-                        dataChannel.send(JSON.stringify(message));
-                        console.log(`[HybridCrypto] Sent AES session key to ${peerId}`);
+        // Audio arrives as binary frames, control messages as JSON strings
+        dataChannel.binaryType = 'arraybuffer';
 
-                    } catch (e) {
-                        console.error("Error sending session key:", e);
-                    }
-                } else {
-                    console.log(`[HybridCrypto] Skipping key generation for ${peerId}. Check: PC=${!!peerConnection}, PubKey=${!!(peerConnection?.publicKey)}, HasKey=${this.peerSessionKeys.has(peerId)}`);
-                }
-            }
+        dataChannel.onopen = () => {
+            console.log(`DataChannel opened with ${peerId}, isInitiator: ${isInitiator}`);
+            // Both sides advertise their protocol versions first - key exchange follows agreement
+            this.sendHello(peerId);
         };
 
+        // The answering side may receive the channel already open
+        if (dataChannel.readyState === 'open') {
+            this.sendHello(peerId);
+        }
+
         dataChannel.onclose = () => {
             console.log(`DataChannel closed with ${peerId}`);
-            this.dataChannels.delete(peerId);
-            this.secureChannels.delete(peerId);
+            // Already replaced after a reconnect - the new channel's state is not ours to clear
+            if (this.dataChannels.get(peerId) !== dataChannel) return;
+            this.clearDataChannelState(peerId);
         };
 
         dataChannel.onmessage = async (event) => {
             try {
-                const msg = JSON.parse(event.data);
+                const msg = typeof event.data === 'string'
+                    ? decodeMessage(event.data)
+                    : decodeAudioFrame(event.data);
+                if (!msg) return;
 
-                if (msg.type === 'key') {
-                    try {
-                        console.log(`[HybridCrypto] Received AES key from ${peerId}`);
-                        const raw = new Uint8Array(msg.payload).buffer;
-                        const sessionKey = await cryptoService.decryptSessionKey(raw);
-                        this.peerSessionKeys.set(peerId, sessionKey);
-
-                        // Send ACK
-                        dataChannel.send(JSON.stringify({ type: 'key-ack' }));
-
-                        this.secureChannels.add(peerId);
+                if (msg.legacy) {
+                    this.markIncompatiblePeer(peerId, 'client predates versioned messages');
+                    return;
+                }
+                if (msg.type === 'hello') {
+                    this.handleHello(msg, peerId);
+                    return;
+                }
 
-                        console.log(`[HybridCrypto] AES key established with ${peerId}, sent ACK`);
-                        this.emitSecurityEvent('key-exchange', `Secure AES session established`);
-                    } catch (e) {
-                        console.error("Error accepting session key:", e);
+                let protocol = this.peerProtocols.get(peerId);
+                if (!protocol) {
+                    // The peer's hello reply can be overtaken on the unordered channel -
+                    // negotiation is deterministic, so its header carries the agreed protocol
+                    if (!isSupportedProtocol(msg)) {
+                        this.markIncompatiblePeer(peerId, `unsupported protocol v${msg.version}, suite ${msg.suite}`);
+                        return;
                     }
+                    protocol = this.setPeerProtocol(peerId, { version: msg.version, suite: msg.suite });
+                }
+                if (msg.version !== protocol.version || msg.suite !== protocol.suite) {
+                    console.warn(`[Protocol] Dropped ${msg.type} from ${peerId}: header doesn't match the agreed protocol`);
+                    return;
+                }
+
+                if (msg.type === 'key-share') {
+                    await this.handleKeyShare(msg, dataChannel, peerId);
                 } else if (msg.type === 'key-ack') {
-                    console.log(`[HybridCrypto] Received KEY-ACK from ${peerId}`);
-                    this.secureChannels.add(peerId);
-                    this.emitSecurityEvent('handshake-complete', `Secure audio channel active`);
+                    console.log(`[HybridCrypto] Received KEY-ACK (key ${msg.keyId}) from ${peerId}`);
+                    this.activateSessionKey(peerId, msg.keyId);
+                } else if (msg.type === 'sender-key') {
+                    await this.handleSenderKey(msg, dataChannel, peerId);
+                } else if (msg.type === 'sender-key-ack') {
+                    if (msg.keyId > (this.senderKeyAcks.get(peerId) ?? -1)) {
+                        this.senderKeyAcks.set(peerId, msg.keyId);
+                    }
                 } else if (msg.type === 'audio') {
                     await this.handleIncomingAudio(msg, peerId);
+                } else if (msg.type === 'silence') {
+                    await this.handleSilenceMarker(msg, peerId);
                 }
-            } catch (e) {
-                // Ignore non-JSON
+            } catch (error) {
+                console.error('Error handling DataChannel message:', error);
             }
         };
     }
 
     /**
-     * Handle incoming encrypted audio data with speaking detection
-     * Decrypts using RSA private key directly
+     * Forget what was negotiated over a peer's data channel - it closed or was replaced
      */
-    async handleIncomingAudio(msg, peerId) {
-        try {
-            const sessionKey = this.peerSessionKeys.get(peerId);
-            if (!sessionKey) {
-                return;
-            }
+    clearDataChannelState(peerId) {
+        this.dataChannels.delete(peerId);
+        this.pendingHandshakes.delete(peerId);
+        this.secureChannels.delete(peerId);
+        this.peerProtocols.delete(peerId);
+        this.incompatiblePeers.delete(peerId);
+        this.peerCodecs.delete(peerId);
+        this.peerSampleRates.delete(peerId);
+    }
 
-            // Msg struct: { type: 'audio', iv: [...], data: [...] }
-            const iv = new Uint8Array(msg.iv);
-            const ciphertext = new Uint8Array(msg.data);
+    /**
+     * Advertise the protocol versions and cipher suites we speak
+     */
+    sendHello(peerId, reply = false) {
+        const dataChannel = this.dataChannels.get(peerId);
+        if (dataChannel?.readyState !== 'open') return;
+        dataChannel.send(createHello(reply, this.localCodecs, this.audioContext?.sampleRate ?? this.inputSampleRate));
+    }
 
-            const combined = new Uint8Array(iv.length + ciphertext.length);
-            combined.set(iv, 0);
-            combined.set(ciphertext, iv.length);
+    /**
+     * Agree on a protocol with the peer, answering its hello so it can do the same
+     */
+    handleHello(msg, peerId) {
+        // Answer even when we can't agree - the peer then raises its own event
+        if (!msg.reply) this.sendHello(peerId, true);
 
-            // Decrypt
-            const decryptedBuffer = await cryptoService.decryptAudioAES(combined.buffer, sessionKey);
-            const audioData = new Float32Array(decryptedBuffer);
+        const protocol = negotiateProtocol(msg);
+        if (!protocol) {
+            this.markIncompatiblePeer(peerId, `peer supports v${msg.minVersion}-v${msg.maxVersion}`);
+            return;
+        }
 
-            // Detect peer speaking
-            const maxAmplitude = Math.max(...Array.from(audioData).map(Math.abs));
-            const isPeerSpeaking = maxAmplitude > SPEAKING_THRESHOLD;
+        if (Number.isInteger(msg.sampleRate) && msg.sampleRate >= MIN_SAMPLE_RATE && msg.sampleRate <= MAX_SAMPLE_RATE) {
+            this.peerSampleRates.set(peerId, msg.sampleRate);
+        }
 
-            const wasSpeaking = this.peerSpeakingState.get(peerId) || false;
-            if (isPeerSpeaking !== wasSpeaking) {
-                this.peerSpeakingState.set(peerId, isPeerSpeaking);
-                this.onPeerSpeakingChange?.(peerId, isPeerSpeaking);
-            }
+        const codec = negotiateCodec(this.localCodecs, msg.codecs);
+        if (this.peerCodecs.get(peerId) !== codec) {
+            this.peerCodecs.set(peerId, codec);
+            console.log(`[Codec] Sending ${CODEC_NAMES[codec]} to ${peerId}`);
+        }
 
-            await this.playAudio(audioData, peerId);
-        } catch (error) {
-            // Throttle error logging to prevent spam
+        if (!this.peerProtocols.has(peerId)) {
+            this.setPeerProtocol(peerId, protocol);
+        }
+    }
+
+    /**
+     * Record the agreed protocol and start the key exchange
+     */
+    setPeerProtocol(peerId, protocol) {
+        this.peerProtocols.set(peerId, protocol);
+        this.incompatiblePeers.delete(peerId);
+        console.log(`[Protocol] Using v${protocol.version} / ${CIPHER_SUITES[protocol.suite]} with ${peerId}`);
+        this.startKeyExchange(peerId);
+        return protocol;
+    }
+
+    /**
+     * Raise one security event per peer whose client we can't talk to
+     */
+    markIncompatiblePeer(peerId, detail) {
+        if (this.incompatiblePeers.has(peerId)) return;
+        this.incompatiblePeers.add(peerId);
+
+        const username = this.peerIdentities.get(peerId)?.username || 'A participant';
+        console.warn(`[Protocol] Incompatible client ${peerId}: ${detail}`);
+        this.emitSecurityEvent('incompatible-client', `${username} is using an incompatible client version (${detail}) - no audio is exchanged with them`);
+    }
+
+    /**
+     * Start a key exchange with a peer: the first one when the channel opens,
+     * later ones to rotate keys. No-op while one is already in flight.
+     */
+    startKeyExchange(peerId) {
+        const dataChannel = this.dataChannels.get(peerId);
+        if (!dataChannel || dataChannel.readyState !== 'open') return;
+        if (!this.peerProtocols.has(peerId)) return; // Starts once the hello exchange agrees
+        if (this.pendingHandshakes.has(peerId)) return;
+
+        const sessionKeys = this.peerSessionKeys.get(peerId);
+        if (sessionKeys?.next) return; // Derived, waiting for the peer's ack
+
+        const keyId = sessionKeys?.current ? (sessionKeys.current.keyId + 1) % 256 : 0;
+        if (sessionKeys?.current) {
+            console.log(`[HybridCrypto] Rotating session keys with ${peerId} (key ${keyId})`);
+        }
+        this.sendKeyShare(dataChannel, peerId, keyId);
+    }
+
+    /**
+     * Send our signed ephemeral X25519 public key for keyId
+     * Resolves with the ephemeral key pair, or null if no handshake can start
+     */
+    sendKeyShare(dataChannel, peerId, keyId) {
+        const pending = this.pendingHandshakes.get(peerId);
+        if (pending?.keyId === keyId) {
+            return pending.promise;
+        }
+
+        const identity = this.peerIdentities.get(peerId);
+        if (!identity?.publicKey) {
+            console.log(`[HybridCrypto] Skipping key exchange for ${peerId}: no identity key`);
+            return Promise.resolve(null);
+        }
+
+        const protocol = this.peerProtocols.get(peerId);
+        const promise = (async () => {
+            const ephemeral = await cryptoService.generateEphemeralKeyPair();
+            const signature = await cryptoService.signEphemeralKey(
+                ephemeral.publicKey,
+                this.userId,
+                identity.userId,
+                keyId,
+                protocol
+            );
+
+            dataChannel.send(encodeMessage('key-share', protocol, keyId, {
+                publicKey: Array.from(ephemeral.publicKey),
+                signature: Array.from(signature)
+            }));
+            console.log(`[HybridCrypto] Sent signed ephemeral key ${keyId} to ${peerId}`);
+            return ephemeral;
+        })();
+
+        const handshake = { keyId, startedAt: Date.now(), promise };
+        promise.catch((error) => {
+            console.error('Error sending key share:', error);
+            if (this.pendingHandshakes.get(peerId) === handshake) {
+                this.pendingHandshakes.delete(peerId);
+            }
+        });
+
+        this.pendingHandshakes.set(peerId, handshake);
+        return promise;
+    }
+
+    /**
+     * Verify a peer's signed ephemeral key and derive the send/receive keys
+     * The new keys can decrypt immediately but are only used for sending
+     * once the peer acks them (see activateSessionKey)
+     */
+    async handleKeyShare(msg, dataChannel, peerId) {
+        try {
+            const keyId = msg.keyId ?? 0;
+            console.log(`[HybridCrypto] Received ephemeral key ${keyId} from ${peerId}`);
+            const identity = this.peerIdentities.get(peerId);
+            if (!identity?.publicKey) throw new Error('No identity key for peer');
+
+            const peerEphemeralKey = new Uint8Array(msg.publicKey);
+            const valid = await cryptoService.verifyEphemeralKey(
+                peerEphemeralKey,
+                new Uint8Array(msg.signature),
+                identity.userId,
+                this.userId,
+                keyId,
+                identity.publicKey,
+                { version: msg.version, suite: msg.suite }
+            );
+
+            if (!valid) {
+                this.emitSecurityEvent('error', `Rejected unsigned key exchange from ${identity.username}`);
+                this.emitError('security-error', 'Key exchange signature did not match the peer\'s identity key');
+                return;
+            }
+
+            // Reuses our share if we already sent one for this keyId (both sides rekeyed at once)
+            const ephemeral = await this.sendKeyShare(dataChannel, peerId, keyId);
+            if (!ephemeral) return;
+
+            const { sendKey, receiveKey } = await cryptoService.deriveSessionKeys(ephemeral, peerEphemeralKey);
+            // Drop the ephemeral private key - past sessions stay sealed even if the identity key leaks
+            if (this.pendingHandshakes.get(peerId)?.keyId === keyId) {
+                this.pendingHandshakes.delete(peerId);
+            }
+
+            const sessionKeys = this.peerSessionKeys.get(peerId) || { current: null, next: null, previous: null };
+            sessionKeys.next = { keyId, sendKey, receiveKey, replay: createReplayWindow(), derivedAt: Date.now() };
+            this.peerSessionKeys.set(peerId, sessionKeys);
+
+            dataChannel.send(encodeMessage('key-ack', this.peerProtocols.get(peerId), keyId));
+            console.log(`[HybridCrypto] Derived session key ${keyId} with ${peerId}, sent ACK`);
+
+            // The peer's ack can overtake its key-share on the unordered channel
+            if (sessionKeys.ackedKeyId === keyId) {
+                this.activateSessionKey(peerId, keyId);
+            }
+        } catch (error) {
+            console.error('Error accepting key share:', error);
+            this.pendingHandshakes.delete(peerId);
+        }
+    }
+
+    /**
+     * Peer acked keyId: start sending with it and keep the old key briefly for late frames
+     */
+    activateSessionKey(peerId, keyId) {
+        const sessionKeys = this.peerSessionKeys.get(peerId);
+        if (!sessionKeys?.next || sessionKeys.next.keyId !== keyId) {
+            if (sessionKeys) sessionKeys.ackedKeyId = keyId;
+            else this.peerSessionKeys.set(peerId, { current: null, next: null, previous: null, ackedKeyId: keyId });
+            return;
+        }
+
+        const rotated = !!sessionKeys.current;
+        if (rotated) {
+            sessionKeys.previous = {
+                keyId: sessionKeys.current.keyId,
+                receiveKey: sessionKeys.current.receiveKey,
+                replay: sessionKeys.current.replay,
+                expiresAt: Date.now() + KEY_OVERLAP_MS
+            };
+        }
+        const { sendKey, receiveKey, replay } = sessionKeys.next;
+        sessionKeys.current = { keyId, sendKey, receiveKey, replay, establishedAt: Date.now(), packetsSent: 0 };
+        sessionKeys.next = null;
+        sessionKeys.ackedKeyId = null;
+        this.secureChannels.add(peerId);
+
+        if (rotated) {
+            const username = this.peerIdentities.get(peerId)?.username || 'peer';
+            this.emitSecurityEvent('rekey', `Session keys rotated with ${username} (key #${keyId})`);
+        } else {
+            this.emitSecurityEvent('key-exchange', 'Ephemeral X25519 session keys derived');
+            this.emitSecurityEvent('handshake-complete', `Secure audio channel active`);
+            if (this.senderKey?.packetsSent > 0) {
+                // Our current room key protected audio sent before they joined - rotate rather than share it
+                this.senderKeyPendingPeers.add(peerId);
+                this.scheduleSenderKeyRotation('member joined');
+            } else {
+                this.distributeSenderKey(peerId);
+            }
+        }
+    }
+
+    /**
+     * Rotate our room audio key now and send it to every eligible peer
+     * Peers that left (or are blocked) never see the new key
+     */
+    async rotateSenderKey(reason) {
+        clearTimeout(this.senderKeyRotationTimer);
+        this.senderKeyRotationTimer = null;
+        if (!this.currentRoom) return;
+
+        const { key, raw } = await cryptoService.generateSenderKey();
+        if (!this.currentRoom) return;
+        const keyId = this.senderKey ? this.senderKey.keyId + 1 : 0;
+        this.senderKey = { keyId, key, raw, establishedAt: Date.now(), packetsSent: 0, sequences: {} };
+        this.senderKeyPendingPeers.clear();
+
+        for (const peerId of this.dataChannels.keys()) {
+            this.distributeSenderKey(peerId);
+        }
+
+        if (keyId > 0) {
+            this.emitSecurityEvent('rekey', `Room audio key rotated: ${reason} (key #${keyId})`);
+        }
+    }
+
+    /**
+     * Rotate soon - several peers often join or leave together
+     */
+    scheduleSenderKeyRotation(reason) {
+        if (!this.currentRoom || this.senderKeyRotationTimer) return;
+        this.senderKeyRotationTimer = setTimeout(() => {
+            this.rotateSenderKey(reason).catch(error => console.error('Error rotating sender key:', error));
+        }, SENDER_KEY_ROTATION_DELAY_MS);
+    }
+
+    /**
+     * Send our current room audio key to one peer, wrapped in the pairwise session key
+     * Peers waiting on a member-joined rotation get nothing until the fresh key exists
+     */
+    async distributeSenderKey(peerId) {
+        const senderKey = this.senderKey;
+        const dataChannel = this.dataChannels.get(peerId);
+        const pairKey = this.peerSessionKeys.get(peerId)?.current;
+        const protocol = this.peerProtocols.get(peerId);
+        if (!senderKey || !pairKey || !protocol || dataChannel?.readyState !== 'open') return;
+        if (this.audioBlockedPeers.has(peerId) || this.senderKeyPendingPeers.has(peerId)) return;
+
+        try {
+            const aad = cryptoService.concatBytes(
+                getHeaderAad(protocol),
+                cryptoService.getSenderKeyAad(senderKey.keyId, pairKey.keyId)
+            );
+            const encrypted = new Uint8Array(await cryptoService.encryptAudioAES(senderKey.raw, pairKey.sendKey, aad));
+
+            // The header key ID names the pairwise key that wraps the sender key
+            dataChannel.send(encodeMessage('sender-key', protocol, pairKey.keyId, {
+                senderKeyId: senderKey.keyId,
+                iv: Array.from(encrypted.slice(0, 12)),
+                data: Array.from(encrypted.slice(12))
+            }));
+        } catch (error) {
+            console.error('Error sending sender key:', error);
+        }
+    }
+
+    /**
+     * Install a peer's room audio key received over our pairwise channel
+     */
+    async handleSenderKey(msg, dataChannel, peerId) {
+        try {
+            const pairEntry = this.getReceiveKeyEntry(peerId, msg.keyId);
+            if (!pairEntry || !Number.isInteger(msg.senderKeyId)) return;
+
+            // The pairwise ack may have been lost - the peer using the new key proves it got ours
+            if (this.peerSessionKeys.get(peerId)?.next?.keyId === msg.keyId) {
+                this.activateSessionKey(peerId, msg.keyId);
+            }
+
+            const senderKeys = this.peerSenderKeys.get(peerId) || { current: null, previous: null };
+            // Sender keys only move forward - a replayed old one must not reopen its window
+            if (senderKeys.current && msg.senderKeyId <= senderKeys.current.keyId) {
+                if (msg.senderKeyId === senderKeys.current.keyId) {
+                    dataChannel.send(encodeMessage('sender-key-ack', this.peerProtocols.get(peerId), msg.senderKeyId));
+                }
+                return;
+            }
+
+            const combined = new Uint8Array([...msg.iv, ...msg.data]);
+            const aad = cryptoService.concatBytes(
+                getHeaderAad(msg),
+                cryptoService.getSenderKeyAad(msg.senderKeyId, msg.keyId)
+            );
+            const raw = await cryptoService.decryptAudioAES(combined.buffer, pairEntry.receiveKey, aad);
+            const key = await cryptoService.importSessionKey(new Uint8Array(raw));
+
+            if (senderKeys.current) {
+                senderKeys.previous = { ...senderKeys.current, expiresAt: Date.now() + KEY_OVERLAP_MS };
+            }
+            senderKeys.current = { keyId: msg.senderKeyId, receiveKey: key, replays: {} }; // codec -> replay window
+            this.peerSenderKeys.set(peerId, senderKeys);
+
+            dataChannel.send(encodeMessage('sender-key-ack', this.peerProtocols.get(peerId), msg.senderKeyId));
+            console.log(`[HybridCrypto] Installed room audio key ${msg.senderKeyId} from ${peerId}`);
+        } catch (error) {
+            console.error('Error accepting sender key:', error);
+        }
+    }
+
+    /**
+     * Look up the receive key (and its replay window) a frame was encrypted with
+     */
+    getReceiveKeyEntry(peerId, keyId) {
+        const sessionKeys = this.peerSessionKeys.get(peerId);
+        if (!sessionKeys) return null;
+
+        const { current, next, previous } = sessionKeys;
+        if (current?.keyId === keyId) return current;
+        if (next?.keyId === keyId) return next;
+        if (previous?.keyId === keyId && Date.now() < previous.expiresAt) return previous;
+        return null;
+    }
+
+    /**
+     * Look up the peer's room audio key a frame was encrypted with
+     */
+    getSenderKeyEntry(peerId, keyId) {
+        const senderKeys = this.peerSenderKeys.get(peerId);
+        if (!senderKeys) return null;
+
+        const { current, previous } = senderKeys;
+        if (current?.keyId === keyId) return current;
+        if (previous?.keyId === keyId && Date.now() < previous.expiresAt) return previous;
+        return null;
+    }
+
+    /**
+     * Count a dropped frame and report it (metrics are flushed at most once per second)
+     */
+    recordFrameDrop(peerId, reason) {
+        const username = this.peerIdentities.get(peerId)?.username || 'peer';
+        const stats = this.frameDropStats.get(peerId) || { username, replayed: 0, tooOld: 0, forged: 0, invalid: 0 };
+        const firstOfKind = stats[reason] === 0;
+        stats[reason]++;
+        this.frameDropStats.set(peerId, stats);
+
+        if (firstOfKind && (reason === 'replayed' || reason === 'forged')) {
+            const what = reason === 'replayed' ? 'Replayed' : 'Forged';
+            this.emitSecurityEvent('frame-dropped', `${what} audio frame on ${username}'s link dropped`);
+        }
+
+        if (!this.metricsFlushTimer) {
+            this.metricsFlushTimer = setTimeout(() => {
+                this.metricsFlushTimer = null;
+                this.onSecurityMetrics?.(this.getSecurityMetrics());
+            }, METRICS_FLUSH_MS);
+        }
+    }
+
+    /**
+     * Dropped-frame counters, totalled and per peer
+     */
+    getSecurityMetrics() {
+        const totals = { replayed: 0, tooOld: 0, forged: 0, invalid: 0 };
+        const peers = [];
+
+        for (const [peerId, stats] of this.frameDropStats) {
+            for (const reason of Object.keys(totals)) totals[reason] += stats[reason];
+            peers.push({ peerId, ...stats });
+        }
+
+        return { totals, peers };
+    }
+
+    /**
+     * Periodic rekey check: rotate old or heavily used keys, retire expired ones
+     */
+    checkRekeys() {
+        const now = Date.now();
+
+        for (const [peerId, handshake] of this.pendingHandshakes) {
+            if (now - handshake.startedAt > REKEY_TIMEOUT_MS) {
+                console.warn(`[HybridCrypto] Key exchange ${handshake.keyId} with ${peerId} timed out, retrying`);
+                this.pendingHandshakes.delete(peerId);
+            }
+        }
+
+        // Retry hellos and first handshakes whose messages were lost
+        for (const peerId of this.dataChannels.keys()) {
+            if (!this.peerProtocols.has(peerId)) {
+                if (!this.incompatiblePeers.has(peerId)) this.sendHello(peerId);
+            } else if (!this.peerSessionKeys.get(peerId)?.current) {
+                this.startKeyExchange(peerId);
+            }
+        }
+
+        for (const [peerId, sessionKeys] of this.peerSessionKeys) {
+            if (sessionKeys.previous && now >= sessionKeys.previous.expiresAt) {
+                sessionKeys.previous = null;
+            }
+            // Both acks lost - forget the derived keys so the exchange can be redone
+            if (sessionKeys.next && now - sessionKeys.next.derivedAt > REKEY_TIMEOUT_MS) {
+                console.warn(`[HybridCrypto] Key ${sessionKeys.next.keyId} with ${peerId} was never acked, retrying`);
+                sessionKeys.next = null;
+            }
+
+            const { current } = sessionKeys;
+            if (current && (now - current.establishedAt >= REKEY_INTERVAL_MS || current.packetsSent >= REKEY_PACKET_LIMIT)) {
+                this.startKeyExchange(peerId);
+            }
+        }
+
+        for (const senderKeys of this.peerSenderKeys.values()) {
+            if (senderKeys.previous && now >= senderKeys.previous.expiresAt) {
+                senderKeys.previous = null;
+            }
+        }
+
+        if (this.senderKey && now - this.senderKey.establishedAt >= REKEY_INTERVAL_MS) {
+            this.rotateSenderKey('scheduled');
+        } else if (this.senderKey) {
+            // Resend our room key to peers whose copy (or ack) got lost
+            for (const peerId of this.secureChannels) {
+                if ((this.senderKeyAcks.get(peerId) ?? -1) < this.senderKey.keyId) {
+                    this.distributeSenderKey(peerId);
+                }
+            }
+        }
+    }
+
+    /**
+     * Handle incoming encrypted audio data with speaking detection
+     * Decrypts with the receive key derived for this peer
+     */
+    async handleIncomingAudio(msg, peerId) {
+        try {
+            // Msg struct: { type: 'audio', version, suite, codec, keyId, seq, payload: [IV + ciphertext] }
+            if (!Number.isInteger(msg.keyId) || !Number.isInteger(msg.seq) || msg.seq < 0 || !this.localCodecs.includes(msg.codec)) {
+                this.recordFrameDrop(peerId, 'invalid');
+                return;
+            }
+
+            const keyEntry = this.getSenderKeyEntry(peerId, msg.keyId);
+            if (!keyEntry) {
+                return;
+            }
+
+            // One window per codec stream - each numbers its frames separately
+            keyEntry.replays[msg.codec] ??= createReplayWindow();
+            const replay = keyEntry.replays[msg.codec];
+
+            // Cheap pre-check before spending a decrypt on a known repeat
+            const seenReason = checkReplayWindow(replay, msg.seq);
+            if (seenReason) {
+                this.recordFrameDrop(peerId, seenReason);
+                return;
+            }
+
+            // Decrypt - keyId and seq are authenticated, so a renumbered frame fails here
+            let decryptedBuffer;
+            try {
+                const aad = cryptoService.concatBytes(getHeaderAad(msg), cryptoService.getAudioFrameAad(msg.keyId, msg.seq, msg.codec));
+                decryptedBuffer = await cryptoService.decryptAudioAES(msg.payload, keyEntry.receiveKey, aad);
+            } catch {
+                this.recordFrameDrop(peerId, 'forged');
+                return;
+            }
+
+            // Check again: a duplicate may have been decrypted while we awaited
+            const replayReason = checkReplayWindow(replay, msg.seq);
+            if (replayReason) {
+                this.recordFrameDrop(peerId, replayReason);
+                return;
+            }
+            markReplayWindow(replay, msg.seq);
+
+            // Frames are reordered per stream - a new key or codec starts a new one
+            const frame = { streamId: `${msg.keyId}:${msg.codec}`, seq: msg.seq };
+            if (msg.codec === CODEC_OPUS) {
+                // The peer only sends Opus after seeing it in our hello - covers a lost hello reply
+                this.peerCodecs.set(peerId, CODEC_OPUS);
+                this.decodeOpusFrame(peerId, decryptedBuffer, frame);
+            } else {
+                const sampleRate = this.peerSampleRates.get(peerId) ?? DEFAULT_PEER_SAMPLE_RATE;
+                await this.handleDecodedAudio(decodePcm16(decryptedBuffer), peerId, frame, sampleRate);
+            }
+        } catch (error) {
+            // Throttle error logging to prevent spam
             if (!this.lastDecryptError || Date.now() - this.lastDecryptError > 5000) {
                 console.error('Error decrypting audio:', error);
                 this.lastDecryptError = Date.now();
@@ -895,9 +2145,111 @@ class VoiceEngine {
     }
 
     /**
-     * Play received audio through Web Audio API
+     * The peer stopped talking after the frame msg.seq names. Only a marker that verifies under
+     * the peer's room audio key and refers to the newest frame of its stream ends the talkspurt -
+     * a replayed marker from an earlier pause names an older frame
      */
-    async playAudio(audioData, peerId) {
+    async handleSilenceMarker(msg, peerId) {
+        if (!Number.isInteger(msg.keyId) || !Number.isInteger(msg.seq) || msg.seq < 0) return;
+
+        const keyEntry = this.getSenderKeyEntry(peerId, msg.keyId);
+        if (!keyEntry) return;
+
+        try {
+            const aad = cryptoService.concatBytes(getHeaderAad(msg), cryptoService.getSilenceMarkerAad(msg.keyId, msg.seq, msg.codec));
+            await cryptoService.decryptAudioAES(msg.payload, keyEntry.receiveKey, aad);
+        } catch {
+            this.recordFrameDrop(peerId, 'forged');
+            return;
+        }
+
+        const replay = keyEntry.replays[msg.codec];
+        if (replay && msg.seq < replay.highest) return;
+        this.jitterBuffers.get(peerId)?.markTalkspurtEnd();
+    }
+
+    /**
+     * Decode an Opus packet, first letting the codec conceal any frames missing
+     * from the sequence before it. The jitter buffer swaps in a concealed frame's
+     * real packet if it turns up before playout
+     */
+    decodeOpusFrame(peerId, packet, frame) {
+        const decoder = this.getOpusDecoder(peerId);
+        const last = this.opusLastFrames.get(peerId);
+
+        if (last?.streamId === frame.streamId && frame.seq <= last.seq) {
+            // Reordered packet - decode it in case its slot hasn't played yet
+            decoder.decode(packet, frame);
+            return;
+        }
+
+        if (last?.streamId === frame.streamId && !this.opusPlcUnsupported) {
+            const missing = frame.seq - last.seq - 1;
+            if (missing > 0 && missing <= MAX_CODEC_CONCEALED_FRAMES) {
+                for (let seq = last.seq + 1; seq < frame.seq; seq++) {
+                    decoder.conceal({ streamId: frame.streamId, seq });
+                }
+            }
+        }
+
+        this.opusLastFrames.set(peerId, frame);
+        decoder.decode(packet, frame);
+    }
+
+    /**
+     * Opus decoder for a peer, replaced if the previous one broke
+     */
+    getOpusDecoder(peerId) {
+        let decoder = this.opusDecoders.get(peerId);
+        if (!decoder || decoder.failed) {
+            if (decoder?.plcFailed) {
+                console.warn('[Codec] Opus PLC packets rejected - concealing by waveform repetition instead');
+                this.opusPlcUnsupported = true;
+            }
+            decoder?.close();
+            decoder = new OpusDecoder((samples, frame, sampleRate) => {
+                if (frame?.concealed) {
+                    this.queueConcealedAudio(samples, peerId, frame, sampleRate);
+                    return;
+                }
+                this.handleDecodedAudio(samples, peerId, frame, sampleRate).catch(error => console.error('Error playing audio:', error));
+            });
+            this.opusDecoders.set(peerId, decoder);
+        }
+        return decoder;
+    }
+
+    /**
+     * Speaking detection and playback for one decoded frame
+     * frame is { streamId, seq } - its place in the peer's stream; sampleRate is the rate audioData is at
+     */
+    async handleDecodedAudio(audioData, peerId, frame, sampleRate) {
+        // Detect peer speaking
+        const maxAmplitude = Math.max(...Array.from(audioData).map(Math.abs));
+        const isPeerSpeaking = maxAmplitude > SPEAKING_THRESHOLD;
+
+        const wasSpeaking = this.peerSpeakingState.get(peerId) || false;
+        if (isPeerSpeaking !== wasSpeaking) {
+            this.peerSpeakingState.set(peerId, isPeerSpeaking);
+            this.onPeerSpeakingChange?.(peerId, isPeerSpeaking);
+        }
+
+        this.updatePeerLoudness(peerId, audioData);
+        await this.playAudio(audioData, peerId, frame, sampleRate);
+    }
+
+    /**
+     * Queue codec PLC output for a frame missing from the peer's stream
+     */
+    queueConcealedAudio(samples, peerId, frame, sampleRate) {
+        if (!this.audioContext || !this.isConnected) return;
+        this.getJitterBuffer(peerId, sampleRate).pushConcealed(frame.streamId, frame.seq, samples);
+    }
+
+    /**
+     * Queue received audio in the peer's jitter buffer - it is scheduled from there
+     */
+    async playAudio(audioData, peerId, frame, sampleRate) {
         if (!this.audioContext) {
             console.warn('[PlayAudio] No audioContext available');
             return;
@@ -908,6 +2260,8 @@ class VoiceEngine {
             await this.audioContext.resume();
         }
 
+        if (!this.isConnected) return;
+
         // Debug: Log playback occasionally
         if (!this.debugPlayTime || Date.now() - this.debugPlayTime > 3000) {
             const maxAmp = Math.max(...Array.from(audioData).map(Math.abs));
@@ -915,40 +2269,549 @@ class VoiceEngine {
             this.debugPlayTime = Date.now();
         }
 
+        // Buffered at the peer's rate - frames are resampled in playout order, as they are scheduled
+        const now = this.audioContext.currentTime;
+        const jitterBuffer = this.getJitterBuffer(peerId, sampleRate);
+        jitterBuffer.push(frame.streamId, frame.seq, audioData, now);
+        jitterBuffer.service(now);
+    }
+
+    /**
+     * Convert a frame the jitter buffer is playing out to our AudioContext's rate.
+     * The worklet keeps interpolation state per peer, so frames must come in playout
+     * order - never straight off the (unordered, lossy) data channel.
+     * Frames already at our rate pass straight through
+     */
+    async resampleForPlayback(samples, peerId, sampleRate) {
+        if (sampleRate === this.audioContext.sampleRate) return samples;
+        const resampler = await this.getResampler();
+        return resampler ? resampler.resample(peerId, samples, sampleRate) : samples;
+    }
+
+    /**
+     * Resampler worklet for the current AudioContext, loaded on first use
+     * Resolves to null if the worklet can't load - audio then plays unconverted
+     */
+    getResampler() {
+        if (this.resamplerContext !== this.audioContext) {
+            this.resamplerLoad?.then(resampler => resampler?.close());
+            this.resamplerContext = this.audioContext;
+            this.resamplerLoad = Resampler.create(this.audioContext).catch(error => {
+                console.error('[Resample] Failed to load the resampler worklet:', error);
+                return null;
+            });
+        }
+        return this.resamplerLoad;
+    }
+
+    /**
+     * The peer's jitter buffer, holding audio at sampleRate. A peer whose rate changes
+     * (new capture device or codec) gets a fresh buffer and resampler stream
+     */
+    getJitterBuffer(peerId, sampleRate) {
+        let jitterBuffer = this.jitterBuffers.get(peerId);
+        if (!jitterBuffer || jitterBuffer.sampleRate !== sampleRate) {
+            const outputRate = this.audioContext.sampleRate;
+            if (sampleRate !== outputRate) {
+                const username = this.peerIdentities.get(peerId)?.username || peerId;
+                console.warn(`[Resample] ${username} sends ${sampleRate} Hz audio - resampling to ${outputRate} Hz`);
+            }
+            this.peerPlaybackRates.set(peerId, sampleRate);
+            this.resamplerLoad?.then(resampler => resampler?.reset(peerId));
+
+            jitterBuffer = new JitterBuffer(sampleRate, (samples, when) => {
+                this.scheduleAudio(samples, peerId, when, sampleRate).catch(error => console.error('Error playing audio:', error));
+            });
+            this.jitterBuffers.set(peerId, jitterBuffer);
+        }
+        return jitterBuffer;
+    }
+
+    /**
+     * Hand every jitter buffer the frames due next (runs on a short timer while in a room)
+     */
+    servicePlayout() {
+        if (!this.audioContext) return;
+        const now = this.audioContext.currentTime;
+        for (const [peerId, jitterBuffer] of this.jitterBuffers) {
+            jitterBuffer.service(now);
+            // Muted or push-to-talk peers aren't "between words" - keep them silent
+            this.setComfortNoise(peerId, jitterBuffer.isInSilence() && !this.peerMuteState.get(peerId));
+        }
+    }
+
+    /**
+     * Fade low-level noise in while a peer is between talkspurts, so the call
+     * doesn't drop to dead silence every time they pause
+     */
+    setComfortNoise(peerId, on) {
+        const nodes = this.getPeerAudioNodes(peerId);
+        if (!!nodes.comfortNoise === on) return;
+
+        if (on) {
+            const source = this.audioContext.createBufferSource();
+            source.buffer = this.getComfortNoiseBuffer();
+            source.loop = true;
+            const gain = this.audioContext.createGain();
+            gain.gain.value = 0;
+            gain.gain.setTargetAtTime(1, this.audioContext.currentTime, COMFORT_NOISE_RAMP_SECONDS);
+            source.connect(gain);
+            gain.connect(nodes.volume);
+            source.start();
+            nodes.comfortNoise = { source, gain };
+        } else {
+            const { source, gain } = nodes.comfortNoise;
+            const now = this.audioContext.currentTime;
+            gain.gain.setTargetAtTime(0, now, COMFORT_NOISE_RAMP_SECONDS / 2);
+            source.stop(now + COMFORT_NOISE_RAMP_SECONDS * 4);
+            nodes.comfortNoise = null;
+        }
+    }
+
+    /**
+     * Looped noise shared by every peer - gently low-passed so it reads as room tone rather than hiss
+     */
+    getComfortNoiseBuffer() {
+        if (this.comfortNoiseBuffer?.sampleRate !== this.audioContext.sampleRate) {
+            const length = Math.round(this.audioContext.sampleRate * COMFORT_NOISE_SECONDS);
+            const buffer = this.audioContext.createBuffer(1, length, this.audioContext.sampleRate);
+            const data = buffer.getChannelData(0);
+            let previous = 0;
+            for (let i = 0; i < length; i++) {
+                previous = previous * 0.9 + (Math.random() * 2 - 1) * 0.1;
+                data[i] = previous;
+            }
+            const scale = COMFORT_NOISE_LEVEL / (getRms(data) || 1);
+            for (let i = 0; i < length; i++) data[i] *= scale;
+            this.comfortNoiseBuffer = buffer;
+        }
+        return this.comfortNoiseBuffer;
+    }
+
+    /**
+     * Jitter buffer depth, target delay, loss/concealment counters and sample rates per peer
+     */
+    getPlaybackStats() {
+        const now = this.audioContext?.currentTime ?? 0;
+        const peers = [];
+        for (const [peerId, jitterBuffer] of this.jitterBuffers) {
+            const username = this.peerIdentities.get(peerId)?.username || 'peer';
+            peers.push({
+                peerId,
+                username,
+                sampleRate: this.peerPlaybackRates.get(peerId) ?? null,
+                outputRate: this.audioContext?.sampleRate ?? null,
+                ...jitterBuffer.getStats(now)
+            });
+        }
+        return { peers };
+    }
+
+    /**
+     * Sample every peer's call quality and publish it via onQualityStats
+     */
+    async publishQualityStats() {
+        const peers = await Promise.all(
+            [...this.peerConnections.keys()].map(peerId => this.getQualityStats(peerId))
+        );
+        if (!this.isConnected) return;
+        this.onQualityStats?.({ peers: peers.filter(Boolean) });
+    }
+
+    /**
+     * One peer's link as seen from here: the selected ICE candidate pair (RTT, whether it
+     * runs direct or through a TURN relay), DataChannel traffic, frames we dropped or
+     * couldn't decrypt, and the jitter buffer. level (0-4) drives the signal bars
+     */
+    async getQualityStats(peerId) {
+        const peerConnection = this.peerConnections.get(peerId);
+        if (!peerConnection) return null;
+
+        let report;
+        try {
+            report = await peerConnection.getStats();
+        } catch (error) {
+            console.warn(`[Stats] getStats failed for ${peerId}:`, error);
+            return null;
+        }
+
+        const byId = new Map();
+        let transport = null;
+        let dataChannel = null;
+        report.forEach(stat => {
+            byId.set(stat.id, stat);
+            if (stat.type === 'transport') transport = stat;
+            if (stat.type === 'data-channel' && stat.label === this.dataChannels.get(peerId)?.label) dataChannel = stat;
+        });
+
+        // Firefox has no transport stats - fall back to the nominated pair
+        let pair = transport?.selectedCandidatePairId ? byId.get(transport.selectedCandidatePairId) : null;
+        if (!pair) {
+            report.forEach(stat => {
+                if (stat.type === 'candidate-pair' && stat.nominated && stat.state === 'succeeded') pair = stat;
+            });
+        }
+        const localCandidate = pair ? byId.get(pair.localCandidateId) : null;
+        const remoteCandidate = pair ? byId.get(pair.remoteCandidateId) : null;
+
+        // A relayed peer's traffic doesn't touch the peer connection - the RelayChannel counts it
+        const serverRelayed = this.relayedPeers.has(peerId);
+        const channel = this.dataChannels.get(peerId);
+        const traffic = channel instanceof RelayChannel ? channel : dataChannel;
+
+        const timestamp = Date.now();
+        const bytesSent = traffic?.bytesSent ?? 0;
+        const bytesReceived = traffic?.bytesReceived ?? 0;
+        const previous = this.qualitySamples.get(peerId);
+        const seconds = previous ? (timestamp - previous.timestamp) / 1000 : 0;
+        const toKbps = (bytes, previousBytes) => (seconds > 0 ? Math.max(0, Math.round(((bytes - previousBytes) * 8) / seconds / 1000)) : null);
+        this.qualitySamples.set(peerId, { timestamp, bytesSent, bytesReceived });
+
+        const drops = this.frameDropStats.get(peerId);
+        const playback = this.jitterBuffers.get(peerId)?.getStats(this.audioContext?.currentTime ?? 0);
+        const rttMs = !serverRelayed && pair?.currentRoundTripTime !== undefined ? Math.round(pair.currentRoundTripTime * 1000) : null;
+        const lossPercent = playback?.lossPercent ?? 0;
+
+        let level = 4;
+        if (!serverRelayed && peerConnection.connectionState !== 'connected') {
+            level = 0;
+        } else {
+            level -= QUALITY_RTT_STEPS_MS.filter(step => rttMs !== null && rttMs > step).length;
+            level -= QUALITY_LOSS_STEPS_PERCENT.filter(step => lossPercent > step).length;
+            level = Math.max(1, level);
+        }
+
+        return {
+            peerId,
+            username: this.peerIdentities.get(peerId)?.username || 'peer',
+            level,
+            connectionState: serverRelayed ? 'relayed' : peerConnection.connectionState,
+            serverRelayed,
+            rttMs,
+            localCandidateType: localCandidate?.candidateType ?? null,
+            remoteCandidateType: remoteCandidate?.candidateType ?? null,
+            relayProtocol: localCandidate?.relayProtocol ?? null,
+            relayed: localCandidate?.candidateType === 'relay' || remoteCandidate?.candidateType === 'relay',
+            bytesSent,
+            bytesReceived,
+            messagesSent: traffic?.messagesSent ?? 0,
+            messagesReceived: traffic?.messagesReceived ?? 0,
+            sendKbps: toKbps(bytesSent, previous?.bytesSent),
+            receiveKbps: toKbps(bytesReceived, previous?.bytesReceived),
+            droppedFrames: drops ? drops.replayed + drops.tooOld + drops.invalid : 0,
+            decryptFailures: drops?.forged ?? 0,
+            depthMs: playback?.depthMs ?? null,
+            targetMs: playback?.targetMs ?? null,
+            lossPercent
+        };
+    }
+
+    /**
+     * Play one frame at AudioContext time `when`, converted from the peer's rate first
+     */
+    async scheduleAudio(frameData, peerId, when, sampleRate) {
+        const audioData = await this.resampleForPlayback(frameData, peerId, sampleRate);
+        const jitterBuffer = this.jitterBuffers.get(peerId);
+        if (!audioData || !this.isConnected || !jitterBuffer) return;
+
+        // Resampling can run past the slot (the worklet is still loading, a busy main thread):
+        // start partway in to stay on the timeline, or drop the frame once its slot is over
+        const late = Math.max(0, this.audioContext.currentTime - when);
+        if (late >= audioData.length / this.audioContext.sampleRate) {
+            jitterBuffer.recordLateFrame();
+            return;
+        }
+
         const audioBuffer = this.audioContext.createBuffer(
             1,
             audioData.length,
-            this.inputSampleRate
+            this.audioContext.sampleRate
         );
 
         audioBuffer.getChannelData(0).set(audioData);
 
         const source = this.audioContext.createBufferSource();
         source.buffer = audioBuffer;
+        source.connect(this.getPeerAudioNodes(peerId).volume);
+        source.start(when + late, late);
+    }
 
-        let gainNode = this.audioNodes.get(peerId)?.gain;
-        if (!gainNode) {
-            gainNode = this.audioContext.createGain();
-            gainNode.gain.value = 2.0; // Boost gain for better audibility
-            gainNode.connect(this.audioContext.destination);
-            this.audioNodes.set(peerId, { gain: gainNode });
-            console.log(`[PlayAudio] Created gain node for ${peerId} with gain=2.0`);
+    /**
+     * The peer's playback graph: volume (user setting, local mute) -> normalizer -> master
+     * Built once per peer so settings survive every frame
+     */
+    getPeerAudioNodes(peerId) {
+        let nodes = this.audioNodes.get(peerId);
+        if (!nodes) {
+            const volume = this.audioContext.createGain();
+            const normalizer = this.audioContext.createGain();
+            volume.connect(normalizer);
+            normalizer.connect(this.getMasterGain());
+            nodes = { volume, normalizer, level: null, comfortNoise: null };
+            this.audioNodes.set(peerId, nodes);
+            this.applyPeerAudioSettings(peerId);
+            console.log(`[PlayAudio] Created audio graph for ${peerId}`);
         }
+        return nodes;
+    }
 
-        source.connect(gainNode);
-        source.start();
+    /**
+     * Shared output stage - deafen mutes it, the limiter catches peaks from boosted peers
+     */
+    getMasterGain() {
+        if (this.masterGain?.context !== this.audioContext) {
+            const limiter = this.audioContext.createDynamicsCompressor();
+            limiter.threshold.value = -3;
+            limiter.knee.value = 3;
+            limiter.ratio.value = 20;
+            limiter.attack.value = 0.003;
+            limiter.release.value = 0.25;
+            limiter.connect(this.audioContext.destination);
+
+            this.masterGain = this.audioContext.createGain();
+            this.masterGain.gain.value = this.isDeafened ? 0 : 1;
+            this.masterGain.connect(limiter);
+        }
+        return this.masterGain;
     }
 
+    /**
+     * Volume and local mute for a peer, from the settings saved for their user ID
+     */
+    applyPeerAudioSettings(peerId) {
+        const nodes = this.audioNodes.get(peerId);
+        if (!nodes) return;
+        const { volume, muted } = this.getUserAudioSettings(this.peerIdentities.get(peerId)?.userId);
+        nodes.volume.gain.value = muted ? 0 : volume * PLAYBACK_GAIN;
+        if (!this.peerAudioPrefs.normalize) {
+            nodes.normalizer.gain.value = 1;
+        }
+    }
 
+    /**
+     * Track a peer's speech level and steer its normalizer gain towards the target
+     */
+    updatePeerLoudness(peerId, samples) {
+        if (!this.peerAudioPrefs.normalize || !this.audioContext || samples.length === 0) return;
+
+        const rms = getRms(samples);
+        if (rms < NORMALIZE_GATE_RMS) return;
+
+        const nodes = this.getPeerAudioNodes(peerId);
+        nodes.level = nodes.level === null ? rms : nodes.level + (rms - nodes.level) * NORMALIZE_SMOOTHING;
+        const gain = Math.min(NORMALIZE_MAX_GAIN, Math.max(NORMALIZE_MIN_GAIN, NORMALIZE_TARGET_RMS / nodes.level));
+        nodes.normalizer.gain.setTargetAtTime(gain, this.audioContext.currentTime, NORMALIZE_RAMP_SECONDS);
+    }
+
+    /**
+     * Saved { volume, muted } for a user - defaults for anyone not adjusted yet
+     */
+    getUserAudioSettings(userId) {
+        const saved = userId ? this.peerAudioPrefs.users[userId] : null;
+        return { volume: saved?.volume ?? 1, muted: saved?.muted ?? false };
+    }
+
+    /**
+     * Set a user's playback volume (0 - MAX_PEER_VOLUME, 1 = normal) on every connection to them
+     */
+    setUserVolume(userId, volume) {
+        const value = Math.min(MAX_PEER_VOLUME, Math.max(0, Number(volume) || 0));
+        return this.updateUserAudioSettings(userId, { volume: value });
+    }
 
+    /**
+     * Mute a user for this client only - they still hear everyone and others still hear them
+     */
+    setUserLocalMute(userId, muted) {
+        return this.updateUserAudioSettings(userId, { muted: !!muted });
+    }
 
+    updateUserAudioSettings(userId, changes) {
+        const settings = { ...this.getUserAudioSettings(userId), ...changes };
+        if (!userId) return settings;
+        const users = { ...this.peerAudioPrefs.users };
+        if (settings.volume === 1 && !settings.muted) {
+            delete users[userId];
+        } else {
+            users[userId] = settings;
+        }
+        this.savePeerAudioPrefs({ users });
 
+        for (const [peerId, identity] of this.peerIdentities) {
+            if (identity.userId === userId) this.applyPeerAudioSettings(peerId);
+        }
+        return settings;
+    }
 
+    isLoudnessNormalizationEnabled() {
+        return this.peerAudioPrefs.normalize;
+    }
+
+    /**
+     * Turn loudness normalization on or off for all peers
+     */
+    setLoudnessNormalization(enabled) {
+        this.savePeerAudioPrefs({ normalize: !!enabled });
+        for (const [peerId, nodes] of this.audioNodes) {
+            nodes.level = null;
+            this.applyPeerAudioSettings(peerId);
+        }
+    }
+
+    loadPeerAudioPrefs() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(`${PEER_AUDIO_STORAGE_PREFIX}${this.userId}`));
+            return { normalize: !!saved?.normalize, users: saved?.users ?? {} };
+        } catch {
+            return { normalize: false, users: {} };
+        }
+    }
+
+    savePeerAudioPrefs(changes) {
+        this.peerAudioPrefs = { ...this.peerAudioPrefs, ...changes };
+        localStorage.setItem(`${PEER_AUDIO_STORAGE_PREFIX}${this.userId}`, JSON.stringify(this.peerAudioPrefs));
+    }
+
+    /**
+     * Compare a peer's presented key against the pinned key (TOFU) and verification records
+     * Audio to the peer stays blocked until the check passes or a key change is confirmed
+     * Publishes { status, fingerprint, safetyNumber } via onPeerVerificationChange
+     */
+    async checkPeerIdentity(peerId) {
+        const identity = this.peerIdentities.get(peerId);
+        if (!identity?.publicKey || !identity.userId) {
+            // Nothing to pin - no key means no session key can be exchanged either
+            this.audioBlockedPeers.delete(peerId);
+            return;
+        }
+
+        try {
+            const result = await cryptoService.checkPeerKey(
+                identity.userId,
+                identity.username,
+                identity.publicKey,
+                identity.deviceId
+            );
+            const safetyNumber = cryptoService.publicKeyJwk
+                ? await cryptoService.computeSafetyNumber(
+                    this.userId,
+                    cryptoService.publicKeyJwk,
+                    identity.userId,
+                    identity.publicKey
+                )
+                : null;
+
+            // Peer may have left while we were hashing
+            if (this.peerIdentities.get(peerId) !== identity) return;
+
+            const info = {
+                userId: identity.userId,
+                username: identity.username,
+                status: result.status,
+                fingerprint: result.fingerprint,
+                safetyNumber
+            };
+
+            if (result.status === 'changed') {
+                // Keep audio blocked until the user confirms the new key
+                this.audioBlockedPeers.add(peerId);
+                if (this.senderKeyAcks.has(peerId)) {
+                    this.scheduleSenderKeyRotation('peer identity key changed');
+                }
+                this.emitSecurityEvent('key-changed', result.newDevice
+                    ? `${identity.username} joined from a device you haven't seen before`
+                    : `${identity.username}'s identity key changed since it was first seen`);
+                this.onPeerKeyChanged?.(peerId, {
+                    ...info,
+                    previousFingerprint: result.previousFingerprint,
+                    wasVerified: result.wasVerified,
+                    newDevice: !!result.newDevice
+                });
+            } else {
+                this.audioBlockedPeers.delete(peerId);
+                this.distributeSenderKey(peerId);
+                if (result.firstSeen) {
+                    this.emitSecurityEvent('key-pinned', `Pinned ${identity.username}'s identity key on first use`);
+                } else if (result.status === 'verified') {
+                    this.emitSecurityEvent('peer-verified', `${identity.username}'s identity key matches your verification`);
+                }
+            }
+
+            this.onPeerVerificationChange?.(peerId, info);
+        } catch (error) {
+            console.error('[Verification] Failed to check peer identity:', error);
+            this.emitSecurityEvent('error', `Could not check ${identity.username}'s identity key - audio withheld`);
+        }
+    }
+
+    /**
+     * Accept a changed key after the user confirmed it - re-pins and unblocks audio
+     */
+    async acceptPeerKeyChange(peerId) {
+        const identity = this.peerIdentities.get(peerId);
+        if (!identity?.publicKey) return;
+
+        await cryptoService.pinPeerKey(identity.userId, identity.username, identity.publicKey, identity.deviceId);
+        this.emitSecurityEvent('key-pinned', `Accepted new identity key for ${identity.username}`);
+        await this.checkPeerIdentity(peerId);
+    }
+
+    /**
+     * Refuse a changed key - drops the connection to that peer
+     */
+    rejectPeerKeyChange(peerId) {
+        const identity = this.peerIdentities.get(peerId);
+        this.emitSecurityEvent('key-changed', `Disconnected ${identity?.username || 'peer'} after refusing changed key`);
+        this.closePeerConnection(peerId);
+        this.onPeerVerificationChange?.(peerId, null);
+    }
+
+    /**
+     * Handle a peer presenting a different public key mid-session
+     */
+    async updatePeerPublicKey(peerId, publicKey) {
+        const identity = this.peerIdentities.get(peerId);
+        const peerConnection = this.peerConnections.get(peerId);
+        if (!identity || !peerConnection) return;
+
+        const current = JSON.stringify(cryptoService.parsePublicKey(identity.publicKey));
+        if (current === JSON.stringify(cryptoService.parsePublicKey(publicKey))) return;
+
+        console.warn(`[Verification] Peer ${peerId} presented a different public key`);
+        this.audioBlockedPeers.add(peerId);
+        peerConnection.publicKey = publicKey;
+        this.peerIdentities.set(peerId, { ...identity, publicKey });
+        await this.checkPeerIdentity(peerId);
+    }
+
+    /**
+     * Mark or unmark a peer's current key as verified
+     */
+    async setPeerVerified(peerId, verified) {
+        const identity = this.peerIdentities.get(peerId);
+        if (!identity?.publicKey) return;
+
+        if (verified) {
+            await cryptoService.markPeerVerified(identity.userId, identity.username, identity.publicKey, identity.deviceId);
+            this.emitSecurityEvent('peer-verified', `Marked ${identity.username} as verified`);
+        } else {
+            await cryptoService.unmarkPeerVerified(identity.userId, identity.deviceId);
+            this.emitSecurityEvent('peer-unverified', `Removed verification for ${identity.username}`);
+        }
+
+        await this.checkPeerIdentity(peerId);
+    }
 
     /**
      * Close peer connection and cleanup
      */
     closePeerConnection(peerId) {
+        this.signalingManagers.get(peerId)?.close();
+        this.signalingManagers.delete(peerId);
+        clearTimeout(this.relayFallbackTimers.get(peerId));
+        this.relayFallbackTimers.delete(peerId);
+        this.relayedPeers.delete(peerId);
+
         const peerConnection = this.peerConnections.get(peerId);
         if (peerConnection) {
             peerConnection.close();
@@ -961,36 +2824,197 @@ class VoiceEngine {
             this.dataChannels.delete(peerId);
         }
 
+        const nodes = this.audioNodes.get(peerId);
+        nodes?.comfortNoise?.source.stop();
+        nodes?.volume.disconnect();
+        nodes?.normalizer.disconnect();
         this.audioNodes.delete(peerId);
         this.peerSpeakingState.delete(peerId);
+        this.peerSessionKeys.delete(peerId);
+        this.pendingHandshakes.delete(peerId);
+        this.secureChannels.delete(peerId);
+        this.peerProtocols.delete(peerId);
+        this.incompatiblePeers.delete(peerId);
+        this.peerCodecs.delete(peerId);
+        this.peerSampleRates.delete(peerId);
+        this.peerPlaybackRates.delete(peerId);
+        this.resamplerLoad?.then(resampler => resampler?.reset(peerId));
+        this.opusDecoders.get(peerId)?.close();
+        this.opusDecoders.delete(peerId);
+        this.opusLastFrames.delete(peerId);
+        this.jitterBuffers.delete(peerId);
+        this.qualitySamples.delete(peerId);
+        this.peerSenderKeys.delete(peerId);
+        this.senderKeyPendingPeers.delete(peerId);
+        if (this.senderKeyAcks.delete(peerId)) {
+            // They held our room key - make sure it cannot decrypt anything we say next
+            this.scheduleSenderKeyRotation('member left');
+        }
+        this.peerIdentities.delete(peerId);
+        this.audioBlockedPeers.delete(peerId);
     }
 
     /**
      * Set mute state
      */
     setMuted(muted) {
+        this.isMuted = muted;
         if (this.localStream) {
             this.localStream.getAudioTracks().forEach(track => {
                 track.enabled = !muted;
             });
         }
 
+        this.emitMuteStatus();
+    }
+
+    /**
+     * Tell the room whether we're sending audio - push-to-talk while released counts as muted
+     */
+    emitMuteStatus() {
         if (this.socket && this.isConnected && this.currentRoom) {
             this.socket.emit('mute-status', {
                 roomId: this.currentRoom,
-                isMuted: muted
+                isMuted: !this.canTransmit()
             });
         }
     }
 
+    /**
+     * Whether captured frames go out right now
+     */
+    canTransmit() {
+        return !this.isMuted && (!this.inputPrefs.pushToTalk || this.pttOpen);
+    }
+
+    /**
+     * { pushToTalk, pttKey, pttKeyLabel, vadEnabled, vadThreshold }
+     */
+    getInputSettings() {
+        return { ...this.inputPrefs, pttKeyLabel: formatKeyCode(this.inputPrefs.pttKey) };
+    }
+
+    /**
+     * Switch between open mic and push-to-talk
+     */
+    setPushToTalk(enabled) {
+        this.saveInputPrefs({ pushToTalk: !!enabled });
+        clearTimeout(this.pttReleaseTimer);
+        this.pttReleaseTimer = null;
+        this.pttOpen = false;
+        this.emitMuteStatus();
+        this.onTransmitChange?.(this.canTransmit());
+    }
+
+    /**
+     * Send only while voice activity is detected (otherwise an open mic sends continuously)
+     */
+    setVoiceActivityGate(enabled) {
+        this.saveInputPrefs({ vadEnabled: !!enabled });
+    }
+
+    /**
+     * Input RMS above which we count as speaking - drives the VAD and the speaking indicator
+     */
+    setVoiceActivityThreshold(threshold) {
+        const value = Math.min(MAX_VAD_THRESHOLD, Math.max(MIN_VAD_THRESHOLD, Number(threshold) || SPEAKING_THRESHOLD));
+        this.saveInputPrefs({ vadThreshold: value });
+    }
+
+    getInputLevel() {
+        return this.inputLevel;
+    }
+
+    /**
+     * Key that talks while held, as a KeyboardEvent.code
+     */
+    setPushToTalkKey(code) {
+        if (!code) return;
+        this.saveInputPrefs({ pttKey: code });
+    }
+
+    /**
+     * Push-to-talk pressed (key or on-screen button)
+     */
+    startTalking() {
+        if (!this.inputPrefs.pushToTalk) return;
+        if (this.pttReleaseTimer) {
+            // Pressed again inside the release tail - just keep talking
+            clearTimeout(this.pttReleaseTimer);
+            this.pttReleaseTimer = null;
+            return;
+        }
+        if (this.pttOpen) return;
+
+        this.pttOpen = true;
+        this.playTalkCue(true);
+        this.emitMuteStatus();
+        this.onTransmitChange?.(this.canTransmit());
+    }
+
+    /**
+     * Push-to-talk released - stop sending after the release tail
+     */
+    stopTalking() {
+        if (!this.pttOpen || this.pttReleaseTimer) return;
+
+        this.pttReleaseTimer = setTimeout(() => {
+            this.pttReleaseTimer = null;
+            this.pttOpen = false;
+            this.playTalkCue(false);
+            this.emitMuteStatus();
+            this.onTransmitChange?.(this.canTransmit());
+        }, PTT_RELEASE_TAIL_MS);
+    }
+
+    /**
+     * Short local blip - rising when the mic opens, falling when it closes. Never sent to peers
+     */
+    playTalkCue(on) {
+        if (!this.audioContext || this.audioContext.state !== 'running') return;
+
+        const now = this.audioContext.currentTime;
+        const oscillator = this.audioContext.createOscillator();
+        const gain = this.audioContext.createGain();
+        oscillator.frequency.setValueAtTime(on ? 660 : 880, now);
+        oscillator.frequency.linearRampToValueAtTime(on ? 880 : 660, now + 0.06);
+        gain.gain.setValueAtTime(0.08, now);
+        gain.gain.exponentialRampToValueAtTime(0.001, now + 0.08);
+        oscillator.connect(gain);
+        gain.connect(this.audioContext.destination);
+        oscillator.start(now);
+        oscillator.stop(now + 0.08);
+    }
+
+    loadInputPrefs() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(`${INPUT_MODE_STORAGE_PREFIX}${this.userId}`));
+            const threshold = Number(saved?.vadThreshold);
+            return {
+                pushToTalk: !!saved?.pushToTalk,
+                pttKey: saved?.pttKey || DEFAULT_PTT_KEY,
+                vadEnabled: saved?.vadEnabled ?? true,
+                vadThreshold: threshold >= MIN_VAD_THRESHOLD && threshold <= MAX_VAD_THRESHOLD ? threshold : SPEAKING_THRESHOLD
+            };
+        } catch {
+            return { pushToTalk: false, pttKey: DEFAULT_PTT_KEY, vadEnabled: true, vadThreshold: SPEAKING_THRESHOLD };
+        }
+    }
+
+    saveInputPrefs(changes) {
+        this.inputPrefs = { ...this.inputPrefs, ...changes };
+        localStorage.setItem(`${INPUT_MODE_STORAGE_PREFIX}${this.userId}`, JSON.stringify(this.inputPrefs));
+        this.onInputSettingsChange?.(this.getInputSettings());
+    }
+
     /**
      * Set deafen state
      */
     setDeafened(deafened) {
-        for (const [, node] of this.audioNodes) {
-            if (node.gain) {
-                node.gain.gain.value = deafened ? 0 : 1;
-            }
+        // Only the master stage - each peer's own volume is left as the user set it
+        this.isDeafened = deafened;
+        if (this.masterGain) {
+            this.masterGain.gain.value = deafened ? 0 : 1;
         }
     }
 
@@ -1012,6 +3036,7 @@ class VoiceEngine {
             this.socket.disconnect();
             this.socket = null;
         }
+        navigator.mediaDevices?.removeEventListener?.('devicechange', this.handleDeviceChange);
 
         if (this.audioContext && this.audioContext.state !== 'closed') {
             try {
@@ -1021,6 +3046,10 @@ class VoiceEngine {
             }
             this.audioContext = null;
         }
+        this.masterGain = null;
+        this.resamplerLoad?.then(resampler => resampler?.close());
+        this.resamplerContext = null;
+        this.resamplerLoad = null;
 
         this.isInitialized = false;
         console.log('VoiceEngine disconnected');
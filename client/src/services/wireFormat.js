@@ -0,0 +1,159 @@
+/**
+ * Wire format for DataChannel messages
+ *
+ * Every message starts with a protocol header - version, cipher suite ID and
+ * key ID - followed by the message type and its body. Control messages are JSON:
+ *   { v, cs, kid, type, ...body }
+ * Audio frames are binary, with the same header packed into fixed fields:
+ *   [v u8][cs u8][frame type u8][codec u8][kid u32][seq u32][IV 12][ciphertext + tag]
+ * End-of-talkspurt markers use the same layout with an empty ciphertext, so they
+ * are authenticated under the room audio key like the frames they follow.
+ *
+ * Peers agree on a version and suite with a 'hello' exchange right after the
+ * channel opens, so crypto can change without breaking older clients. The
+ * hello body layout must stay the same in every future version.
+ */
+
+export const PROTOCOL_VERSION = 1;
+export const MIN_PROTOCOL_VERSION = 1;
+
+// Cipher suite IDs - never reuse a retired ID
+export const CIPHER_SUITES = {
+    1: 'X25519-HKDF-SHA256 / AES-256-GCM / RSA-PSS-SHA256'
+};
+
+// Suite 0 marks messages that carry no ciphertext (hello)
+export const NO_CIPHER_SUITE = 0;
+export const SUPPORTED_CIPHER_SUITES = [1];
+
+// Binary frame types - JSON stays for control messages only
+export const FRAME_TYPE_AUDIO = 1;
+export const FRAME_TYPE_SILENCE = 2;
+const FRAME_TYPE_NAMES = { [FRAME_TYPE_AUDIO]: 'audio', [FRAME_TYPE_SILENCE]: 'silence' };
+export const AUDIO_HEADER_BYTES = 12;
+const AES_GCM_IV_BYTES = 12;
+const AES_GCM_TAG_BYTES = 16;
+
+/**
+ * Serialize a message with its header
+ */
+export const encodeMessage = (type, protocol, keyId, body = {}) => {
+    return JSON.stringify({
+        v: protocol.version,
+        cs: protocol.suite,
+        kid: keyId,
+        type,
+        ...body
+    });
+};
+
+/**
+ * Parse a message into { type, version, suite, keyId, ...body }
+ * Returns null for anything that isn't a message, or { type, legacy: true } for
+ * messages from clients that predate the header
+ */
+export const decodeMessage = (data) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(data);
+    } catch {
+        return null;
+    }
+    if (!parsed || typeof parsed.type !== 'string') return null;
+
+    const { v, cs, kid, ...body } = parsed;
+    if (!Number.isInteger(v)) {
+        return { type: parsed.type, legacy: true };
+    }
+    return { ...body, version: v, suite: cs, keyId: kid };
+};
+
+/**
+ * Pack an encrypted audio frame ([IV + ciphertext] from encryptAudioAES) behind its header
+ * codec is one of the audioCodec IDs
+ */
+export const encodeAudioFrame = (protocol, codec, keyId, seq, encrypted, frameType = FRAME_TYPE_AUDIO) => {
+    const payload = new Uint8Array(encrypted);
+    const frame = new Uint8Array(AUDIO_HEADER_BYTES + payload.byteLength);
+    const view = new DataView(frame.buffer);
+    view.setUint8(0, protocol.version);
+    view.setUint8(1, protocol.suite);
+    view.setUint8(2, frameType);
+    view.setUint8(3, codec);
+    view.setUint32(4, keyId);
+    view.setUint32(8, seq);
+    frame.set(payload, AUDIO_HEADER_BYTES);
+    return frame.buffer;
+};
+
+/**
+ * Parse a binary frame into { type ('audio' | 'silence'), version, suite, codec, keyId, seq, payload }
+ * payload is the [IV + ciphertext] ArrayBuffer. Returns null for anything malformed
+ */
+export const decodeAudioFrame = (data) => {
+    if (!(data instanceof ArrayBuffer)) return null;
+    if (data.byteLength < AUDIO_HEADER_BYTES + AES_GCM_IV_BYTES + AES_GCM_TAG_BYTES) return null;
+
+    const view = new DataView(data);
+    const type = FRAME_TYPE_NAMES[view.getUint8(2)];
+    if (!type) return null;
+
+    return {
+        type,
+        version: view.getUint8(0),
+        suite: view.getUint8(1),
+        codec: view.getUint8(3),
+        keyId: view.getUint32(4),
+        seq: view.getUint32(8),
+        payload: data.slice(AUDIO_HEADER_BYTES)
+    };
+};
+
+/**
+ * The hello advertising what this client speaks
+ * codecs lists the audio codec IDs we can decode, most preferred first;
+ * sampleRate is the rate our captured (and PCM16-encoded) audio is at
+ */
+export const createHello = (reply = false, codecs = [], sampleRate = null) => {
+    return encodeMessage('hello', { version: PROTOCOL_VERSION, suite: NO_CIPHER_SUITE }, 0, {
+        minVersion: MIN_PROTOCOL_VERSION,
+        maxVersion: PROTOCOL_VERSION,
+        suites: SUPPORTED_CIPHER_SUITES,
+        codecs,
+        sampleRate,
+        reply
+    });
+};
+
+/**
+ * Highest version and strongest (highest ID) suite both sides support
+ * Deterministic, so both peers pick the same result. Returns null if there is none
+ */
+export const negotiateProtocol = (hello) => {
+    const peerSuites = Array.isArray(hello.suites) ? hello.suites : [];
+    const version = Math.min(PROTOCOL_VERSION, hello.maxVersion);
+    if (!Number.isInteger(version) || version < Math.max(MIN_PROTOCOL_VERSION, hello.minVersion)) {
+        return null;
+    }
+
+    const suite = SUPPORTED_CIPHER_SUITES
+        .filter(id => peerSuites.includes(id))
+        .sort((a, b) => b - a)[0];
+    if (!suite) return null;
+
+    return { version, suite };
+};
+
+/**
+ * Whether a message header names a version and suite this client can process
+ */
+export const isSupportedProtocol = ({ version, suite }) => {
+    return version >= MIN_PROTOCOL_VERSION && version <= PROTOCOL_VERSION && SUPPORTED_CIPHER_SUITES.includes(suite);
+};
+
+/**
+ * Header bytes mixed into the AES-GCM additional data so it can't be altered (or downgraded) in transit
+ */
+export const getHeaderAad = (protocol) => {
+    return new Uint8Array([protocol.version & 0xff, protocol.suite & 0xff]);
+};
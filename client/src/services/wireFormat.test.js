@@ -0,0 +1,111 @@
+import { describe, expect, it } from 'vitest';
+import {
+    AUDIO_HEADER_BYTES,
+    FRAME_TYPE_SILENCE,
+    PROTOCOL_VERSION,
+    createHello,
+    decodeAudioFrame,
+    decodeMessage,
+    encodeAudioFrame,
+    encodeMessage,
+    getHeaderAad,
+    isSupportedProtocol,
+    negotiateProtocol
+} from './wireFormat';
+import { CODEC_OPUS } from './audioCodec';
+
+const PROTOCOL = { version: 1, suite: 1 };
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// [IV + ciphertext + tag] as encryptAudioAES returns it
+const payload = (ciphertextBytes) => Uint8Array.from({ length: IV_BYTES + ciphertextBytes + TAG_BYTES }, (_, i) => i & 0xff);
+
+describe('audio frames', () => {
+    it('round-trips the header fields and payload', () => {
+        const encrypted = payload(40);
+        const frame = encodeAudioFrame(PROTOCOL, CODEC_OPUS, 7, 123456, encrypted.buffer);
+        expect(frame.byteLength).toBe(AUDIO_HEADER_BYTES + encrypted.byteLength);
+
+        const decoded = decodeAudioFrame(frame);
+        expect(decoded).toMatchObject({ type: 'audio', version: 1, suite: 1, codec: CODEC_OPUS, keyId: 7, seq: 123456 });
+        expect(new Uint8Array(decoded.payload)).toEqual(encrypted);
+    });
+
+    it('keeps full 32-bit key IDs and sequence numbers', () => {
+        const decoded = decodeAudioFrame(encodeAudioFrame(PROTOCOL, CODEC_OPUS, 0xffffffff, 0xfffffffe, payload(1)));
+        expect(decoded.keyId).toBe(0xffffffff);
+        expect(decoded.seq).toBe(0xfffffffe);
+    });
+
+    it('rejects frames too short to hold an IV and tag', () => {
+        const frame = encodeAudioFrame(PROTOCOL, CODEC_OPUS, 1, 1, payload(0));
+        expect(decodeAudioFrame(frame)).not.toBeNull();
+        expect(decodeAudioFrame(frame.slice(0, frame.byteLength - 1))).toBeNull();
+        expect(decodeAudioFrame(frame.slice(0, AUDIO_HEADER_BYTES))).toBeNull();
+        expect(decodeAudioFrame(new ArrayBuffer(0))).toBeNull();
+    });
+
+    it('round-trips silence markers, which carry only an IV and tag', () => {
+        const decoded = decodeAudioFrame(encodeAudioFrame(PROTOCOL, CODEC_OPUS, 7, 99, payload(0), FRAME_TYPE_SILENCE));
+        expect(decoded).toMatchObject({ type: 'silence', codec: CODEC_OPUS, keyId: 7, seq: 99 });
+        expect(decoded.payload.byteLength).toBe(IV_BYTES + TAG_BYTES);
+    });
+
+    it('rejects other frame types and non-binary data', () => {
+        const frame = encodeAudioFrame(PROTOCOL, CODEC_OPUS, 1, 1, payload(10));
+        new Uint8Array(frame)[2] = 99;
+        expect(decodeAudioFrame(frame)).toBeNull();
+        expect(decodeAudioFrame('{"type":"hello"}')).toBeNull();
+        expect(decodeAudioFrame(new Uint8Array(64))).toBeNull();
+    });
+});
+
+describe('protocol negotiation', () => {
+    const hello = (overrides) => ({ ...decodeMessage(createHello()), ...overrides });
+
+    it('agrees with a peer speaking the same protocol', () => {
+        expect(negotiateProtocol(hello())).toEqual({ version: PROTOCOL_VERSION, suite: 1 });
+    });
+
+    it('settles on the highest version both sides support', () => {
+        expect(negotiateProtocol(hello({ minVersion: 1, maxVersion: PROTOCOL_VERSION + 5 })))
+            .toEqual({ version: PROTOCOL_VERSION, suite: 1 });
+    });
+
+    it('fails when the version ranges do not overlap', () => {
+        expect(negotiateProtocol(hello({ minVersion: PROTOCOL_VERSION + 1, maxVersion: PROTOCOL_VERSION + 3 }))).toBeNull();
+        expect(negotiateProtocol(hello({ minVersion: 0, maxVersion: 0 }))).toBeNull();
+        expect(negotiateProtocol(hello({ maxVersion: undefined }))).toBeNull();
+    });
+
+    it('fails when no cipher suite is shared', () => {
+        expect(negotiateProtocol(hello({ suites: [2, 3] }))).toBeNull();
+        expect(negotiateProtocol(hello({ suites: [] }))).toBeNull();
+        expect(negotiateProtocol(hello({ suites: 'all' }))).toBeNull();
+    });
+
+    it('only processes headers inside our own ranges', () => {
+        expect(isSupportedProtocol({ version: PROTOCOL_VERSION, suite: 1 })).toBe(true);
+        expect(isSupportedProtocol({ version: PROTOCOL_VERSION + 1, suite: 1 })).toBe(false);
+        expect(isSupportedProtocol({ version: PROTOCOL_VERSION, suite: 0 })).toBe(false);
+    });
+});
+
+describe('control messages', () => {
+    it('round-trips the header and body', () => {
+        const decoded = decodeMessage(encodeMessage('key-ack', PROTOCOL, 4, { ackKeyId: 4 }));
+        expect(decoded).toEqual({ type: 'key-ack', version: 1, suite: 1, keyId: 4, ackKeyId: 4 });
+    });
+
+    it('flags messages without a header as legacy and ignores non-messages', () => {
+        expect(decodeMessage(JSON.stringify({ type: 'public-key' }))).toEqual({ type: 'public-key', legacy: true });
+        expect(decodeMessage('not json')).toBeNull();
+        expect(decodeMessage(JSON.stringify({ v: 1 }))).toBeNull();
+    });
+
+    it('binds version and suite into the header AAD', () => {
+        expect(getHeaderAad(PROTOCOL)).toEqual(new Uint8Array([1, 1]));
+        expect(getHeaderAad({ version: 1, suite: 2 })).not.toEqual(getHeaderAad(PROTOCOL));
+    });
+});
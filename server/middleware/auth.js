@@ -1,6 +1,15 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
+/**
+ * Verify a JWT and load the matching user (exclude password)
+ * Shared by the REST middleware and the Socket.io handshake
+ */
+const getUserFromToken = async (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return await User.findById(decoded.id).select('-password');
+};
+
 const protect = async (req, res, next) => {
     let token;
 
@@ -9,11 +18,8 @@ const protect = async (req, res, next) => {
             // Get token from header
             token = req.headers.authorization.split(' ')[1];
 
-            // Verify token
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-            // Get user from token (exclude password)
-            req.user = await User.findById(decoded.id).select('-password');
+            // Verify token and get user from it
+            req.user = await getUserFromToken(token);
 
             next();
         } catch (error) {
@@ -27,4 +33,65 @@ const protect = async (req, res, next) => {
     }
 };
 
-module.exports = { protect };
+/**
+ * Find one of the user's registered devices by id
+ */
+const findDevice = (user, deviceId) => {
+    if (!deviceId) return null;
+    return user.devices?.find(d => d.deviceId === deviceId) || null;
+};
+
+/**
+ * Socket.io handshake middleware
+ * Verifies socket.handshake.auth.token and binds the user to socket.user
+ * The optional handshake.auth.deviceId selects which of the user's device keys this socket presents
+ * Rejections surface on the client as a 'connect_error' with err.data.type === 'auth-failed'
+ * (or 'device-revoked' when the device was revoked from another session)
+ */
+const protectSocket = async (socket, next) => {
+    const reject = (message, type = 'auth-failed') => {
+        const err = new Error(message);
+        err.data = { type, message };
+        next(err);
+    };
+
+    const token = socket.handshake.auth?.token;
+    if (!token) {
+        return reject('Not authorized, no token');
+    }
+
+    try {
+        const user = await getUserFromToken(token);
+        if (!user) {
+            return reject('Not authorized, user not found');
+        }
+
+        const deviceId = socket.handshake.auth?.deviceId || null;
+        const device = findDevice(user, deviceId);
+        if (device?.revokedAt) {
+            return reject('This device has been revoked', 'device-revoked');
+        }
+
+        // Older clients don't send a deviceId and keep presenting the account-level key
+        socket.user = {
+            id: user._id.toString(),
+            username: user.username,
+            deviceId: device ? deviceId : null,
+            publicKey: (deviceId ? device?.publicKey : user.publicKey) || null
+        };
+
+        if (device) {
+            User.updateOne(
+                { _id: user._id, 'devices.deviceId': deviceId },
+                { $set: { 'devices.$.lastSeenAt': new Date() } }
+            ).catch(error => console.error('[Auth] Failed to update device last seen:', error.message));
+        }
+
+        next();
+    } catch (error) {
+        console.error('[Auth] Socket authentication failed:', error.message);
+        reject('Not authorized, token failed');
+    }
+};
+
+module.exports = { protect, protectSocket, findDevice };
@@ -26,6 +26,13 @@ const RoomSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     }],
+    // Opus target bitrate (bits/s) every participant encodes with
+    audioBitrate: {
+        type: Number,
+        default: 32000,
+        min: 6000,
+        max: 128000
+    },
     isActive: {
         type: Boolean,
         default: true
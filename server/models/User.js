@@ -1,6 +1,40 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// Passphrase-wrapped private key backup - opaque to the server
+const keyBackupSchema = new mongoose.Schema({
+    version: Number,
+    kdf: String,
+    iterations: Number,
+    salt: String,
+    ciphertext: String,
+    publicKey: String,
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// One identity key per browser the user signs in from
+const deviceSchema = new mongoose.Schema({
+    deviceId: {
+        type: String,
+        required: true
+    },
+    name: String,
+    publicKey: String,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Revoked devices are kept so the same deviceId cannot register again
+    revokedAt: Date
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
     username: {
         type: String,
@@ -22,10 +56,25 @@ const userSchema = new mongoose.Schema({
         required: [true, 'Password is required'],
         minlength: [6, 'Password must be at least 6 characters']
     },
+    // Key of the most recently registered device (kept for older clients)
     publicKey: {
         type: String,
         default: ''
     },
+    devices: [deviceSchema],
+    // Every public key the user has published, oldest first (capped)
+    keyHistory: [{
+        publicKey: String,
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Only returned by the key backup endpoints
+    keyBackup: {
+        type: keyBackupSchema,
+        select: false
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -71,4 +120,18 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Devices that haven't been revoked, most recently seen first
+userSchema.methods.getActiveDevices = function () {
+    return (this.devices || [])
+        .filter(device => !device.revokedAt)
+        .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+        .map(device => ({
+            deviceId: device.deviceId,
+            name: device.name,
+            publicKey: device.publicKey,
+            createdAt: device.createdAt,
+            lastSeenAt: device.lastSeenAt
+        }));
+};
+
 module.exports = mongoose.model('User', userSchema);
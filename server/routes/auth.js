@@ -1,10 +1,26 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { protect } = require('../middleware/auth');
+const { protect, findDevice } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Number of past public keys kept per user
+const KEY_HISTORY_LIMIT = 20;
+
+// Key backup limits (the blob itself is never decrypted server-side)
+const KEY_BACKUP_MAX_LENGTH = 90 * 1024; // stays under express.json()'s 100kb body limit
+const KEY_BACKUP_MIN_ITERATIONS = 100000;
+
+// Device ids are generated client-side (UUID or hex)
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9-]{16,64}$/;
+const DEVICE_NAME_MAX_LENGTH = 64;
+
+const cleanDeviceName = (name) => {
+    if (typeof name !== 'string') return '';
+    return name.trim().substring(0, DEVICE_NAME_MAX_LENGTH);
+};
+
 // Generate JWT Token
 const generateToken = (id) => {
     return jwt.sign({ id }, process.env.JWT_SECRET, {
@@ -57,7 +73,7 @@ router.post('/register', async (req, res) => {
             email: req.body.email
         });
 
-        const { username, email, password, publicKey } = req.body;
+        const { username, email, password, publicKey, deviceId, deviceName } = req.body;
 
         // Validate required fields
         if (!username || !email || !password) {
@@ -65,6 +81,9 @@ router.post('/register', async (req, res) => {
                 message: 'Please provide username, email, and password'
             });
         }
+        if (deviceId !== undefined && !DEVICE_ID_PATTERN.test(deviceId)) {
+            return res.status(400).json({ message: 'Invalid device id' });
+        }
 
         // Check if user exists
         const userExists = await User.findOne({ $or: [{ email }, { username }] });
@@ -81,6 +100,8 @@ router.post('/register', async (req, res) => {
             email,
             password,
             publicKey: publicKey || '',
+            keyHistory: publicKey ? [{ publicKey }] : [],
+            devices: publicKey && deviceId ? [{ deviceId, name: cleanDeviceName(deviceName), publicKey }] : [],
             personalJoinCode
         });
 
@@ -157,14 +178,58 @@ router.get('/me', protect, async (req, res) => {
 });
 
 // @route   PUT /api/auth/publickey
-// @desc    Update user's public key
+// @desc    Register or refresh this device's public key
 // @access  Private
 router.put('/publickey', protect, async (req, res) => {
     try {
-        const { publicKey } = req.body;
-        const user = await User.findByIdAndUpdate(
-            req.user._id,
-            { publicKey },
+        const { publicKey, deviceId, deviceName } = req.body;
+
+        if (deviceId !== undefined && !DEVICE_ID_PATTERN.test(deviceId)) {
+            return res.status(400).json({ message: 'Invalid device id' });
+        }
+
+        const device = findDevice(req.user, deviceId);
+        if (device?.revokedAt) {
+            return res.status(403).json({ message: 'This device has been revoked', code: 'DEVICE_REVOKED' });
+        }
+
+        const now = new Date();
+        const filter = { _id: req.user._id };
+        const update = { $set: {} };
+
+        // The account-level key follows the most recently registered device
+        if (!device || device.publicKey !== publicKey) {
+            update.$set.publicKey = publicKey;
+        }
+
+        // Record keys the account hasn't published yet so contacts can see when and how often they changed
+        const isKnownKey = publicKey === req.user.publicKey ||
+            req.user.devices.some(d => !d.revokedAt && d.publicKey === publicKey);
+        if (publicKey && !isKnownKey) {
+            update.$push = {
+                keyHistory: {
+                    $each: [{ publicKey, createdAt: now }],
+                    $slice: -KEY_HISTORY_LIMIT
+                }
+            };
+        }
+
+        if (device) {
+            filter['devices.deviceId'] = deviceId;
+            update.$set['devices.$.publicKey'] = publicKey;
+            update.$set['devices.$.name'] = cleanDeviceName(deviceName) || device.name;
+            update.$set['devices.$.lastSeenAt'] = now;
+        } else if (deviceId && publicKey) {
+            update.$push = {
+                ...update.$push,
+                devices: { deviceId, name: cleanDeviceName(deviceName), publicKey, createdAt: now, lastSeenAt: now }
+            };
+            console.log('[Auth] New device registered for:', req.user.username);
+        }
+
+        const user = await User.findOneAndUpdate(
+            filter,
+            update,
             { new: true }
         ).select('-password');
         res.json(user);
@@ -174,4 +239,118 @@ router.put('/publickey', protect, async (req, res) => {
     }
 });
 
+// @route   GET /api/auth/devices
+// @desc    List the devices holding an identity key for this account
+// @access  Private
+router.get('/devices', protect, async (req, res) => {
+    res.json({ devices: req.user.getActiveDevices() });
+});
+
+// @route   DELETE /api/auth/devices/:deviceId
+// @desc    Revoke a device - its key is no longer served and its sockets are dropped
+// @access  Private
+router.delete('/devices/:deviceId', protect, async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        const device = findDevice(req.user, deviceId);
+        if (!device || device.revokedAt) {
+            return res.status(404).json({ message: 'Device not found' });
+        }
+
+        const update = { 'devices.$.revokedAt': new Date() };
+
+        // Fall back to another device's key if the account-level key belonged to this one
+        const remaining = req.user.getActiveDevices().filter(d => d.deviceId !== deviceId);
+        if (req.user.publicKey === device.publicKey && !remaining.some(d => d.publicKey === device.publicKey)) {
+            update.publicKey = remaining[0]?.publicKey || '';
+        }
+
+        await User.updateOne(
+            { _id: req.user._id, 'devices.deviceId': deviceId },
+            { $set: update }
+        );
+
+        // Drop the device's live sockets so it stops presenting the revoked key in rooms
+        const io = req.app.get('io');
+        const userId = req.user._id.toString();
+        for (const socket of io?.sockets.sockets.values() || []) {
+            if (socket.user?.id === userId && socket.user.deviceId === deviceId) {
+                socket.emit('device-revoked', { deviceId });
+                socket.disconnect(true);
+            }
+        }
+
+        console.log('[Auth] Device revoked for:', req.user.username);
+        res.json({ message: 'Device revoked' });
+    } catch (error) {
+        console.error('[Auth] Revoke device error:', error.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/auth/keybackup
+// @desc    Get the user's passphrase-wrapped key backup
+// @access  Private
+router.get('/keybackup', protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('+keyBackup');
+        if (!user?.keyBackup?.ciphertext) {
+            return res.status(404).json({ message: 'No key backup found' });
+        }
+        res.json(user.keyBackup);
+    } catch (error) {
+        console.error('[Auth] Get key backup error:', error.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   PUT /api/auth/keybackup
+// @desc    Store or replace the user's passphrase-wrapped key backup
+// @access  Private
+router.put('/keybackup', protect, async (req, res) => {
+    try {
+        const { version, kdf, iterations, salt, ciphertext, publicKey } = req.body;
+
+        if (typeof ciphertext !== 'string' || typeof salt !== 'string' || typeof kdf !== 'string') {
+            return res.status(400).json({ message: 'Invalid key backup' });
+        }
+        if (ciphertext.length > KEY_BACKUP_MAX_LENGTH) {
+            return res.status(413).json({ message: 'Key backup is too large' });
+        }
+        if (!Number.isInteger(iterations) || iterations < KEY_BACKUP_MIN_ITERATIONS) {
+            return res.status(400).json({ message: `Key derivation needs at least ${KEY_BACKUP_MIN_ITERATIONS} iterations` });
+        }
+
+        const keyBackup = {
+            version,
+            kdf,
+            iterations,
+            salt,
+            ciphertext,
+            publicKey: typeof publicKey === 'string' ? publicKey : '',
+            updatedAt: new Date()
+        };
+
+        await User.findByIdAndUpdate(req.user._id, { keyBackup });
+        console.log('[Auth] Key backup stored for:', req.user.username);
+        res.json({ updatedAt: keyBackup.updatedAt });
+    } catch (error) {
+        console.error('[Auth] Store key backup error:', error.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/auth/keybackup
+// @desc    Remove the user's key backup
+// @access  Private
+router.delete('/keybackup', protect, async (req, res) => {
+    try {
+        await User.findByIdAndUpdate(req.user._id, { $unset: { keyBackup: 1 } });
+        res.json({ message: 'Key backup deleted' });
+    } catch (error) {
+        console.error('[Auth] Delete key backup error:', error.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 module.exports = router;
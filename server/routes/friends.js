@@ -12,7 +12,7 @@ const router = express.Router();
 router.get('/', protect, async (req, res) => {
     try {
         const user = await User.findById(req.user._id)
-            .populate('friends', 'username email _id publicKey')
+            .populate('friends', 'username email _id publicKey keyHistory devices')
             .populate('friendRequests.from', 'username _id');
 
         // Check active rooms for friends
@@ -24,7 +24,8 @@ router.get('/', protect, async (req, res) => {
             let activeRoom = null;
             // Access activeRooms Map from roomManager instance
             for (const room of roomManager.activeRooms.values()) {
-                if (room.participants.has(friend._id.toString())) {
+                const friendId = friend._id.toString();
+                if (Array.from(room.participants.values()).some(p => p.id === friendId)) {
                     const roomDetails = await roomManager.getRoom(room.id);
                     if (roomDetails) {
                         activeRoom = {
@@ -37,8 +38,15 @@ router.get('/', protect, async (req, res) => {
                 }
             }
 
+            // Summarize key history instead of sending every past key
+            // Only active devices are exposed - revoked keys must not be pinned by contacts
+            const { keyHistory = [], devices, ...friendData } = friend.toJSON();
+
             return {
-                ...friend.toJSON(),
+                ...friendData,
+                devices: friend.getActiveDevices(),
+                keyChangeCount: Math.max(0, keyHistory.length - 1),
+                keyUpdatedAt: keyHistory.length > 0 ? keyHistory[keyHistory.length - 1].createdAt : null,
                 activeRoom
             };
         }));
@@ -53,6 +61,39 @@ router.get('/', protect, async (req, res) => {
     }
 });
 
+// @route   GET /api/friends/:id/key-history
+// @desc    Get a friend's public key history
+// @access  Private (friends only)
+router.get('/:id/key-history', protect, async (req, res) => {
+    try {
+        const isSelf = req.params.id === req.user._id.toString();
+        const isFriend = req.user.friends.some(f => f.toString() === req.params.id);
+
+        if (!isSelf && !isFriend) {
+            return res.status(403).json({ message: 'Not authorized to view this key history' });
+        }
+
+        const user = await User.findById(req.params.id).select('username publicKey keyHistory');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        res.json({
+            userId: user._id,
+            username: user.username,
+            currentKey: user.publicKey,
+            changeCount: Math.max(0, user.keyHistory.length - 1),
+            history: user.keyHistory.map(entry => ({
+                publicKey: entry.publicKey,
+                createdAt: entry.createdAt
+            }))
+        });
+    } catch (error) {
+        console.error('Get key history error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // @route   POST /api/friends/request
 // @desc    Send friend request by PMI
 // @access  Private
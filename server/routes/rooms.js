@@ -4,6 +4,10 @@ const Room = require('../models/Room');
 
 const router = express.Router();
 
+// Opus bitrate bounds (bits/s) - matches the Room schema
+const AUDIO_BITRATE_MIN = 6000;
+const AUDIO_BITRATE_MAX = 128000;
+
 /**
  * RoomManager - Hybrid state management
  * - MongoDB: Persistent storage for room existence, settings, and history
@@ -168,6 +172,38 @@ class RoomManager {
         }
     }
 
+    /**
+     * Check whether a user may join a room's voice session
+     * Returns { allowed, reason } - reason is 'not-found' or 'forbidden' when denied,
+     * and the room's audio settings when allowed
+     */
+    async canJoinRoom(roomId, userId) {
+        try {
+            const room = await Room.findById(roomId);
+            if (!room) return { allowed: false, reason: 'not-found' };
+
+            // Creator or anyone who joined through the REST join-by-code flow
+            const isCreator = room.createdBy.toString() === userId.toString();
+            const isMember = room.members.some(m => m.toString() === userId.toString());
+            if (!isCreator && !isMember) return { allowed: false, reason: 'forbidden' };
+
+            this.activateRoomInMemory(room);
+            return { allowed: true, audioBitrate: room.audioBitrate };
+        } catch (err) {
+            // Invalid ObjectId and DB errors are treated as a missing room
+            console.error('Check room access error:', err.message);
+            return { allowed: false, reason: 'not-found' };
+        }
+    }
+
+    /**
+     * Check whether a socket is an active participant of a room (Memory only)
+     */
+    isActiveParticipant(roomId, socketId) {
+        const activeRoom = this.activeRooms.get(roomId);
+        return !!activeRoom?.participants.has(socketId);
+    }
+
     /**
      * Add participant to room (Memory + DB History)
      */
@@ -183,7 +219,8 @@ class RoomManager {
             activeRoom = this.activeRooms.get(roomId);
         }
 
-        activeRoom.participants.set(participant.id, {
+        // Keyed by socket - each of a user's devices is its own participant
+        activeRoom.participants.set(participant.socketId, {
             ...participant,
             joinedAt: new Date()
         });
@@ -206,14 +243,14 @@ class RoomManager {
     }
 
     /**
-     * Remove participant from room (Memory only)
+     * Remove one socket's participant from a room (Memory only)
      */
-    removeParticipant(roomId, participantId) {
+    removeParticipant(roomId, socketId) {
         const activeRoom = this.activeRooms.get(roomId);
         if (!activeRoom) return null;
 
-        const participant = activeRoom.participants.get(participantId);
-        activeRoom.participants.delete(participantId);
+        const participant = activeRoom.participants.get(socketId);
+        activeRoom.participants.delete(socketId);
         activeRoom.lastActivity = new Date();
 
         if (participant) {
@@ -234,11 +271,10 @@ class RoomManager {
         const results = [];
 
         for (const [roomId, room] of this.activeRooms) {
-            for (const [participantId, participant] of room.participants) {
-                if (participant.socketId === socketId) {
-                    this.removeParticipant(roomId, participantId);
-                    results.push({ roomId, participant });
-                }
+            const participant = room.participants.get(socketId);
+            if (participant) {
+                this.removeParticipant(roomId, socketId);
+                results.push({ roomId, participant });
             }
         }
 
@@ -287,6 +323,7 @@ class RoomManager {
             joinCode: roomDoc.joinCode,
             createdBy: roomDoc.createdBy,
             createdByUsername: roomDoc.createdByUsername,
+            audioBitrate: roomDoc.audioBitrate,
             participants: activeParticipants, // Only show ACTIVE participants
             createdAt: roomDoc.createdAt,
             lastActivity: roomDoc.lastActiveAt,
@@ -438,6 +475,41 @@ router.get('/:id', protect, async (req, res) => {
     }
 });
 
+// @route   PATCH /api/rooms/:id/settings
+// @desc    Update room audio settings (Opus bitrate)
+// @access  Private
+router.patch('/:id/settings', protect, async (req, res) => {
+    try {
+        const room = await roomManager.getRoom(req.params.id);
+        if (!room) {
+            return res.status(404).json({ message: 'Room not found' });
+        }
+
+        // Only creator can change settings
+        if (room.createdBy.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ message: 'Not authorized to change this room' });
+        }
+
+        const { audioBitrate } = req.body;
+        if (!Number.isInteger(audioBitrate) || audioBitrate < AUDIO_BITRATE_MIN || audioBitrate > AUDIO_BITRATE_MAX) {
+            return res.status(400).json({
+                message: `Audio bitrate must be an integer between ${AUDIO_BITRATE_MIN} and ${AUDIO_BITRATE_MAX}`
+            });
+        }
+
+        await Room.findByIdAndUpdate(req.params.id, { audioBitrate });
+
+        // Participants already in the call switch encoder settings right away
+        const io = req.app.get('io');
+        io?.to(req.params.id).emit('room-settings', { roomId: req.params.id, audioBitrate });
+
+        res.json(await roomManager.getRoom(req.params.id));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // @route   DELETE /api/rooms/:id
 // @desc    Delete a room
 // @access  Private
@@ -469,10 +541,12 @@ module.exports.roomManager = roomManager;
 module.exports.getRooms = () => Array.from(roomManager.activeRooms.values());
 module.exports.getRoom = (id) => roomManager.getRoom(id);
 module.exports.addParticipant = (roomId, participant) => roomManager.addParticipant(roomId, participant);
-module.exports.removeParticipant = (roomId, participantId) => roomManager.removeParticipant(roomId, participantId);
+module.exports.removeParticipant = (roomId, socketId) => roomManager.removeParticipant(roomId, socketId);
 module.exports.removeParticipantBySocket = (socketId) => roomManager.removeParticipantBySocket(socketId);
 module.exports.getParticipants = (roomId) => roomManager.getParticipants(roomId);
 module.exports.updateRoom = async (roomId, updates) => {
     await Room.findByIdAndUpdate(roomId, updates);
     return roomManager.getRoom(roomId);
 };
+module.exports.canJoinRoom = (roomId, userId) => roomManager.canJoinRoom(roomId, userId);
+module.exports.isActiveParticipant = (roomId, socketId) => roomManager.isActiveParticipant(roomId, socketId);
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const express = require('express');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Credential lifetime bounds (seconds)
+const DEFAULT_TURN_TTL = 3600;
+const MIN_TURN_TTL = 60;
+const MAX_TURN_TTL = 24 * 3600;
+
+/**
+ * TURN settings from the environment:
+ * TURN_URLS (comma-separated turn:/turns: URLs), TURN_SECRET (shared with the TURN
+ * server, e.g. coturn's static-auth-secret), TURN_TTL (seconds) and
+ * TURN_RELAY_ONLY=true to keep clients on relay candidates so peers never see their IPs
+ */
+const getTurnConfig = () => {
+    const urls = (process.env.TURN_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+    const ttl = Number(process.env.TURN_TTL);
+    return {
+        urls,
+        secret: process.env.TURN_SECRET || null,
+        ttl: Number.isFinite(ttl) ? Math.min(MAX_TURN_TTL, Math.max(MIN_TURN_TTL, Math.round(ttl))) : DEFAULT_TURN_TTL,
+        relayOnly: process.env.TURN_RELAY_ONLY === 'true'
+    };
+};
+
+/**
+ * TURN REST API credentials (draft-uberti-behave-turn-rest): the username is
+ * "<expiry unix time>:<user id>" and the password is base64(HMAC-SHA1(secret, username)),
+ * so the TURN server can check them with the shared secret alone
+ */
+const createTurnCredentials = (userId, secret, ttl, now = Date.now()) => {
+    const expiresAt = Math.floor(now / 1000) + ttl;
+    const username = `${expiresAt}:${userId}`;
+    const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+    return { username, credential, expiresAt };
+};
+
+// @route   GET /api/turn/credentials
+// @desc    Issue short-lived TURN credentials and the ICE transport policy
+// @access  Private
+router.get('/credentials', protect, (req, res) => {
+    try {
+        const config = getTurnConfig();
+
+        if (!config.secret || config.urls.length === 0) {
+            if (config.relayOnly) {
+                console.error('[TURN] TURN_RELAY_ONLY is set but TURN_URLS/TURN_SECRET are missing');
+                return res.status(503).json({ message: 'TURN relay is required but not configured' });
+            }
+            // No TURN server - clients stay on STUN
+            return res.json({ iceServers: [], iceTransportPolicy: 'all', ttl: null, expiresAt: null });
+        }
+
+        const { username, credential, expiresAt } = createTurnCredentials(req.user._id.toString(), config.secret, config.ttl);
+
+        res.json({
+            iceServers: [{ urls: config.urls, username, credential }],
+            iceTransportPolicy: config.relayOnly ? 'relay' : 'all',
+            ttl: config.ttl,
+            expiresAt: expiresAt * 1000
+        });
+    } catch (error) {
+        console.error('TURN credentials error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
+module.exports.createTurnCredentials = createTurnCredentials;
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTurnCredentials } = require('./turn');
+
+const SECRET = 'coturn-shared-secret';
+const USER_ID = '507f1f77bcf86cd799439011';
+const NOW = 1700000000 * 1000;
+
+test('TURN credentials follow the TURN REST API format', () => {
+    const { username, credential, expiresAt } = createTurnCredentials(USER_ID, SECRET, 3600, NOW);
+
+    assert.equal(expiresAt, 1700003600);
+    assert.equal(username, `1700003600:${USER_ID}`);
+    // openssl: printf '1700003600:<user id>' | openssl dgst -sha1 -hmac <secret> -binary | base64
+    assert.equal(credential, 'WyeP/MOe2KlnlaqytkQGxT3eQBQ=');
+});
+
+test('TURN credentials expire ttl seconds from now, rounded down to the second', () => {
+    const { username, expiresAt } = createTurnCredentials(USER_ID, SECRET, 60, NOW + 999);
+    assert.equal(expiresAt, 1700000060);
+    assert.ok(username.startsWith('1700000060:'));
+});
+
+test('TURN credentials depend on the shared secret', () => {
+    const a = createTurnCredentials(USER_ID, SECRET, 3600, NOW);
+    const b = createTurnCredentials(USER_ID, 'another-secret', 3600, NOW);
+    assert.equal(a.username, b.username);
+    assert.notEqual(a.credential, b.credential);
+});
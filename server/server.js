@@ -10,6 +10,7 @@ const initializeSignaling = require('./socket/signaling');
 const authRoutes = require('./routes/auth');
 const roomRoutes = require('./routes/rooms');
 const friendsRoutes = require('./routes/friends');
+const turnRoutes = require('./routes/turn');
 
 const app = express();
 const server = http.createServer(app);
@@ -30,6 +31,9 @@ const io = new Server(server, {
     pingTimeout: 60000         // Extend timeout
 });
 
+// Routes that need to reach live sockets (e.g. device revocation)
+app.set('io', io);
+
 // Connect to MongoDB
 connectDB();
 
@@ -47,6 +51,7 @@ app.use((req, res, next) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/rooms', roomRoutes);
 app.use('/api/friends', friendsRoutes);
+app.use('/api/turn', turnRoutes);
 
 // Health check route
 app.get('/api/health', (req, res) => {
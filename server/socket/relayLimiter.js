@@ -0,0 +1,69 @@
+/**
+ * Budget for relayed data channel traffic (the fallback when peer-to-peer fails),
+ * kept per sender -> target socket pair. Sized for one uncompressed PCM16 stream;
+ * frames over it are dropped like lost packets
+ */
+const RELAY_WINDOW = 1000;
+const RELAY_MAX_BYTES = 128 * 1024; // Per window
+const RELAY_MAX_FRAMES = 100; // Per window
+const RELAY_MAX_FRAME_BYTES = 16 * 1024;
+
+const createRelayLimiter = () => {
+    const limits = new Map(); // `${from}>${to}` -> { bytes, frames, windowStart, throttled }
+
+    /**
+     * Count a relayed frame against the pair's budget - false if it must be dropped
+     */
+    const check = (fromSocketId, toSocketId, size, now = Date.now()) => {
+        if (size > RELAY_MAX_FRAME_BYTES) return false;
+
+        const key = `${fromSocketId}>${toSocketId}`;
+        const limit = limits.get(key) || { bytes: 0, frames: 0, windowStart: now, throttled: false };
+
+        if (now - limit.windowStart > RELAY_WINDOW) {
+            limit.bytes = 0;
+            limit.frames = 0;
+            limit.windowStart = now;
+            limit.throttled = false;
+        }
+
+        limit.bytes += size;
+        limit.frames++;
+        limits.set(key, limit);
+
+        const allowed = limit.bytes <= RELAY_MAX_BYTES && limit.frames <= RELAY_MAX_FRAMES;
+        if (!allowed && !limit.throttled) {
+            limit.throttled = true;
+            console.warn(`[Relay] Throttling ${fromSocketId.substring(0, 6)} -> ${toSocketId.substring(0, 6)}`);
+        }
+        return allowed;
+    };
+
+    /**
+     * Drop every budget a disconnected socket is part of
+     */
+    const forget = (socketId) => {
+        for (const key of limits.keys()) {
+            if (key.startsWith(`${socketId}>`) || key.endsWith(`>${socketId}`)) limits.delete(key);
+        }
+    };
+
+    /**
+     * Drop budgets of pairs that stopped relaying
+     */
+    const prune = (now = Date.now()) => {
+        for (const [key, limit] of limits) {
+            if (now - limit.windowStart > RELAY_WINDOW * 10) limits.delete(key);
+        }
+    };
+
+    return { check, forget, prune, size: () => limits.size };
+};
+
+module.exports = {
+    createRelayLimiter,
+    RELAY_WINDOW,
+    RELAY_MAX_BYTES,
+    RELAY_MAX_FRAMES,
+    RELAY_MAX_FRAME_BYTES
+};
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    createRelayLimiter,
+    RELAY_WINDOW,
+    RELAY_MAX_BYTES,
+    RELAY_MAX_FRAMES,
+    RELAY_MAX_FRAME_BYTES
+} = require('./relayLimiter');
+
+const NOW = 1700000000000;
+
+// Quiet the one-time throttling warning
+test.beforeEach(() => test.mock.method(console, 'warn', () => {}));
+test.afterEach(() => test.mock.restoreAll());
+
+test('relay limits are 16 KB per frame, 128 KB and 100 frames per second', () => {
+    assert.equal(RELAY_MAX_FRAME_BYTES, 16 * 1024);
+    assert.equal(RELAY_MAX_BYTES, 128 * 1024);
+    assert.equal(RELAY_MAX_FRAMES, 100);
+    assert.equal(RELAY_WINDOW, 1000);
+});
+
+test('frames over 16 KB are always dropped', () => {
+    const limiter = createRelayLimiter();
+    assert.equal(limiter.check('a', 'b', RELAY_MAX_FRAME_BYTES, NOW), true);
+    assert.equal(limiter.check('a', 'b', RELAY_MAX_FRAME_BYTES + 1, NOW), false);
+});
+
+test('the 101st frame in a window is dropped', () => {
+    const limiter = createRelayLimiter();
+    for (let i = 0; i < RELAY_MAX_FRAMES; i++) {
+        assert.equal(limiter.check('a', 'b', 10, NOW + i), true);
+    }
+    assert.equal(limiter.check('a', 'b', 10, NOW + RELAY_MAX_FRAMES), false);
+});
+
+test('bytes over 128 KB in a window are dropped', () => {
+    const limiter = createRelayLimiter();
+    for (let i = 0; i < RELAY_MAX_BYTES / RELAY_MAX_FRAME_BYTES; i++) {
+        assert.equal(limiter.check('a', 'b', RELAY_MAX_FRAME_BYTES, NOW), true);
+    }
+    assert.equal(limiter.check('a', 'b', 1, NOW), false);
+});
+
+test('the budget resets once the window has passed', () => {
+    const limiter = createRelayLimiter();
+    for (let i = 0; i <= RELAY_MAX_FRAMES; i++) limiter.check('a', 'b', 10, NOW);
+    assert.equal(limiter.check('a', 'b', 10, NOW + RELAY_WINDOW), false);
+    assert.equal(limiter.check('a', 'b', 10, NOW + RELAY_WINDOW + 1), true);
+});
+
+test('each sender -> target pair has its own budget', () => {
+    const limiter = createRelayLimiter();
+    for (let i = 0; i <= RELAY_MAX_FRAMES; i++) limiter.check('a', 'b', 10, NOW);
+    assert.equal(limiter.check('a', 'b', 10, NOW), false);
+    assert.equal(limiter.check('b', 'a', 10, NOW), true);
+    assert.equal(limiter.check('a', 'c', 10, NOW), true);
+});
+
+test('budgets are dropped when a socket leaves or a pair goes quiet', () => {
+    const limiter = createRelayLimiter();
+    limiter.check('a', 'b', 10, NOW);
+    limiter.check('b', 'a', 10, NOW);
+    limiter.check('c', 'd', 10, NOW);
+
+    limiter.forget('a');
+    assert.equal(limiter.size(), 1);
+
+    limiter.prune(NOW + RELAY_WINDOW * 10);
+    assert.equal(limiter.size(), 1);
+    limiter.prune(NOW + RELAY_WINDOW * 10 + 1);
+    assert.equal(limiter.size(), 0);
+});
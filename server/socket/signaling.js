@@ -4,9 +4,13 @@ const {
     addParticipant,
     removeParticipant,
     removeParticipantBySocket,
-    getParticipants
+    getParticipants,
+    canJoinRoom,
+    isActiveParticipant
 } = require('../routes/rooms');
 const User = require('../models/User');
+const { protectSocket, findDevice } = require('../middleware/auth');
+const { createRelayLimiter } = require('./relayLimiter');
 
 /**
  * Initialize Socket.io signaling for WebRTC
@@ -40,6 +44,52 @@ const initializeSignaling = (io) => {
         return limit.count <= RATE_LIMIT_MAX;
     };
 
+    // Relayed audio (fallback when peer-to-peer fails) has its own budget per sender -> target pair
+    const relayLimiter = createRelayLimiter();
+
+    /**
+     * Emit a structured signaling error back to the offending socket
+     * Codes: ROOM_NOT_FOUND, ROOM_FORBIDDEN, NOT_IN_ROOM, TARGET_NOT_IN_ROOM
+     */
+    const emitSignalingError = (socket, event, code, message) => {
+        socket.emit('signaling-error', { event, code, message });
+    };
+
+    /**
+     * Current key of the device this socket connected from (as protectSocket resolves it),
+     * re-read so a key registered or restored after the handshake is the one peers get
+     */
+    const getDeviceKey = async (socket) => {
+        const user = await User.findById(socket.user.id).select('publicKey devices');
+        if (user) {
+            const { deviceId } = socket.user;
+            socket.user.publicKey = (deviceId ? findDevice(user, deviceId)?.publicKey : user.publicKey) || null;
+        }
+        return socket.user.publicKey;
+    };
+
+    /**
+     * Check that sender and target are active participants of the same room
+     * Returns the shared roomId, or null after emitting a signaling-error
+     */
+    const authorizeRelay = (socket, event, targetSocketId) => {
+        const sender = connectedUsers.get(socket.id);
+        const roomId = sender?.currentRoom;
+
+        if (!roomId || !isActiveParticipant(roomId, socket.id)) {
+            emitSignalingError(socket, event, 'NOT_IN_ROOM', 'You are not in an active room');
+            return null;
+        }
+
+        const target = connectedUsers.get(targetSocketId);
+        if (!target || target.currentRoom !== roomId || !isActiveParticipant(roomId, targetSocketId)) {
+            emitSignalingError(socket, event, 'TARGET_NOT_IN_ROOM', 'Target is not a participant of your room');
+            return null;
+        }
+
+        return roomId;
+    };
+
     /**
      * Log with room context
      */
@@ -47,66 +97,79 @@ const initializeSignaling = (io) => {
         console.log(`[Room:${roomId?.substring(0, 8)}] ${message}`);
     };
 
+    // Verify the JWT sent in the handshake before any event is handled
+    io.use(protectSocket);
+
     io.on('connection', (socket) => {
         console.log(`[Socket] Connected: ${socket.id}`);
 
-        // Handle user authentication
-        socket.on('authenticate', async (userData) => {
-            try {
-                // Fetch user's public key from database
-                const user = await User.findById(userData.userId).select('publicKey');
-
-                const userInfo = {
-                    id: userData.userId,
-                    username: userData.username,
-                    socketId: socket.id,
-                    publicKey: user?.publicKey || null,
-                    connectedAt: new Date(),
-                    currentRoom: null
-                };
-
-                connectedUsers.set(socket.id, userInfo);
-                console.log(`[Auth] User authenticated: ${userData.username}`);
+        // Identity comes from the verified token, never from event payloads
+        const { id: userId, username } = socket.user;
+
+        connectedUsers.set(socket.id, {
+            id: userId,
+            username,
+            socketId: socket.id,
+            // Key of the device this socket connected from (see protectSocket)
+            deviceId: socket.user.deviceId,
+            publicKey: socket.user.publicKey,
+            connectedAt: new Date(),
+            currentRoom: null
+        });
+        console.log(`[Auth] User authenticated: ${username}`);
 
-                // Send confirmation
-                socket.emit('authenticated', { success: true });
-            } catch (error) {
-                console.error('[Auth] Authentication error:', error);
-                socket.emit('authenticated', { success: false, error: 'Authentication failed' });
-            }
+        // Kept for older clients - the handshake has already authenticated the socket
+        socket.on('authenticate', () => {
+            socket.emit('authenticated', { success: true });
         });
 
         // Handle joining a room
-        socket.on('join-room', async ({ roomId, userId, username, publicKey }) => {
+        socket.on('join-room', async ({ roomId }) => {
             if (!checkRateLimit(socket.id)) {
                 socket.emit('error', { message: 'Rate limit exceeded' });
                 return;
             }
 
             try {
+                // Confirm the room exists and this user may join it
+                const access = await canJoinRoom(roomId, userId);
+                if (!access.allowed) {
+                    if (access.reason === 'forbidden') {
+                        emitSignalingError(socket, 'join-room', 'ROOM_FORBIDDEN', 'You are not a member of this room');
+                    } else {
+                        emitSignalingError(socket, 'join-room', 'ROOM_NOT_FOUND', 'Room not found');
+                    }
+                    logRoom(roomId, `Join denied for ${username} (${access.reason})`);
+                    return;
+                }
+
                 // Leave current room if in one
                 const user = connectedUsers.get(socket.id);
                 if (user?.currentRoom) {
-                    await handleLeaveRoom(socket, user.currentRoom, userId, username);
+                    await handleLeaveRoom(socket, user.currentRoom);
                 }
 
                 // Join the Socket.io room
                 socket.join(roomId);
 
+                // Peers get the key registered for this socket's device, never one from the payload
+                const publicKey = await getDeviceKey(socket);
+
                 // Add participant to room manager
                 const participant = {
                     id: userId,
                     username,
                     socketId: socket.id,
-                    publicKey: publicKey || user?.publicKey || null
+                    deviceId: socket.user.deviceId,
+                    publicKey
                 };
 
-                addParticipant(roomId, participant);
+                await addParticipant(roomId, participant);
 
                 // Update connected user's state
                 if (user) {
                     user.currentRoom = roomId;
-                    user.publicKey = publicKey || user.publicKey;
+                    user.publicKey = publicKey;
                     connectedUsers.set(socket.id, user);
                 }
 
@@ -114,12 +177,15 @@ const initializeSignaling = (io) => {
                 const existingParticipants = getParticipants(roomId)
                     .filter(p => p.socketId !== socket.id);
 
+                socket.emit('room-settings', { roomId, audioBitrate: access.audioBitrate });
+
                 // Send existing participants to new user
                 socket.emit('room-participants', {
                     participants: existingParticipants.map(p => ({
                         id: p.id,
                         username: p.username,
                         socketId: p.socketId,
+                        deviceId: p.deviceId || null,
                         publicKey: p.publicKey
                     }))
                 });
@@ -129,7 +195,8 @@ const initializeSignaling = (io) => {
                     userId,
                     username,
                     socketId: socket.id,
-                    publicKey: publicKey || null
+                    deviceId: socket.user.deviceId,
+                    publicKey: participant.publicKey
                 });
 
                 logRoom(roomId, `${username} joined (${existingParticipants.length} others)`);
@@ -140,16 +207,20 @@ const initializeSignaling = (io) => {
         });
 
         // Handle leaving a room
-        socket.on('leave-room', ({ roomId, userId, username }) => {
-            handleLeaveRoom(socket, roomId, userId, username);
+        socket.on('leave-room', ({ roomId }) => {
+            // Only the room this socket is actually in can be left
+            const user = connectedUsers.get(socket.id);
+            if (!user?.currentRoom || user.currentRoom !== roomId) return;
+
+            handleLeaveRoom(socket, roomId);
         });
 
         /**
          * Handle leave room logic (reusable)
          */
-        const handleLeaveRoom = (socket, roomId, userId, username) => {
+        const handleLeaveRoom = (socket, roomId) => {
             socket.leave(roomId);
-            removeParticipant(roomId, userId);
+            removeParticipant(roomId, socket.id);
 
             const user = connectedUsers.get(socket.id);
             if (user) {
@@ -167,15 +238,20 @@ const initializeSignaling = (io) => {
         };
 
         // Handle WebRTC offer
-        socket.on('offer', ({ roomId, targetSocketId, offer, from }) => {
+        socket.on('offer', ({ targetSocketId, offer }) => {
             if (!checkRateLimit(socket.id)) return;
 
+            const roomId = authorizeRelay(socket, 'offer', targetSocketId);
+            if (!roomId) return;
+
             const user = connectedUsers.get(socket.id);
             socket.to(targetSocketId).emit('offer', {
                 offer,
                 from: socket.id,
                 fromUser: {
-                    ...from,
+                    id: userId,
+                    username,
+                    deviceId: socket.user.deviceId,
                     publicKey: user?.publicKey || null
                 }
             });
@@ -184,15 +260,20 @@ const initializeSignaling = (io) => {
         });
 
         // Handle WebRTC answer
-        socket.on('answer', ({ roomId, targetSocketId, answer, from }) => {
+        socket.on('answer', ({ targetSocketId, answer }) => {
             if (!checkRateLimit(socket.id)) return;
 
+            const roomId = authorizeRelay(socket, 'answer', targetSocketId);
+            if (!roomId) return;
+
             const user = connectedUsers.get(socket.id);
             socket.to(targetSocketId).emit('answer', {
                 answer,
                 from: socket.id,
                 fromUser: {
-                    ...from,
+                    id: userId,
+                    username,
+                    deviceId: socket.user.deviceId,
                     publicKey: user?.publicKey || null
                 }
             });
@@ -201,8 +282,9 @@ const initializeSignaling = (io) => {
         });
 
         // Handle ICE candidates
-        socket.on('ice-candidate', ({ roomId, targetSocketId, candidate }) => {
+        socket.on('ice-candidate', ({ targetSocketId, candidate }) => {
             if (!checkRateLimit(socket.id)) return;
+            if (!authorizeRelay(socket, 'ice-candidate', targetSocketId)) return;
 
             socket.to(targetSocketId).emit('ice-candidate', {
                 candidate,
@@ -210,22 +292,29 @@ const initializeSignaling = (io) => {
             });
         });
 
-        // Handle AES Session Key exchange
-        socket.on('session-key', ({ roomId, targetSocketId, encryptedSessionKey }) => {
-            if (!checkRateLimit(socket.id)) return;
+        // Relay a data channel message (already end-to-end encrypted audio, or key exchange
+        // material) for peers that have no peer-to-peer path. Forwarded as-is, never inspected
+        socket.on('relay-frame', ({ targetSocketId, data } = {}) => {
+            const size = Buffer.isBuffer(data) ? data.length : typeof data === 'string' ? Buffer.byteLength(data) : -1;
+            if (size < 0) return;
 
-            console.log(`[Signaling] Relaying session key from ${socket.id} to ${targetSocketId}`);
+            // Checked quietly - frames still in flight when a peer leaves are expected
+            const roomId = connectedUsers.get(socket.id)?.currentRoom;
+            if (!roomId || connectedUsers.get(targetSocketId)?.currentRoom !== roomId) return;
+            if (!isActiveParticipant(roomId, socket.id) || !isActiveParticipant(roomId, targetSocketId)) return;
+            if (!relayLimiter.check(socket.id, targetSocketId, size)) return;
 
-            socket.to(targetSocketId).emit('session-key', {
-                encryptedSessionKey,
-                from: socket.id
-            });
+            socket.to(targetSocketId).emit('relay-frame', { from: socket.id, data });
         });
 
         // Handle mute status change
-        socket.on('mute-status', ({ roomId, isMuted }) => {
+        socket.on('mute-status', ({ isMuted }) => {
             if (!checkRateLimit(socket.id)) return;
 
+            // Broadcast only to the room this socket has actually joined
+            const roomId = connectedUsers.get(socket.id)?.currentRoom;
+            if (!roomId) return;
+
             socket.to(roomId).emit('peer-mute-status', {
                 socketId: socket.id,
                 isMuted
@@ -233,9 +322,22 @@ const initializeSignaling = (io) => {
         });
 
         // Handle calling a user
-        socket.on('call-user', ({ targetUserId, roomId, roomName }) => {
+        socket.on('call-user', async ({ targetUserId, roomId }) => {
             if (!checkRateLimit(socket.id)) return;
 
+            // Only invite into a room we are actually in, under its real name
+            const caller = connectedUsers.get(socket.id);
+            if (!roomId || caller?.currentRoom !== roomId || !isActiveParticipant(roomId, socket.id)) {
+                emitSignalingError(socket, 'call-user', 'NOT_IN_ROOM', 'You are not in this room');
+                return;
+            }
+
+            const room = await getRoom(roomId);
+            if (!room) {
+                socket.emit('call-error', { message: 'Room not found' });
+                return;
+            }
+
             // Find target user
             let targetSocketId = null;
             let targetUser = null;
@@ -248,8 +350,6 @@ const initializeSignaling = (io) => {
                 }
             }
 
-            const caller = connectedUsers.get(socket.id);
-
             if (targetSocketId) {
                 console.log(`[Signaling] Call from ${caller?.username} to ${targetUser?.username}`);
                 io.to(targetSocketId).emit('incoming-call', {
@@ -259,7 +359,7 @@ const initializeSignaling = (io) => {
                         socketId: socket.id
                     },
                     roomId,
-                    roomName
+                    roomName: room.name
                 });
             } else {
                 // User offline
@@ -267,15 +367,23 @@ const initializeSignaling = (io) => {
             }
         });
 
-
-        // Handle request for user's public key
-        socket.on('get-public-key', async ({ targetUserId }, callback) => {
+        // Handle request for a peer's public key: the key of the device behind targetSocketId,
+        // or every active device key of targetUserId
+        socket.on('get-public-key', async ({ targetUserId, targetSocketId }, callback) => {
             try {
-                const user = await User.findById(targetUserId).select('publicKey');
-                callback({ publicKey: user?.publicKey || null });
+                if (targetSocketId) {
+                    const target = connectedUsers.get(targetSocketId);
+                    callback({ publicKey: target?.publicKey || null, deviceId: target?.deviceId || null });
+                    return;
+                }
+
+                const user = await User.findById(targetUserId).select('devices');
+                callback({
+                    devices: (user?.getActiveDevices() || []).map(({ deviceId, publicKey }) => ({ deviceId, publicKey }))
+                });
             } catch (error) {
                 console.error('[PublicKey] Error fetching public key:', error);
-                callback({ publicKey: null, error: 'Failed to fetch public key' });
+                callback({ publicKey: null, devices: [], error: 'Failed to fetch public key' });
             }
         });
 
@@ -305,6 +413,7 @@ const initializeSignaling = (io) => {
 
             // Clean up rate limits
             rateLimits.delete(socket.id);
+            relayLimiter.forget(socket.id);
         });
 
         // Handle errors
@@ -321,6 +430,7 @@ const initializeSignaling = (io) => {
                 rateLimits.delete(socketId);
             }
         }
+        relayLimiter.prune(now);
     }, 60000); // Every minute
 
     console.log('[Signaling] Socket.io signaling initialized');